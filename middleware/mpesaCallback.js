@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Constant-time comparison so the callback secret cannot be guessed by timing
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const getAllowedIps = () => (process.env.MPESA_CALLBACK_IPS || '')
+  .split(',')
+  .map(ip => ip.trim())
+  .filter(Boolean);
+
+// Only accept M-Pesa callbacks carrying our secret path token or coming from an allowlisted IP
+const verifyMpesaCallback = (req, res, next) => {
+  const secret = process.env.MPESA_CALLBACK_SECRET;
+  const allowedIps = getAllowedIps();
+  const ip = (req.ip || '').replace(/^::ffff:/, '');
+
+  if (!secret && allowedIps.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('M-Pesa callback rejected: MPESA_CALLBACK_SECRET or MPESA_CALLBACK_IPS must be configured');
+      return res.status(403).json({ message: 'Callback authentication not configured' });
+    }
+    return next();
+  }
+
+  if (secret && req.params.token && safeEqual(req.params.token, secret)) {
+    return next();
+  }
+
+  if (allowedIps.includes(ip)) {
+    return next();
+  }
+
+  console.warn('M-Pesa callback rejected from IP:', ip);
+  return res.status(403).json({ message: 'Not authorized' });
+};
+
+module.exports = {
+  verifyMpesaCallback
+};
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const { validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const PaymentAttempt = require('../models/PaymentAttempt');
+const PaymentAttemptCount = require('../models/PaymentAttemptCount');
+const BlockedPayer = require('../models/BlockedPayer');
+const { normalizeKenyanPhone } = require('../utils/phone');
+
+const CAPTCHA_VERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+const getLimits = () => ({
+  windowMinutes: parseInt(process.env.PAYMENT_LIMIT_WINDOW_MINUTES) || 60,
+  perPhone: parseInt(process.env.PAYMENT_LIMIT_PER_PHONE) || 5,
+  perIp: parseInt(process.env.PAYMENT_LIMIT_PER_IP) || 20,
+  cooldownMinutes: parseInt(process.env.PAYMENT_CANCEL_COOLDOWN_MINUTES) || 10
+});
+
+const MESSAGES = {
+  blocklist: 'Payments from these details are not accepted. Please contact us for help.',
+  captcha: 'Please complete the CAPTCHA and try again',
+  cooldown: 'The last payment prompt to this phone was cancelled. Please wait before trying again.',
+  phone_limit: 'Too many payment requests for this phone number. Please try again later.',
+  ip_limit: 'Too many payment requests. Please try again later.'
+};
+
+const STATUS_CODES = { blocklist: 403, captcha: 400 };
+
+const getValue = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+// Check the CAPTCHA token when a secret is configured; without one the check is off
+const verifyCaptcha = async (token, ip) => {
+  const secret = process.env.CAPTCHA_SECRET;
+  if (!secret) return true;
+  if (!token) return false;
+
+  const url = CAPTCHA_VERIFY_URLS[process.env.CAPTCHA_PROVIDER || 'recaptcha'];
+  try {
+    const { data } = await axios.post(url, new URLSearchParams({ secret, response: token, remoteip: ip }), {
+      timeout: 5000
+    });
+    return data.success === true;
+  } catch (error) {
+    console.error('CAPTCHA verification error:', error.message);
+    return false;
+  }
+};
+
+// Count an attempt against a phone or IP in the current window and return the
+// new total. Windows are fixed, starting on multiples of the window length.
+const countAttempt = async (key, windowStart, windowMs) => {
+  const counter = await PaymentAttemptCount.findOneAndUpdate(
+    { key, window: windowStart },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart.getTime() + windowMs) } },
+    { upsert: true, new: true }
+  );
+  return counter.count;
+};
+
+// Take back an attempt that was counted but then refused
+const uncountAttempt = (key, windowStart) => PaymentAttemptCount.updateOne(
+  { key, window: windowStart },
+  { $inc: { count: -1 } }
+);
+
+// Reason the attempt should be refused, or null to let it through
+const findBlockReason = async ({ phone, email, ip, captchaToken, captcha }) => {
+  const now = new Date();
+  const limits = getLimits();
+
+  const identities = [
+    phone && { type: 'phone', value: phone },
+    email && { type: 'email', value: email },
+    ip && { type: 'ip', value: ip }
+  ].filter(Boolean);
+  const blocked = identities.length > 0 && await BlockedPayer.findOne({
+    $and: [
+      { $or: identities },
+      { $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  });
+  if (blocked) return { reason: 'blocklist', blockedBy: blocked._id };
+
+  if (captcha && !(await verifyCaptcha(captchaToken, ip))) return { reason: 'captcha' };
+
+  if (phone) {
+    const cancelled = await Payment.findOne({
+      method: 'mpesa',
+      'payer.phone': phone,
+      status: 'cancelled',
+      updatedAt: { $gte: new Date(now.getTime() - limits.cooldownMinutes * 60 * 1000) }
+    }).sort({ updatedAt: -1 });
+    if (cancelled) {
+      return {
+        reason: 'cooldown',
+        retryAfter: Math.ceil((cancelled.updatedAt.getTime() + limits.cooldownMinutes * 60 * 1000 - now.getTime()) / 1000)
+      };
+    }
+  }
+
+  // Counted before deciding, so each request sees its own place in the window
+  const windowMs = limits.windowMinutes * 60 * 1000;
+  const windowStart = new Date(Math.floor(now.getTime() / windowMs) * windowMs);
+  const retryAfter = Math.ceil((windowStart.getTime() + windowMs - now.getTime()) / 1000);
+  if (phone && await countAttempt(`phone:${phone}`, windowStart, windowMs) > limits.perPhone) {
+    await uncountAttempt(`phone:${phone}`, windowStart);
+    return { reason: 'phone_limit', retryAfter };
+  }
+  if (ip && await countAttempt(`ip:${ip}`, windowStart, windowMs) > limits.perIp) {
+    await uncountAttempt(`ip:${ip}`, windowStart);
+    if (phone) await uncountAttempt(`phone:${phone}`, windowStart);
+    return { reason: 'ip_limit', retryAfter };
+  }
+
+  return null;
+};
+
+// Limit who can start payments from a public form: blocklist, optional CAPTCHA,
+// a cooldown after a cancelled M-Pesa prompt and per-phone/per-IP limits.
+// `phoneField` and `emailField` are body paths, e.g. 'donor.phone'; signed-in
+// routes can skip the CAPTCHA.
+const guardPaymentInitiation = ({ phoneField = 'phone', emailField = 'email', captcha = true } = {}) => async (req, res, next) => {
+  // Invalid requests never reach a payment provider; the route reports the errors
+  if (!validationResult(req).isEmpty()) return next();
+
+  const attempt = {
+    route: req.baseUrl + req.route.path,
+    phone: normalizeKenyanPhone(getValue(req.body, phoneField)) || undefined,
+    email: getValue(req.body, emailField)?.toLowerCase() || req.user?.email,
+    ip: (req.ip || '').replace(/^::ffff:/, ''),
+    userAgent: req.get('user-agent'),
+    user: req.user?._id
+  };
+
+  try {
+    const block = await findBlockReason({ ...attempt, captchaToken: req.body.captchaToken, captcha });
+
+    if (block) {
+      await PaymentAttempt.create({ ...attempt, outcome: 'blocked', reason: block.reason, blockedBy: block.blockedBy });
+      console.warn(`Payment initiation blocked (${block.reason}) for phone ${attempt.phone || '-'} from IP ${attempt.ip}`);
+      if (block.retryAfter) res.set('Retry-After', String(block.retryAfter));
+      return res.status(STATUS_CODES[block.reason] || 429).json({ message: MESSAGES[block.reason], reason: block.reason });
+    }
+
+    req.paymentAttempt = await PaymentAttempt.create({ ...attempt, outcome: 'allowed' });
+    next();
+  } catch (error) {
+    console.error('Payment abuse check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  guardPaymentInitiation
+};
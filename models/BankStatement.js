@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// One credit line from an imported bank statement
+const statementLineSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Line date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Line amount is required']
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  // Bank transaction id (OFX FITID) or reference column
+  reference: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Identifies the same bank line across overlapping statement uploads
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'proposed', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  matchScore: {
+    type: Number
+  },
+  matchReasons: [String],
+  // Payments an admin rejected for this line, never proposed again
+  rejectedPayments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  notes: {
+    type: String
+  }
+});
+
+const bankStatementSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx'],
+    required: true
+  },
+  accountName: {
+    type: String,
+    trim: true
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+  lines: [statementLineSchema],
+  // Lines already imported from an earlier statement
+  skippedDuplicates: {
+    type: Number,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+bankStatementSchema.index({ createdAt: -1 });
+bankStatementSchema.index({ 'lines.fingerprint': 1 });
+bankStatementSchema.index({ 'lines.status': 1 });
+
+// Virtual for line counts by status
+bankStatementSchema.virtual('summary').get(function() {
+  return this.lines.reduce((counts, line) => {
+    counts[line.status] = (counts[line.status] || 0) + 1;
+    return counts;
+  }, { total: this.lines.length, unmatched: 0, proposed: 0, matched: 0, ignored: 0 });
+});
+
+// Ensure virtual fields are serialized
+bankStatementSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Phone number, IP address or email that may not start payments
+const blockedPayerSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['phone', 'ip', 'email'],
+    required: [true, 'Block type is required']
+  },
+  value: {
+    type: String,
+    required: [true, 'Blocked value is required'],
+    trim: true,
+    lowercase: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Leave empty to block until the entry is removed
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+blockedPayerSchema.index({ type: 1, value: 1 }, { unique: true });
+
+// Virtual for whether the block is in force
+blockedPayerSchema.virtual('isActive').get(function() {
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Ensure virtual fields are serialized
+blockedPayerSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('BlockedPayer', blockedPayerSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Campaign title is required'],
+    trim: true,
+    maxlength: [100, 'Campaign title cannot exceed 100 characters']
+  },
+  story: {
+    type: String,
+    required: [true, 'Campaign story is required'],
+    maxlength: [10000, 'Campaign story cannot exceed 10000 characters']
+  },
+  shortDescription: {
+    type: String,
+    maxlength: [300, 'Short description cannot exceed 300 characters']
+  },
+  coverImage: {
+    type: String,
+    default: ''
+  },
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [1, 'Target amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    enum: ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  // Fundraiser event the campaign is raising money for
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  purpose: {
+    type: String,
+    enum: ['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'],
+    default: 'general'
+  },
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+campaignSchema.index({ status: 1, startDate: -1 });
+campaignSchema.index({ event: 1 });
+
+// Virtual for whether the campaign accepts donations right now
+campaignSchema.virtual('isOpen').get(function() {
+  const now = new Date();
+  return this.status === 'active' &&
+    this.startDate <= now &&
+    (!this.endDate || this.endDate >= now);
+});
+
+// Ensure virtual fields are serialized
+campaignSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One-time code sent to an email address or phone number so a signed-in user
+// can prove they own it, either before guest donations made with it join their
+// account or before it replaces the email on their account
+const claimVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['claim', 'email_change'],
+    default: 'claim'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'phone'],
+    required: [true, 'Channel is required']
+  },
+  // Lowercased email, or phone in 2547XXXXXXXX form
+  value: {
+    type: String,
+    required: [true, 'Email or phone is required'],
+    trim: true,
+    lowercase: true
+  },
+  // SHA-256 of the code; the code itself is only ever sent to the donor
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  verifiedAt: Date,
+  claimedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+claimVerificationSchema.index({ user: 1, channel: 1, value: 1, createdAt: -1 });
+// Codes are removed a day after they expire
+claimVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('ClaimVerification', claimVerificationSchema);
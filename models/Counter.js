@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Last number handed out for one numbering series, e.g. receipts in 2026.
+// Incremented atomically so concurrent requests never share a number.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Counter key is required'],
+    trim: true
+  },
+  sequence: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+counterSchema.index({ key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,79 @@
 const mongoose = require('mongoose');
+const { convertToBase, getBaseCurrency } = require('../utils/exchangeRates');
+const { acknowledgeTribute, tributeSlug } = require('../utils/tributes');
+const { nextNumber } = require('../utils/numbering');
+
+// Memorial or honor details for a tribute gift and who should be told about it
+const tributeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['memorial', 'honor'],
+    required: [true, 'Tribute type is required']
+  },
+  honoreeName: {
+    type: String,
+    required: [true, 'Honoree name is required'],
+    trim: true,
+    maxlength: [100, 'Honoree name cannot exceed 100 characters']
+  },
+  // Groups gifts for the same person on the public tribute page
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Tribute message cannot exceed 500 characters']
+  },
+  // List the gift on the public tribute page
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  notify: {
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String
+    },
+    // How the acknowledgement card is delivered
+    method: {
+      type: String,
+      enum: ['email', 'post', 'none'],
+      default: 'none'
+    }
+  },
+  acknowledgement: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'emailed', 'print_queued', 'printed', 'not_required', 'failed'],
+      default: 'pending'
+    },
+    emailMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailMessage'
+    },
+    processedAt: Date,
+    printedAt: Date,
+    printedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    error: String
+  }
+}, { _id: false });
 
 const donationSchema = new mongoose.Schema({
   donor: {
@@ -14,7 +89,8 @@ const donationSchema = new mongoose.Schema({
     },
     email: {
       type: String,
-      required: [true, 'Donor email is required'],
+      // Paybill (C2B) donors and gifts collected in person may come without an email address
+      required: [function() { return this.paymentMethod !== 'mpesa' && !this.batch; }, 'Donor email is required'],
       lowercase: true,
       trim: true
     },
@@ -34,6 +110,17 @@ const donationSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Account the gift belongs to: set when a signed-in user gives, or when a
+  // user proves they own the guest email or phone it was made with
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Donor profile the donation is counted towards, set once it completes
+  donorProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
   amount: {
     type: Number,
     required: [true, 'Donation amount is required'],
@@ -59,6 +146,25 @@ const donationSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Amount in the base reporting currency at the rate in force when the donation completed
+  baseAmount: {
+    type: Number
+  },
+  baseCurrency: {
+    type: String
+  },
+  exchangeRate: {
+    type: Number
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Ledger record of the payment for this donation
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
   receiptNumber: {
     type: String,
     unique: true,
@@ -73,6 +179,11 @@ const donationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Campaign'
   },
+  // Pledge this donation pays towards
+  pledge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pledge'
+  },
   purpose: {
     type: String,
     enum: ['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'],
@@ -82,6 +193,47 @@ const donationSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Message cannot exceed 500 characters']
   },
+  // Messages are held for review before they appear on the public donor wall
+  messageModeration: {
+    status: {
+      type: String,
+      enum: ['pending', 'visible', 'hidden']
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  // Whether and under what name the donor is listed on the public donor wall
+  donorWall: {
+    show: {
+      type: Boolean,
+      default: true
+    },
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Display name cannot exceed 60 characters']
+    }
+  },
+  // Marketing opt-ins ticked on the donation form; left unset when not asked.
+  // They are copied to the donor profile once the donation is linked to it.
+  consent: {
+    email: Boolean,
+    sms: Boolean,
+    phone: Boolean,
+    post: Boolean,
+    capturedAt: Date
+  },
+  tribute: {
+    type: tributeSchema,
+    default: undefined
+  },
   isRecurring: {
     type: Boolean,
     default: false
@@ -94,10 +246,55 @@ const donationSchema = new mongoose.Schema({
   nextPaymentDate: {
     type: Date
   },
+  // Schedule state of a recurring donation (the parent of its installments)
+  recurringStatus: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled']
+  },
+  recurringStatusReason: {
+    type: String
+  },
+  // Saved gateway card charged for each installment of a recurring card donation
+  savedCard: {
+    token: {
+      type: String,
+      select: false
+    },
+    customer: {
+      type: String,
+      select: false
+    },
+    last4: String
+  },
+  // Installments completed and their running total, kept on the parent
   totalDonations: {
     type: Number,
     default: 0
   },
+  totalAmountDonated: {
+    type: Number,
+    default: 0
+  },
+  lastInstallmentDate: {
+    type: Date
+  },
+  failedInstallments: {
+    type: Number,
+    default: 0
+  },
+  // Installments created so far; only ever goes up, so numbers are never reused.
+  // No default so schedules created before it existed can be told apart.
+  installmentsIssued: {
+    type: Number
+  },
+  // Set on each installment of a recurring donation
+  parentDonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  installmentNumber: {
+    type: Number
+  },
   taxReceiptSent: {
     type: Boolean,
     default: false
@@ -113,6 +310,26 @@ const donationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Offline batch the gift was entered in
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationBatch'
+  },
+  cheque: {
+    number: {
+      type: String,
+      trim: true
+    },
+    bank: {
+      type: String,
+      trim: true
+    },
+    branch: {
+      type: String,
+      trim: true
+    },
+    date: Date
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -129,6 +346,16 @@ donationSchema.index({ 'donor.email': 1 });
 donationSchema.index({ paymentStatus: 1, createdAt: 1 });
 donationSchema.index({ donationType: 1, purpose: 1 });
 donationSchema.index({ transactionId: 1 });
+donationSchema.index({ currency: 1, baseCurrency: 1 });
+donationSchema.index({ isRecurring: 1, recurringStatus: 1, nextPaymentDate: 1 });
+donationSchema.index({ parentDonation: 1 });
+donationSchema.index({ donorProfile: 1, paymentStatus: 1 });
+donationSchema.index({ 'tribute.slug': 1, paymentStatus: 1 });
+donationSchema.index({ 'tribute.acknowledgement.status': 1 });
+donationSchema.index({ pledge: 1, paymentStatus: 1 });
+donationSchema.index({ 'messageModeration.status': 1, createdAt: 1 });
+donationSchema.index({ batch: 1 });
+donationSchema.index({ user: 1, createdAt: -1 });
 
 // Virtual for donor full name
 donationSchema.virtual('donorFullName').get(function() {
@@ -158,18 +385,177 @@ donationSchema.virtual('statusColor').get(function() {
   return statusColors[this.paymentStatus] || 'gray';
 });
 
-// Method to generate receipt number
+// Convert completed donations to the base currency when they are saved
+donationSchema.pre('save', async function(next) {
+  if (this.paymentStatus === 'completed' && this.baseCurrency !== getBaseCurrency()) {
+    await this.applyBaseConversion();
+  }
+  // Every completed gift gets the next receipt number, however it was completed.
+  // A number passed in when the donation is created is dropped so the
+  // sequence has no gaps or duplicates.
+  if (this.isNew) this.receiptNumber = undefined;
+  if (this.paymentStatus === 'completed' && !this.receiptNumber && !this.isRecurring) {
+    this.receiptNumber = await this.generateReceiptNumber();
+  }
+  if (this.message && (this.isNew || this.isModified('message'))) {
+    this.messageModeration = {
+      status: process.env.DONOR_WALL_REVIEW_MESSAGES === 'false' ? 'visible' : 'pending'
+    };
+  }
+  if (this.tribute && (this.isNew || this.isModified('tribute.honoreeName'))) {
+    this.tribute.slug = tributeSlug(this.tribute.honoreeName);
+  }
+  this.$locals.completedNow = this.paymentStatus === 'completed' && (this.isNew || this.isModified('paymentStatus'));
+  this.$locals.syncPledge = Boolean(this.pledge) && (this.isNew || ['paymentStatus', 'refundedAmount', 'amount', 'pledge']
+    .some(path => this.isModified(path)));
+  // Changes that affect the donor's giving totals
+  this.$locals.syncDonor = this.isNew || ['paymentStatus', 'refundedAmount', 'baseAmount', 'recurringStatus', 'donor.email', 'donor.phone']
+    .some(path => this.isModified(path));
+  next();
+});
+
+// Keep the donor profile in step with completed donations and recurring schedules
+donationSchema.post('save', async function(doc) {
+  if (!doc.$locals.syncDonor) return;
+  if (!doc.donorProfile && doc.paymentStatus !== 'completed' && !doc.isRecurring) return;
+
+  try {
+    await mongoose.model('Donor').syncDonation(doc);
+  } catch (error) {
+    console.error(`Donor profile sync error for donation ${doc._id}:`, error);
+  }
+});
+
+// Count completed donations towards the pledge they pay
+donationSchema.post('save', async function(doc) {
+  if (!doc.$locals.syncPledge) return;
+
+  try {
+    const pledge = await mongoose.model('Pledge').findById(doc.pledge);
+    if (pledge) await pledge.refreshFulfilment();
+  } catch (error) {
+    console.error(`Pledge sync error for donation ${doc._id}:`, error);
+  }
+});
+
+// Send the tribute acknowledgement once the gift has actually been received
+donationSchema.post('save', async function(doc) {
+  if (!doc.$locals.completedNow || !doc.tribute) return;
+
+  try {
+    await acknowledgeTribute(doc);
+  } catch (error) {
+    console.error(`Tribute acknowledgement error for donation ${doc._id}:`, error);
+  }
+});
+
+// Method to store the base currency amount; leaves it unset when no rate has been entered
+donationSchema.methods.applyBaseConversion = async function() {
+  const conversion = await convertToBase(this.amount, this.currency, this.verificationDate || new Date());
+  if (conversion) {
+    Object.assign(this, conversion);
+  }
+  return conversion;
+};
+
+// Static to convert completed donations saved before a rate (or base currency) existed
+donationSchema.statics.convertMissingBaseAmounts = async function() {
+  const summary = { converted: 0, missingRate: 0 };
+  const donations = await this.find({
+    paymentStatus: 'completed',
+    baseCurrency: { $ne: getBaseCurrency() }
+  });
+
+  const donors = new Set();
+  for (const donation of donations) {
+    const conversion = await convertToBase(donation.amount, donation.currency, donation.verificationDate || donation.createdAt);
+    if (conversion) {
+      await this.updateOne({ _id: donation._id }, { $set: conversion });
+      summary.converted += 1;
+      if (donation.donorProfile) donors.add(String(donation.donorProfile));
+    } else {
+      summary.missingRate += 1;
+    }
+  }
+
+  // Newly converted gifts now count towards their donors' totals
+  const Donor = mongoose.model('Donor');
+  for (const donorId of donors) {
+    const donor = await Donor.findById(donorId);
+    if (donor) await donor.refreshStats();
+  }
+
+  return summary;
+};
+
+// Method to move nextPaymentDate on by one recurring interval
+donationSchema.methods.advanceNextPaymentDate = function() {
+  const next = new Date(this.nextPaymentDate || Date.now());
+  const months = { monthly: 1, quarterly: 3, yearly: 12 };
+  const day = next.getDate();
+
+  // Keep month-end gifts in the target month (31 Jan -> 28/29 Feb, not 3 Mar)
+  next.setDate(1);
+  next.setMonth(next.getMonth() + months[this.recurringInterval]);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDay));
+
+  this.nextPaymentDate = next;
+  return next;
+};
+
+// Static to update a recurring donation's running totals when an installment settles.
+// Schedules are paused after too many failed installments in a row.
+donationSchema.statics.recordInstallment = async function(installment) {
+  if (!installment.parentDonation) return null;
+
+  if (installment.paymentStatus === 'completed') {
+    return this.findByIdAndUpdate(installment.parentDonation, {
+      $inc: { totalDonations: 1, totalAmountDonated: installment.amount },
+      $set: { failedInstallments: 0, lastInstallmentDate: new Date() }
+    }, { new: true });
+  }
+
+  const parent = await this.findByIdAndUpdate(installment.parentDonation, {
+    $inc: { failedInstallments: 1 }
+  }, { new: true });
+
+  const maxFailures = parseInt(process.env.RECURRING_MAX_FAILED_INSTALLMENTS) || 3;
+  if (parent && parent.recurringStatus === 'active' && parent.failedInstallments >= maxFailures) {
+    parent.recurringStatus = 'paused';
+    parent.recurringStatusReason = `Paused after ${parent.failedInstallments} failed installments`;
+    await parent.save();
+  }
+  return parent;
+};
+
+// Static to reserve the next installment number of a recurring donation
+donationSchema.statics.nextInstallmentNumber = async function(parent) {
+  // Start older schedules from the highest number they already issued
+  if (parent.installmentsIssued === undefined) {
+    const [last] = await this.find({ parentDonation: parent._id })
+      .sort({ installmentNumber: -1 })
+      .limit(1)
+      .select('installmentNumber');
+    await this.updateOne(
+      { _id: parent._id, installmentsIssued: { $exists: false } },
+      { $set: { installmentsIssued: last?.installmentNumber || 0 } }
+    );
+  }
+
+  const updated = await this.findByIdAndUpdate(parent._id, { $inc: { installmentsIssued: 1 } }, { new: true });
+  return updated.installmentsIssued;
+};
+
+// Method to generate the next receipt number
 donationSchema.methods.generateReceiptNumber = function() {
-  const year = new Date().getFullYear();
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `KCE-${year}-${random}`;
+  return nextNumber('receipt');
 };
 
 // Method to mark as completed
 donationSchema.methods.markAsCompleted = function(transactionId) {
   this.paymentStatus = 'completed';
   this.transactionId = transactionId;
-  this.receiptNumber = this.generateReceiptNumber();
   this.verificationDate = new Date();
   this.isVerified = true;
   return this.save();
@@ -192,6 +578,7 @@ donationSchema.set('toJSON', {
       ret.donor.email = '';
       ret.donor.phone = '';
       ret.donor.address = {};
+      if (ret.donorWall) ret.donorWall.displayName = undefined;
     }
     return ret;
   }
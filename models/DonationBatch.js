@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Cash and cheque gifts collected offline, e.g. at an event or harambee, entered
+// together and banked on one deposit slip. A second admin approves the batch
+// before its donations are completed.
+const donationBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  collectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    enum: ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR']
+  },
+  depositSlip: {
+    number: {
+      type: String,
+      trim: true
+    },
+    bank: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Deposit amount cannot be negative']
+    },
+    depositedAt: Date
+  },
+  // Running totals of the donations entered, kept in step by refreshTotals()
+  donationCount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'approved'],
+    default: 'open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  // Last time an approver sent the batch back for corrections
+  rejection: {
+    reason: String,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+donationBatchSchema.index({ status: 1, createdAt: -1 });
+donationBatchSchema.index({ event: 1 });
+
+// Virtual for the difference between the deposit slip and the donations entered
+donationBatchSchema.virtual('variance').get(function() {
+  if (this.depositSlip?.amount === undefined || this.depositSlip?.amount === null) return null;
+  return Math.round((this.depositSlip.amount - this.total) * 100) / 100;
+});
+
+// Virtual for whether the donations add up to the deposit slip
+donationBatchSchema.virtual('isBalanced').get(function() {
+  return this.variance === 0 && this.donationCount > 0;
+});
+
+// Method to recount the batch's donations
+donationBatchSchema.methods.refreshTotals = async function() {
+  const [totals] = await mongoose.model('Donation').aggregate([
+    { $match: { batch: this._id } },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' } } }
+  ]);
+
+  this.donationCount = totals?.count || 0;
+  this.total = Math.round((totals?.total || 0) * 100) / 100;
+  return this.save();
+};
+
+// Ensure virtual fields are serialized
+donationBatchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('DonationBatch', donationBatchSchema);
@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const { normalizeKenyanPhone } = require('../utils/phone');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+
+const CONSENT_CHANNELS = ['email', 'sms', 'phone', 'post'];
+const CONSENT_SOURCES = ['donation_form', 'registration', 'account', 'admin', 'unsubscribe_link'];
+
+// Whether the donor agreed to hear from us on one channel, and where that came from
+const channelConsentSchema = new mongoose.Schema({
+  optedIn: {
+    type: Boolean,
+    default: false
+  },
+  updatedAt: Date,
+  source: {
+    type: String,
+    enum: CONSENT_SOURCES
+  }
+}, { _id: false });
+
+// One person who gives to the foundation. Guest donations are matched to a
+// donor by email or phone, gifts made while signed in to the account's own
+// donor, and giving totals are kept in the base reporting currency.
+const donorSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  emails: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  phones: [{
+    type: String,
+    trim: true
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  firstGiftDate: {
+    type: Date
+  },
+  lastGiftDate: {
+    type: Date
+  },
+  lifetimeTotal: {
+    type: Number,
+    default: 0
+  },
+  giftCount: {
+    type: Number,
+    default: 0
+  },
+  averageGift: {
+    type: Number,
+    default: 0
+  },
+  largestGift: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String
+  },
+  // Completed gifts that could not be counted in the totals for want of an exchange rate
+  unconvertedGifts: {
+    type: Number,
+    default: 0
+  },
+  purposesSupported: [{
+    type: String
+  }],
+  campaignsSupported: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  }],
+  // Calendar years with at least one gift, used for LYBUNT/SYBUNT segments
+  givingYears: [{
+    type: Number
+  }],
+  givingByYear: [{
+    year: Number,
+    total: Number,
+    count: Number
+  }],
+  hasActiveRecurring: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Marketing consent per channel, as the Data Protection Act requires
+  communication: {
+    email: { type: channelConsentSchema, default: () => ({}) },
+    sms: { type: channelConsentSchema, default: () => ({}) },
+    phone: { type: channelConsentSchema, default: () => ({}) },
+    post: { type: channelConsentSchema, default: () => ({}) }
+  },
+  // Every consent change, oldest first
+  consentHistory: [{
+    channel: {
+      type: String,
+      enum: CONSENT_CHANNELS,
+      required: true
+    },
+    optedIn: {
+      type: Boolean,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: CONSENT_SOURCES,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ip: String,
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+donorSchema.index({ emails: 1 });
+donorSchema.index({ phones: 1 });
+donorSchema.index({ user: 1 });
+donorSchema.index({ lifetimeTotal: -1 });
+donorSchema.index({ givingYears: 1 });
+donorSchema.index({ lastGiftDate: -1 });
+donorSchema.index({ 'communication.email.optedIn': 1 });
+donorSchema.index({ 'communication.sms.optedIn': 1 });
+
+// Virtual for donor full name
+donorSchema.virtual('fullName').get(function() {
+  return [this.firstName, this.lastName].filter(Boolean).join(' ');
+});
+
+// Virtual for the address donations are usually sent from
+donorSchema.virtual('email').get(function() {
+  return this.emails[0];
+});
+
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+  return normalizeKenyanPhone(phone) || String(phone).replace(/\D/g, '') || null;
+};
+
+// Static to find the donor a donation belongs to, creating one when nobody matches.
+// A gift made while signed in goes to the account's own profile. A guest gift
+// joins the unlinked profile with its email (or, without one, its phone), but
+// never merges profiles or adds contact details to one: the details on a form
+// are unverified, so combining donors is left to an admin.
+donorSchema.statics.findOrCreateForDonation = async function(donation) {
+  if (donation.user) {
+    const donor = await this.findOne({ user: donation.user }).sort({ createdAt: 1 });
+    if (donor) return donor;
+
+    const user = await mongoose.model('User').findById(donation.user).select('email emailVerified');
+    return this.create({
+      firstName: donation.donor.firstName,
+      lastName: donation.donor.lastName,
+      emails: user?.emailVerified ? [user.email] : [],
+      user: donation.user
+    });
+  }
+
+  const email = donation.donor.email?.toLowerCase();
+  const phone = normalizePhone(donation.donor.phone);
+  if (!email && !phone) return null;
+
+  const donor = await this.findOne({
+    user: { $exists: false },
+    ...(email ? { emails: email } : { phones: phone })
+  }).sort({ createdAt: 1 });
+  if (donor) return donor;
+
+  return this.create({
+    firstName: donation.donor.firstName,
+    lastName: donation.donor.lastName,
+    emails: email ? [email] : [],
+    phones: phone ? [phone] : []
+  });
+};
+
+// Method to record a consent answer for one channel. Only changes are kept in
+// the history; an earlier answer than the one on file is ignored.
+donorSchema.methods.setConsent = function(channel, optedIn, { source, changedBy, ip, note, at = new Date() } = {}) {
+  const current = this.communication[channel];
+  if (current.updatedAt && current.updatedAt > at) return false;
+  if (current.updatedAt && current.optedIn === optedIn) return false;
+
+  this.communication[channel] = { optedIn, updatedAt: at, source };
+  this.consentHistory.push({ channel, optedIn, source, changedAt: at, changedBy, ip, note });
+  return true;
+};
+
+// Method to take the consent answers given on a donation form
+donorSchema.methods.applyDonationConsent = function(donation) {
+  const consent = donation.consent;
+  if (!consent?.capturedAt) return false;
+
+  return CONSENT_CHANNELS
+    .filter(channel => typeof consent[channel] === 'boolean')
+    .map(channel => this.setConsent(channel, consent[channel], {
+      source: 'donation_form',
+      at: consent.capturedAt,
+      note: `Donation ${donation._id}`
+    }))
+    .some(Boolean);
+};
+
+// Method to merge another donor into this one, moving their donations across
+donorSchema.methods.absorb = async function(other) {
+  if (String(other._id) === String(this._id)) return this;
+
+  other.emails.forEach(email => {
+    if (!this.emails.includes(email)) this.emails.push(email);
+  });
+  other.phones.forEach(phone => {
+    if (!this.phones.includes(phone)) this.phones.push(phone);
+  });
+  if (!this.user && other.user) this.user = other.user;
+  // Keep the most recent consent answer for each channel
+  CONSENT_CHANNELS.forEach(channel => {
+    const theirs = other.communication?.[channel];
+    if (theirs?.updatedAt && !(this.communication[channel].updatedAt >= theirs.updatedAt)) {
+      this.communication[channel] = theirs.toObject();
+    }
+  });
+  this.consentHistory = [...this.consentHistory, ...other.consentHistory]
+    .sort((a, b) => a.changedAt - b.changedAt);
+  if (other.notes) this.notes = [this.notes, other.notes].filter(Boolean).join('\n');
+
+  await mongoose.model('Donation').updateMany({ donorProfile: other._id }, { $set: { donorProfile: this._id } });
+  await this.constructor.deleteOne({ _id: other._id });
+  return this;
+};
+
+// Method to recompute giving totals from the donor's completed donations
+donorSchema.methods.refreshStats = async function() {
+  const Donation = mongoose.model('Donation');
+  const baseCurrency = getBaseCurrency();
+
+  const gifts = await Donation.find({
+    donorProfile: this._id,
+    paymentStatus: 'completed',
+    isRecurring: { $ne: true }
+  })
+    .select('amount refundedAmount baseAmount baseCurrency exchangeRate purpose campaign verificationDate createdAt')
+    .lean();
+
+  const byYear = new Map();
+  const purposes = new Set();
+  const campaigns = new Set();
+  let total = 0;
+  let counted = 0;
+  let largest = 0;
+  let unconverted = 0;
+
+  for (const gift of gifts) {
+    const date = gift.verificationDate || gift.createdAt;
+    const year = new Date(date).getFullYear();
+    if (gift.purpose) purposes.add(gift.purpose);
+    if (gift.campaign) campaigns.add(String(gift.campaign));
+
+    if (gift.baseCurrency !== baseCurrency || gift.baseAmount === undefined) {
+      unconverted += 1;
+      continue;
+    }
+
+    // Refunds are in the donation currency; convert them at the gift's own rate
+    const net = gift.baseAmount - (gift.refundedAmount || 0) * (gift.exchangeRate || 1);
+    total += net;
+    counted += 1;
+    largest = Math.max(largest, net);
+
+    const entry = byYear.get(year) || { year, total: 0, count: 0 };
+    entry.total += net;
+    entry.count += 1;
+    byYear.set(year, entry);
+  }
+
+  const dates = gifts.map(g => new Date(g.verificationDate || g.createdAt).getTime());
+  const round = (value) => Math.round(value * 100) / 100;
+
+  this.giftCount = gifts.length;
+  this.lifetimeTotal = round(total);
+  this.averageGift = counted ? round(total / counted) : 0;
+  this.largestGift = round(largest);
+  this.currency = baseCurrency;
+  this.unconvertedGifts = unconverted;
+  this.firstGiftDate = dates.length ? new Date(Math.min(...dates)) : undefined;
+  this.lastGiftDate = dates.length ? new Date(Math.max(...dates)) : undefined;
+  this.purposesSupported = [...purposes];
+  this.campaignsSupported = [...campaigns];
+  this.givingByYear = [...byYear.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(entry => ({ ...entry, total: round(entry.total) }));
+  this.givingYears = [...new Set(dates.map(d => new Date(d).getFullYear()))].sort();
+  this.hasActiveRecurring = await Donation.exists({
+    donorProfile: this._id,
+    isRecurring: true,
+    recurringStatus: 'active'
+  }) !== null;
+
+  return this.save();
+};
+
+// Static to link a donation to its donor and bring the donor's totals up to date
+donorSchema.statics.syncDonation = async function(donation) {
+  let donor = donation.donorProfile ? await this.findById(donation.donorProfile) : null;
+  if (!donor) {
+    donor = await this.findOrCreateForDonation(donation);
+    if (!donor) return null;
+    await mongoose.model('Donation').updateOne({ _id: donation._id }, { $set: { donorProfile: donor._id } });
+    donation.donorProfile = donor._id;
+  }
+  donor.applyDonationConsent(donation);
+  return donor.refreshStats();
+};
+
+// Ensure virtual fields are serialized
+donorSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Donor', donorSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Outbox entry for a transactional email. Messages are rendered when queued and
+// delivered by the outbox worker, which retries failures with backoff.
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    enum: [
+      'welcome',
+      'password_reset',
+      'donation_thank_you',
+      'membership_approved',
+      'membership_suspended',
+      'membership_expiring',
+      'event_registration',
+      'giving_statement',
+      'tribute_acknowledgement',
+      'pledge_reminder',
+      'donation_claim_code',
+      'email_change_code',
+      'donor_appeal'
+    ],
+    required: [true, 'Template is required']
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  // Attachments point at stored PDFs rather than copying them
+  attachments: [{
+    filename: {
+      type: String,
+      required: true
+    },
+    contentType: {
+      type: String,
+      default: 'application/pdf'
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IssuedDocument',
+      required: true
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+  sentAt: Date,
+  transport: String,
+  providerMessageId: String,
+  // What the message is about, e.g. { donation: id }
+  related: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+emailMessageSchema.index({ template: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
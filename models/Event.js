@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -71,6 +72,28 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // One ticket per registration; cancelled tickets are kept so the sequence stays complete
+  tickets: [{
+    number: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['valid', 'cancelled'],
+      default: 'valid'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    cancelledAt: Date
+  }],
   organizers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -145,6 +168,7 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ date: 1, status: 1 });
 eventSchema.index({ eventType: 1, category: 1 });
 eventSchema.index({ isFeatured: 1, date: 1 });
+eventSchema.index({ 'tickets.number': 1 });
 
 // Virtual for checking if event is upcoming
 eventSchema.virtual('isUpcoming').get(function() {
@@ -172,17 +196,30 @@ eventSchema.methods.isUserRegistered = function(userId) {
   return this.registeredAttendees.includes(userId);
 };
 
-// Method to register user
-eventSchema.methods.registerUser = function(userId) {
+// Method to get the user's valid ticket
+eventSchema.methods.ticketFor = function(userId) {
+  return this.tickets.find(ticket => ticket.user.equals(userId) && ticket.status === 'valid') || null;
+};
+
+// Method to register user and issue their ticket
+eventSchema.methods.registerUser = async function(userId) {
   if (!this.registeredAttendees.includes(userId)) {
     this.registeredAttendees.push(userId);
   }
+  if (!this.ticketFor(userId)) {
+    this.tickets.push({ number: await nextNumber('ticket'), user: userId });
+  }
   return this.save();
 };
 
-// Method to unregister user
+// Method to unregister user and cancel their ticket
 eventSchema.methods.unregisterUser = function(userId) {
   this.registeredAttendees = this.registeredAttendees.filter(id => !id.equals(userId));
+  const ticket = this.ticketFor(userId);
+  if (ticket) {
+    ticket.status = 'cancelled';
+    ticket.cancelledAt = new Date();
+  }
   return this.save();
 };
 
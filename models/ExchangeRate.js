@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// How many units of the base reporting currency one unit of `currency` was
+// worth from `effectiveDate` until the next rate for the same pair
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR']
+  },
+  baseCurrency: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    enum: ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Source cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+exchangeRateSchema.index({ currency: 1, baseCurrency: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A generated PDF kept exactly as it was issued. Regenerating a document adds
+// a new version rather than changing one a donor may already hold.
+const issuedDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['donation_receipt', 'membership_invoice', 'membership_receipt', 'giving_statement_pdf', 'giving_statement_csv', 'tribute_card'],
+    required: [true, 'Document type is required']
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  // paymentId of the membership.payments[] entry the document is for
+  membershipPaymentId: {
+    type: String
+  },
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  // Calendar year an annual giving statement covers
+  year: {
+    type: Number
+  },
+  number: {
+    type: String,
+    required: [true, 'Document number is required']
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    default: 'application/pdf'
+  },
+  // Hash of the data the document was built from; a statement is reissued when it changes
+  fingerprint: {
+    type: String
+  },
+  content: {
+    type: Buffer,
+    required: true,
+    select: false
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+issuedDocumentSchema.index({ type: 1, donation: 1, version: -1 });
+issuedDocumentSchema.index({ type: 1, membership: 1, membershipPaymentId: 1, version: -1 });
+issuedDocumentSchema.index({ type: 1, donor: 1, year: 1, version: -1 });
+
+module.exports = mongoose.model('IssuedDocument', issuedDocumentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../utils/numbering');
 
 const membershipSchema = new mongoose.Schema({
   applicant: {
@@ -34,6 +35,10 @@ const membershipSchema = new mongoose.Schema({
   expiryDate: {
     type: Date
   },
+  // Expiry date the last expiry reminder was sent for
+  expiryReminderFor: {
+    type: Date
+  },
   membershipNumber: {
     type: String,
     unique: true,
@@ -151,6 +156,15 @@ const membershipSchema = new mongoose.Schema({
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    // Ledger record of this payment
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
     mpesaDetails: {
       phoneNumber: String,
       transactionCode: String
@@ -159,6 +173,9 @@ const membershipSchema = new mongoose.Schema({
       startDate: Date,
       endDate: Date
     },
+    // Assigned from the invoice and receipt sequences when each document is first issued
+    invoiceNumber: String,
+    receiptNumber: String,
     notes: String
   }],
   // Payment progress tracking
@@ -294,22 +311,22 @@ membershipSchema.virtual('paymentProgressPercentage').get(function() {
   }
 });
 
-// Method to generate membership number
+// Method to generate the next membership number for the membership type
 membershipSchema.methods.generateMembershipNumber = function() {
-  const year = new Date().getFullYear();
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  const typeCode = this.membershipType.toUpperCase();
-  return `KCE-${typeCode}-${year}-${random}`;
+  return nextNumber('membership', { scope: this.membershipType });
 };
 
 // Method to approve membership
-membershipSchema.methods.approve = function(reviewerId, notes = '') {
+membershipSchema.methods.approve = async function(reviewerId, notes = '') {
   this.status = 'active';
   this.approvalDate = new Date();
   this.startDate = new Date();
   this.reviewedBy = reviewerId;
   this.reviewNotes = notes;
-  this.membershipNumber = this.generateMembershipNumber();
+  // Members approved again after a suspension keep their number
+  if (!this.membershipNumber) {
+    this.membershipNumber = await this.generateMembershipNumber();
+  }
   
   // Set expiry date based on payment plan
   const expiryDate = new Date();
@@ -342,34 +359,67 @@ membershipSchema.methods.addPayment = function(paymentData) {
     status: paymentData.status || 'completed',
     mpesaDetails: paymentData.mpesaDetails,
     period: paymentData.period,
-    notes: paymentData.notes
+    notes: paymentData.notes,
+    payment: paymentData.payment
   };
 
   this.payments.push(payment);
   
   // Update payment progress
   if (payment.status === 'completed') {
-    this.paymentProgress.totalPaid += payment.amount;
-    this.paymentProgress.lastPaymentDate = new Date();
-    this.paymentProgress.consecutivePayments += 1;
-    
-    // Set next payment date
-    const nextPaymentDate = new Date();
-    if (this.fees.selectedPlan === 'annual') {
-      nextPaymentDate.setFullYear(nextPaymentDate.getFullYear() + 1);
-    } else {
-      nextPaymentDate.setMonth(nextPaymentDate.getMonth() + 1);
-    }
-    this.paymentProgress.nextPaymentDate = nextPaymentDate;
-    
-    // Update payment status
-    this.paymentProgress.paymentStatus = 'up_to_date';
-    this.paymentProgress.overdueAmount = 0;
+    this.recordCompletedPayment(payment);
   }
   
   return this.save();
 };
 
+// Method to update payment progress for a completed payment (does not save)
+membershipSchema.methods.recordCompletedPayment = function(payment) {
+  this.paymentProgress.totalPaid += payment.amount;
+  this.paymentProgress.lastPaymentDate = new Date();
+  this.paymentProgress.consecutivePayments += 1;
+  
+  // Set next payment date
+  const nextPaymentDate = new Date();
+  if (this.fees.selectedPlan === 'annual') {
+    nextPaymentDate.setFullYear(nextPaymentDate.getFullYear() + 1);
+  } else {
+    nextPaymentDate.setMonth(nextPaymentDate.getMonth() + 1);
+  }
+  this.paymentProgress.nextPaymentDate = nextPaymentDate;
+  
+  // Update payment status
+  this.paymentProgress.paymentStatus = 'up_to_date';
+  this.paymentProgress.overdueAmount = 0;
+};
+
+// Method to settle a pending payment once the provider confirms or rejects it
+membershipSchema.methods.settlePayment = function(paymentId, status, details = {}) {
+  const payment = this.payments.find(p => p.paymentId === paymentId);
+  if (!payment) {
+    throw new Error('Membership payment not found');
+  }
+
+  // Settled payments are final
+  if (payment.status !== 'pending') {
+    return Promise.resolve(this);
+  }
+
+  payment.status = status;
+  if (details.transactionCode) {
+    payment.set('mpesaDetails.transactionCode', details.transactionCode);
+  }
+  if (details.notes) {
+    payment.notes = details.notes;
+  }
+
+  if (status === 'completed') {
+    this.recordCompletedPayment(payment);
+  }
+
+  return this.save();
+};
+
 // Method to check payment status
 membershipSchema.methods.checkPaymentStatus = function() {
   const now = new Date();
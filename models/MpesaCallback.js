@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const mpesaCallbackSchema = new mongoose.Schema({
+  checkoutRequestId: {
+    type: String,
+    required: [true, 'CheckoutRequestID is required'],
+    unique: true
+  },
+  merchantRequestId: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String
+  },
+  amount: {
+    type: Number
+  },
+  phone: {
+    type: String
+  },
+  mpesaReceiptNumber: {
+    type: String
+  },
+  transactionDate: {
+    type: String
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  targetType: {
+    type: String,
+    enum: ['donation', 'membership', 'event']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  processingStatus: {
+    type: String,
+    enum: ['received', 'processed', 'not_found', 'already_final', 'amount_mismatch', 'error'],
+    default: 'received'
+  },
+  processingNotes: {
+    type: String
+  },
+  sourceIp: {
+    type: String
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+mpesaCallbackSchema.index({ processingStatus: 1, createdAt: -1 });
+mpesaCallbackSchema.index({ mpesaReceiptNumber: 1 });
+
+module.exports = mongoose.model('MpesaCallback', mpesaCallbackSchema);
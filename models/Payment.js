@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+// Every payment attempt and settlement, whatever it paid for. Donations and
+// membership payments point at their Payment, which is the source of truth
+// for callbacks, reconciliation, refunds and finance reports.
+const paymentSchema = new mongoose.Schema({
+  payableType: {
+    type: String,
+    enum: ['Donation', 'Membership', 'Event'],
+    required: [true, 'Payable type is required']
+  },
+  payable: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'payableType',
+    required: [true, 'Payable reference is required']
+  },
+  // paymentId of the membership.payments[] entry this payment settles
+  membershipPaymentId: {
+    type: String
+  },
+  method: {
+    type: String,
+    enum: ['mpesa', 'card', 'paypal', 'bank_transfer', 'cash', 'check', 'other'],
+    required: [true, 'Payment method is required']
+  },
+  provider: {
+    type: String,
+    enum: ['mpesa', 'stripe', 'local', 'manual', 'simulated'],
+    required: [true, 'Payment provider is required']
+  },
+  channel: {
+    type: String,
+    enum: ['stk_push', 'c2b', 'online', 'offline']
+  },
+  // Provider's identifier for the attempt, e.g. CheckoutRequestID, C2B TransID or checkout session id
+  providerReference: {
+    type: String
+  },
+  merchantRequestId: {
+    type: String
+  },
+  // Provider's receipt for the settled payment, e.g. the M-Pesa receipt number
+  providerReceipt: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [1, 'Payment amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Refunds requested, in progress or completed against the payment. Kept as a
+  // running total so concurrent requests cannot refund more than was paid.
+  refundRequestedAmount: {
+    type: Number
+  },
+  payer: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Set when the provider's answer does not match what we expected, e.g. a different amount
+  requiresReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String
+  },
+  // Admin who cleared the review flag, and why
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [1000, 'Review note cannot exceed 1000 characters']
+  },
+  settledAt: {
+    type: Date
+  },
+  statusHistory: [{
+    status: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      enum: ['system', 'callback', 'reconciler', 'c2b', 'webhook', 'admin', 'refund']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+paymentSchema.index({ payableType: 1, payable: 1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ providerReceipt: 1 });
+
+// Virtual for the reference a payer quotes on a bank transfer
+paymentSchema.virtual('bankReference').get(function() {
+  return `KCE-${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+// Method to move the payment to a new status and record it in the history
+paymentSchema.methods.transition = function(status, { source = 'system', changedBy, note } = {}) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt: new Date(),
+    source,
+    changedBy,
+    note
+  });
+  if (status === 'completed') {
+    this.settledAt = new Date();
+  }
+};
+
+// Static to move a payment out of pending in one atomic update. Returns the
+// updated payment, or null when something else settled it first.
+paymentSchema.statics.settleIfPending = function(id, status, { source = 'system', changedBy, note, providerReceipt } = {}) {
+  const changedAt = new Date();
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    {
+      $set: {
+        status,
+        ...(providerReceipt ? { providerReceipt } : {}),
+        ...(status === 'completed' ? { settledAt: changedAt } : {})
+      },
+      $push: { statusHistory: { status, changedAt, source, changedBy, note } }
+    },
+    { new: true }
+  );
+};
+
+// Ensure virtual fields are serialized
+paymentSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.PAYMENT_ATTEMPT_RETENTION_DAYS) || 90;
+
+// One request to start a payment from a public form, kept for review. The
+// per-phone and per-IP limits are counted in PaymentAttemptCount.
+const paymentAttemptSchema = new mongoose.Schema({
+  route: {
+    type: String,
+    required: [true, 'Route is required']
+  },
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  ip: String,
+  userAgent: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  outcome: {
+    type: String,
+    enum: ['allowed', 'blocked'],
+    required: [true, 'Outcome is required']
+  },
+  reason: {
+    type: String,
+    enum: ['blocklist', 'captcha', 'cooldown', 'phone_limit', 'ip_limit']
+  },
+  // Blocklist entry that matched
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlockedPayer'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+paymentAttemptSchema.index({ phone: 1, outcome: 1, createdAt: -1 });
+paymentAttemptSchema.index({ ip: 1, outcome: 1, createdAt: -1 });
+paymentAttemptSchema.index({ outcome: 1, reason: 1, createdAt: -1 });
+paymentAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PaymentAttempt', paymentAttemptSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Number of payment attempts let through for one phone or IP in one fixed time
+// window. Incremented atomically, so a burst of parallel requests cannot all
+// read the same count and slip past the limit.
+const paymentAttemptCountSchema = new mongoose.Schema({
+  // "phone:2547XXXXXXXX" or "ip:203.0.113.5"
+  key: {
+    type: String,
+    required: [true, 'Counter key is required']
+  },
+  // Start of the window
+  window: {
+    type: Date,
+    required: [true, 'Window is required']
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Index for better query performance
+paymentAttemptCountSchema.index({ key: 1, window: 1 }, { unique: true });
+// Counts are removed once their window has passed
+paymentAttemptCountSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PaymentAttemptCount', paymentAttemptCountSchema);
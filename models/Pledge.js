@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Installment due date is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [0.01, 'Installment amount must be positive']
+  },
+  // Share of the pledge's fulfilled amount applied to this installment
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partially_paid', 'paid', 'overdue'],
+    default: 'pending'
+  },
+  reminderSentAt: Date,
+  overdueNoticeSentAt: Date
+});
+
+// A commitment to give an amount over time. Installments are paid by ordinary
+// donations that reference the pledge.
+const pledgeSchema = new mongoose.Schema({
+  donor: {
+    firstName: {
+      type: String,
+      required: [true, 'Donor first name is required'],
+      trim: true
+    },
+    lastName: {
+      type: String,
+      required: [true, 'Donor last name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Donor email is required'],
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  donorProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Pledged amount is required'],
+    min: [1, 'Pledged amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    enum: ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR']
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Event the pledge was made at, e.g. a fundraiser dinner
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  purpose: {
+    type: String,
+    enum: ['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'],
+    default: 'general'
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly', 'custom'],
+    default: 'monthly'
+  },
+  installments: {
+    type: [installmentSchema],
+    validate: {
+      validator: installments => installments.length > 0,
+      message: 'A pledge needs at least one installment'
+    }
+  },
+  fulfilledAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['on_track', 'behind', 'fulfilled', 'cancelled'],
+    default: 'on_track'
+  },
+  cancellationReason: String,
+  // Days before an installment is due that the donor is reminded
+  reminderDaysBefore: {
+    type: Number,
+    default: 3,
+    min: [0, 'Reminder days cannot be negative']
+  },
+  remindersEnabled: {
+    type: Boolean,
+    default: true
+  },
+  pledgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+pledgeSchema.index({ status: 1, 'installments.dueDate': 1 });
+pledgeSchema.index({ 'donor.email': 1 });
+pledgeSchema.index({ campaign: 1, status: 1 });
+pledgeSchema.index({ event: 1 });
+
+// Virtual for the amount still to be paid
+pledgeSchema.virtual('balance').get(function() {
+  return Math.max(0, Math.round((this.amount - this.fulfilledAmount) * 100) / 100);
+});
+
+// Virtual for the amount that should have been paid by now but has not
+pledgeSchema.virtual('overdueAmount').get(function() {
+  const now = new Date();
+  const overdue = this.installments
+    .filter(i => i.dueDate < now)
+    .reduce((sum, i) => sum + (i.amount - i.paidAmount), 0);
+  return Math.max(0, Math.round(overdue * 100) / 100);
+});
+
+// Virtual for the next installment that is not fully paid
+pledgeSchema.virtual('nextInstallment').get(function() {
+  return this.installments.find(i => i.status !== 'paid') || null;
+});
+
+// Static to split a pledge into equal installments, the rounding difference on the last one
+pledgeSchema.statics.buildSchedule = function(amount, frequency, count, firstDueDate) {
+  const installments = [];
+  const share = Math.floor((amount / count) * 100) / 100;
+  const start = new Date(firstDueDate);
+  const day = start.getDate();
+
+  for (let i = 0; i < count; i++) {
+    const dueDate = new Date(start);
+    // Keep month-end due dates in their month (31 Jan -> 28/29 Feb, not 3 Mar)
+    dueDate.setDate(1);
+    dueDate.setMonth(start.getMonth() + i * INTERVAL_MONTHS[frequency]);
+    const lastDay = new Date(dueDate.getFullYear(), dueDate.getMonth() + 1, 0).getDate();
+    dueDate.setDate(Math.min(day, lastDay));
+
+    installments.push({
+      number: i + 1,
+      dueDate,
+      amount: i === count - 1 ? Math.round((amount - share * (count - 1)) * 100) / 100 : share
+    });
+  }
+
+  return installments;
+};
+
+// Method to apply the fulfilled amount to installments in due-date order and
+// work out whether the donor is on track
+pledgeSchema.methods.applyPayments = function(now = new Date()) {
+  let remaining = this.fulfilledAmount;
+
+  this.installments
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .forEach(installment => {
+      installment.paidAmount = Math.round(Math.min(remaining, installment.amount) * 100) / 100;
+      remaining = Math.max(0, remaining - installment.amount);
+
+      if (installment.paidAmount >= installment.amount) {
+        installment.status = 'paid';
+      } else if (installment.dueDate < now) {
+        installment.status = 'overdue';
+      } else {
+        installment.status = installment.paidAmount > 0 ? 'partially_paid' : 'pending';
+      }
+    });
+
+  if (this.status !== 'cancelled') {
+    if (this.fulfilledAmount >= this.amount) {
+      this.status = 'fulfilled';
+    } else {
+      this.status = this.installments.some(i => i.status === 'overdue') ? 'behind' : 'on_track';
+    }
+  }
+
+  return this;
+};
+
+// Method to total the completed donations linked to the pledge (net of refunds)
+pledgeSchema.methods.refreshFulfilment = async function() {
+  const [totals] = await mongoose.model('Donation').aggregate([
+    { $match: { pledge: this._id, paymentStatus: 'completed' } },
+    {
+      $group: {
+        _id: null,
+        amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
+      }
+    }
+  ]);
+
+  this.fulfilledAmount = Math.round((totals?.amount || 0) * 100) / 100;
+  this.applyPayments();
+  return this.save();
+};
+
+// Ensure virtual fields are serialized
+pledgeSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
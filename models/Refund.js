@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['donation', 'membership'],
+    required: [true, 'Refund target type is required']
+  },
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Membership'
+  },
+  // paymentId of the membership.payments[] entry being refunded
+  membershipPaymentId: {
+    type: String
+  },
+  // Ledger record of the payment being refunded
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [1, 'Refund amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  isPartial: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  method: {
+    type: String,
+    enum: ['reversal', 'b2c'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'failed', 'rejected'],
+    default: 'requested'
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // M-Pesa receipt of the payment being refunded
+  originalTransactionId: {
+    type: String
+  },
+  conversationId: {
+    type: String
+  },
+  originatorConversationId: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String
+  },
+  // M-Pesa receipt of the refund itself
+  mpesaTransactionId: {
+    type: String
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  history: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ donation: 1 });
+refundSchema.index({ membership: 1, membershipPaymentId: 1 });
+refundSchema.index({ conversationId: 1 });
+refundSchema.index({ originatorConversationId: 1 });
+
+// Method to move the refund to a new status and record it in the audit trail
+refundSchema.methods.transition = function(status, userId, note) {
+  this.status = status;
+  this.history.push({
+    status,
+    changedBy: userId,
+    changedAt: new Date(),
+    note
+  });
+};
+
+// Ensure virtual fields are serialized
+refundSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -30,7 +30,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'member', 'guest'],
+    enum: ['admin', 'finance', 'member', 'guest'],
     default: 'guest'
   },
   phone: {
@@ -1,27 +1,166 @@
 const axios = require('axios');
+const { normalizeKenyanPhone } = require('./utils/phone');
 require('dotenv').config();
 
-const MPESA_BASE_URL = 'https://sandbox.safaricom.co.ke';
+const MPESA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke',
+};
 
-async function getMpesaAccessToken() {
-  const consumerKey = process.env.MPESA_CONSUMER_KEY;
-  const consumerSecret = process.env.MPESA_CONSUMER_SECRET;
+// Status codes worth retrying; anything else is a definitive answer from Daraja
+const TRANSIENT_STATUS_CODES = [429, 502, 503, 504];
+
+// Refresh the access token this long before Daraja says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let tokenCache = {
+  token: null,
+  expiresAt: 0,
+  pending: null,
+};
+
+// The mock Daraja API served by this app (see routes/mockMpesa.js)
+function getMockBaseUrl() {
+  return process.env.MPESA_MOCK_BASE_URL || `http://localhost:${process.env.PORT || 5000}/api/mock-mpesa`;
+}
+
+function getMpesaConfig() {
+  const environment = process.env.MPESA_ENV || 'sandbox';
+  const baseUrl = environment === 'mock' ? getMockBaseUrl() : MPESA_BASE_URLS[environment];
+
+  if (!baseUrl) {
+    throw new Error(`Unknown MPESA_ENV '${environment}', expected 'sandbox', 'production' or 'mock'`);
+  }
+
+  if (environment === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('MPESA_ENV=mock cannot be used in production');
+  }
+
+  return {
+    environment,
+    baseUrl,
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortcode: process.env.MPESA_SHORTCODE,
+    passkey: process.env.MPESA_PASSKEY,
+    callbackUrl: process.env.MPESA_CALLBACK_URL,
+    maxRetries: parseInt(process.env.MPESA_MAX_RETRIES) || 3,
+    retryDelayMs: parseInt(process.env.MPESA_RETRY_DELAY_MS) || 500,
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors raised before the request reached Daraja
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function isTransientError(error, idempotent) {
+  if (!error.response) {
+    // A timeout may mean Daraja already acted on the request, so only
+    // idempotent calls are retried unless the connection never opened
+    return idempotent || CONNECTION_ERROR_CODES.includes(error.code);
+  }
+  return TRANSIENT_STATUS_CODES.includes(error.response.status);
+}
+
+// Run an HTTP call, retrying transient failures with exponential backoff
+async function withRetry(fn, { idempotent = true } = {}) {
+  const { maxRetries, retryDelayMs } = getMpesaConfig();
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !isTransientError(error, idempotent)) {
+        throw error;
+      }
+      const delay = retryDelayMs * 2 ** attempt;
+      attempt += 1;
+      console.warn(`M-Pesa request failed (${error.response?.status || error.code || error.message}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function fetchAccessToken() {
+  const { baseUrl, consumerKey, consumerSecret } = getMpesaConfig();
   const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
 
-  const response = await axios.get(`${MPESA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`, {
+  const response = await withRetry(() => axios.get(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
     headers: {
       Authorization: `Basic ${auth}`,
     },
-  });
-  return response.data.access_token;
+  }));
+
+  const expiresInMs = (parseInt(response.data.expires_in) || 3599) * 1000;
+  tokenCache.token = response.data.access_token;
+  tokenCache.expiresAt = Date.now() + expiresInMs - TOKEN_EXPIRY_MARGIN_MS;
+  return tokenCache.token;
 }
 
-async function initiateStkPush({ amount, phone, accountReference, transactionDesc }) {
-  const accessToken = await getMpesaAccessToken();
-  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
-  const shortcode = process.env.MPESA_SHORTCODE;
-  const passkey = process.env.MPESA_PASSKEY;
+// Return a cached access token, fetching a new one only when it has expired
+async function getMpesaAccessToken() {
+  if (tokenCache.token && Date.now() < tokenCache.expiresAt) {
+    return tokenCache.token;
+  }
+
+  // Share a single in-flight token request between concurrent callers
+  if (!tokenCache.pending) {
+    tokenCache.pending = fetchAccessToken().finally(() => {
+      tokenCache.pending = null;
+    });
+  }
+  return tokenCache.pending;
+}
+
+function clearAccessToken() {
+  tokenCache = { token: null, expiresAt: 0, pending: null };
+}
+
+// POST to a Daraja endpoint with a bearer token, refreshing the token once if it was rejected
+async function mpesaPost(path, payload, { idempotent = false } = {}) {
+  const { baseUrl } = getMpesaConfig();
+
+  const send = async () => {
+    const accessToken = await getMpesaAccessToken();
+    return withRetry(() => axios.post(`${baseUrl}${path}`, payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    }), { idempotent });
+  };
+
+  try {
+    return (await send()).data;
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    clearAccessToken();
+    return (await send()).data;
+  }
+}
+
+// Daraja expects timestamps in East Africa Time (UTC+3)
+function getTimestamp() {
+  return new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+}
+
+// Lipa Na M-Pesa password and timestamp shared by STK push and STK query
+function getStkCredentials() {
+  const { shortcode, passkey } = getMpesaConfig();
+  const timestamp = getTimestamp();
   const password = Buffer.from(shortcode + passkey + timestamp).toString('base64');
+  return { shortcode, password, timestamp };
+}
+
+async function initiateStkPush({ amount, phone, accountReference, transactionDesc }) {
+  const msisdn = normalizeKenyanPhone(phone);
+  if (!msisdn) {
+    throw new Error(`Invalid M-Pesa phone number: ${phone}`);
+  }
+
+  const { callbackUrl } = getMpesaConfig();
+  const { shortcode, password, timestamp } = getStkCredentials();
 
   const payload = {
     BusinessShortCode: shortcode,
@@ -29,27 +168,145 @@ async function initiateStkPush({ amount, phone, accountReference, transactionDes
     Timestamp: timestamp,
     TransactionType: 'CustomerPayBillOnline',
     Amount: amount,
-    PartyA: phone,
+    PartyA: msisdn,
     PartyB: shortcode,
-    PhoneNumber: phone,
-    CallBackURL: process.env.MPESA_CALLBACK_URL,
+    PhoneNumber: msisdn,
+    CallBackURL: callbackUrl,
     AccountReference: accountReference,
     TransactionDesc: transactionDesc,
   };
 
-  const response = await axios.post(
-    `${MPESA_BASE_URL}/mpesa/stkpush/v1/processrequest`,
-    payload,
-    {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
+  return mpesaPost('/mpesa/stkpush/v1/processrequest', payload);
+}
+
+// Query the status of an STK push by its CheckoutRequestID.
+// Resolves to { status: 'completed' | 'failed' | 'pending', resultCode, resultDesc }.
+async function queryStkPushStatus(checkoutRequestId) {
+  const { shortcode, password, timestamp } = getStkCredentials();
+
+  const payload = {
+    BusinessShortCode: shortcode,
+    Password: password,
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestId,
+  };
+
+  try {
+    const data = await mpesaPost('/mpesa/stkpushquery/v1/query', payload, { idempotent: true });
+    const resultCode = Number(data.ResultCode);
+    return {
+      status: resultCode === 0 ? 'completed' : 'failed',
+      resultCode,
+      resultDesc: data.ResultDesc,
+    };
+  } catch (error) {
+    // Daraja answers with an error while the customer has not yet responded
+    if (error.response?.data?.errorCode === '500.001.1001') {
+      return {
+        status: 'pending',
+        resultCode: null,
+        resultDesc: error.response.data.errorMessage,
+      };
     }
-  );
-  return response.data;
+    throw error;
+  }
+}
+
+// Register the C2B confirmation and validation URLs for the paybill.
+// responseType decides what Safaricom does when our validation URL is unreachable.
+async function registerC2BUrls({ confirmationUrl, validationUrl, responseType = 'Completed' } = {}) {
+  const { shortcode } = getMpesaConfig();
+
+  const payload = {
+    ShortCode: process.env.MPESA_C2B_SHORTCODE || shortcode,
+    ResponseType: responseType,
+    ConfirmationURL: confirmationUrl || process.env.MPESA_C2B_CONFIRMATION_URL,
+    ValidationURL: validationUrl || process.env.MPESA_C2B_VALIDATION_URL,
+  };
+
+  return mpesaPost('/mpesa/c2b/v1/registerurl', payload, { idempotent: true });
+}
+
+// Simulate a customer paying to the paybill (sandbox and mock only)
+async function simulateC2BPayment({ amount, phone, billRefNumber }) {
+  const { shortcode } = getMpesaConfig();
+
+  const payload = {
+    ShortCode: process.env.MPESA_C2B_SHORTCODE || shortcode,
+    CommandID: 'CustomerPayBillOnline',
+    Amount: amount,
+    Msisdn: normalizeKenyanPhone(phone),
+    BillRefNumber: billRefNumber,
+  };
+
+  return mpesaPost('/mpesa/c2b/v1/simulate', payload);
+}
+
+// Initiator name and encrypted initiator password (generated on the Daraja portal)
+function getInitiatorCredentials() {
+  return {
+    initiator: process.env.MPESA_INITIATOR_NAME,
+    securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+    resultUrl: process.env.MPESA_REFUND_RESULT_URL,
+    timeoutUrl: process.env.MPESA_REFUND_TIMEOUT_URL,
+  };
+}
+
+// Reverse a completed M-Pesa transaction back to the payer
+async function reverseTransaction({ transactionId, amount, remarks, occasion = '' }) {
+  const { shortcode } = getMpesaConfig();
+  const { initiator, securityCredential, resultUrl, timeoutUrl } = getInitiatorCredentials();
+
+  const payload = {
+    Initiator: initiator,
+    SecurityCredential: securityCredential,
+    CommandID: 'TransactionReversal',
+    TransactionID: transactionId,
+    Amount: amount,
+    ReceiverParty: process.env.MPESA_C2B_SHORTCODE || shortcode,
+    RecieverIdentifierType: '11',
+    ResultURL: resultUrl,
+    QueueTimeOutURL: timeoutUrl,
+    Remarks: remarks,
+    Occasion: occasion,
+  };
+
+  return mpesaPost('/mpesa/reversal/v1/request', payload);
+}
+
+// Send money from the B2C shortcode to a customer's phone
+async function b2cPayment({ amount, phone, remarks, occasion = '' }) {
+  const msisdn = normalizeKenyanPhone(phone);
+  if (!msisdn) {
+    throw new Error(`Invalid M-Pesa phone number: ${phone}`);
+  }
+
+  const { initiator, securityCredential, resultUrl, timeoutUrl } = getInitiatorCredentials();
+
+  const payload = {
+    InitiatorName: initiator,
+    SecurityCredential: securityCredential,
+    CommandID: 'BusinessPayment',
+    Amount: amount,
+    PartyA: process.env.MPESA_B2C_SHORTCODE,
+    PartyB: msisdn,
+    Remarks: remarks,
+    QueueTimeOutURL: timeoutUrl,
+    ResultURL: resultUrl,
+    Occasion: occasion,
+  };
+
+  return mpesaPost('/mpesa/b2c/v1/paymentrequest', payload);
 }
 
 module.exports = {
+  getMpesaConfig,
   getMpesaAccessToken,
+  clearAccessToken,
   initiateStkPush,
-}; 
\ No newline at end of file
+  queryStkPushStatus,
+  registerC2BUrls,
+  simulateC2BPayment,
+  reverseTransaction,
+  b2cPayment,
+};
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect, generateToken } = require('../middleware/auth');
+const { queueEmailSafely } = require('../utils/mailer');
+const { countUnclaimedDonations, startEmailChange, confirmEmailChange } = require('../utils/donationClaims');
+const { CONSENT_CHANNELS, consentFromBody, findOrCreateUserDonor, updatePreferences } = require('../utils/consent');
 
 const router = express.Router();
 
@@ -29,7 +32,11 @@ router.post('/register', [
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  ...CONSENT_CHANNELS.map(channel => body(`consent.${channel}`)
+    .optional()
+    .isBoolean()
+    .withMessage(`Consent to ${channel} must be true or false`))
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -60,13 +67,33 @@ router.post('/register', [
     });
 
     if (user) {
+      // Opt-ins ticked on the sign-up form
+      const consent = consentFromBody(req.body.consent);
+      if (consent) {
+        await updatePreferences(await findOrCreateUserDonor(user), consent, {
+          source: 'registration',
+          changedBy: user._id,
+          ip: (req.ip || '').replace(/^::ffff:/, '')
+        });
+      }
+
+      await queueEmailSafely({
+        to: user.email,
+        template: 'welcome',
+        data: { firstName: user.firstName },
+        related: { user: user._id }
+      });
+
       res.status(201).json({
         _id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        token: generateToken(user._id),
+        // Earlier gifts made with this email join the account only once the
+        // user confirms the address through POST /api/donations/claim/start
+        unclaimedDonations: await countUnclaimedDonations(user)
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -128,7 +155,8 @@ router.post('/login', [
       lastName: user.lastName,
       email: user.email,
       role: user.role,
-      token: generateToken(user._id)
+      token: generateToken(user._id),
+      unclaimedDonations: await countUnclaimedDonations(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -163,6 +191,11 @@ router.put('/profile', protect, [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
   body('phone')
     .optional()
     .isMobilePhone()
@@ -188,6 +221,24 @@ router.put('/profile', protect, [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // A new email only replaces the current one once a code sent to it is
+    // confirmed through PUT /api/auth/profile/email
+    let emailChange;
+    if (req.body.email && req.body.email !== user.email) {
+      const emailExists = await User.findOne({ email: req.body.email });
+      if (emailExists) {
+        return res.status(400).json({ message: 'Email already exists' });
+      }
+
+      const { verification, code } = await startEmailChange(user, req.body.email);
+      emailChange = {
+        verificationId: verification._id,
+        email: verification.value,
+        expiresAt: verification.expiresAt,
+        code: process.env.NODE_ENV === 'development' ? code : undefined
+      };
+    }
+
     // Update fields
     user.firstName = req.body.firstName || user.firstName;
     user.lastName = req.body.lastName || user.lastName;
@@ -198,13 +249,54 @@ router.put('/profile', protect, [
 
     const updatedUser = await user.save();
 
-    res.json(updatedUser);
+    res.json(emailChange ? { ...updatedUser.toJSON(), emailChange } : updatedUser);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Update profile error:', error);
     res.status(500).json({ message: 'Server error updating profile' });
   }
 });
 
+// @desc    Confirm a new email with the code sent to it
+// @route   PUT /api/auth/profile/email
+// @access  Private
+router.put('/profile/email', protect, [
+  body('verificationId')
+    .isMongoId()
+    .withMessage('Invalid verification id'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, claimed } = await confirmEmailChange(req.user, req.body.verificationId, req.body.code);
+
+    res.json({
+      user,
+      claimed,
+      message: 'Email updated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, attemptsRemaining: error.attemptsRemaining });
+    }
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ message: 'Server error updating email' });
+  }
+});
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -288,8 +380,15 @@ router.post('/forgot-password', [
     user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
     await user.save();
 
-    // TODO: Send email with reset link
-    // For now, just return the token (in production, send via email)
+    const resetUrl = `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/reset-password?token=${resetToken}`;
+    await queueEmailSafely({
+      to: user.email,
+      template: 'password_reset',
+      data: { firstName: user.firstName, resetUrl, expiresInMinutes: 10 },
+      related: { user: user._id }
+    });
+
+    // The token is also returned in development so the flow works without email
     res.json({ 
       message: 'Password reset email sent',
       resetToken: process.env.NODE_ENV === 'development' ? resetToken : undefined
@@ -0,0 +1,283 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const BankStatement = require('../models/BankStatement');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  importStatement,
+  proposeMatches,
+  resolveProposals,
+  assignLine,
+  ignoreLine
+} = require('../utils/bankStatements');
+
+const router = express.Router();
+
+// Multer setup (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|ofx|qfx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and OFX statements are allowed'), false);
+    }
+  }
+});
+
+const uploadStatement = (req, res, next) => {
+  upload.single('statement')(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+};
+
+const sendError = (res, error, label, message) => {
+  if (!error.statusCode) console.error(`${label} error:`, error);
+  res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : message });
+};
+
+// @desc    Get imported bank statements (Admin only)
+// @route   GET /api/bank-statements
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const statements = await BankStatement.find()
+      .populate('uploadedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await BankStatement.countDocuments();
+
+    res.json({
+      // Lines are returned by GET /api/bank-statements/:id
+      statements: statements.map(statement => {
+        const { lines, ...rest } = statement.toJSON();
+        return rest;
+      }),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalStatements: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get bank statements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upload a CSV or OFX bank statement and propose matches
+// @route   POST /api/bank-statements
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), uploadStatement, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No statement file provided' });
+    }
+
+    const statement = await importStatement({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      accountName: req.body.accountName,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      statement,
+      message: `Imported ${statement.lines.length} lines, ${statement.summary.proposed} with proposed matches`
+    });
+  } catch (error) {
+    sendError(res, error, 'Import bank statement', 'Server error importing statement');
+  }
+});
+
+// @desc    Get unmatched lines from every statement (Admin only)
+// @route   GET /api/bank-statements/lines/unmatched
+// @access  Private (Admin)
+router.get('/lines/unmatched', protect, authorize('admin'), async (req, res) => {
+  try {
+    const lines = await BankStatement.aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.status': 'unmatched' } },
+      { $sort: { 'lines.date': -1 } },
+      {
+        $project: {
+          _id: 0,
+          statement: '$_id',
+          fileName: 1,
+          line: '$lines'
+        }
+      }
+    ]);
+
+    res.json(lines);
+  } catch (error) {
+    console.error('Get unmatched lines error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get a bank statement with its lines and proposed payments
+// @route   GET /api/bank-statements/:id
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const statement = await BankStatement.findById(req.params.id)
+      .populate('uploadedBy', 'firstName lastName')
+      .populate('lines.payment');
+
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    res.json(statement);
+  } catch (error) {
+    console.error('Get bank statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Propose matches again for unmatched lines, e.g. after new transfers are recorded
+// @route   POST /api/bank-statements/:id/match
+// @access  Private (Admin)
+router.post('/:id/match', protect, authorize('admin'), async (req, res) => {
+  try {
+    const statement = await BankStatement.findById(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    await proposeMatches(statement);
+
+    res.json({
+      statement,
+      message: 'Matching completed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Match bank statement', 'Server error matching statement');
+  }
+});
+
+// @desc    Confirm and reject proposed matches in bulk
+// @route   POST /api/bank-statements/:id/resolve
+// @access  Private (Admin)
+router.post('/:id/resolve', protect, authorize('admin'), [
+  body('confirm')
+    .optional()
+    .isArray()
+    .withMessage('Confirm must be a list of line ids'),
+  body('reject')
+    .optional()
+    .isArray()
+    .withMessage('Reject must be a list of line ids')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const statement = await BankStatement.findById(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    const results = await resolveProposals(statement, req.body, req.user._id);
+
+    res.json({
+      results,
+      summary: statement.summary,
+      message: 'Matches resolved'
+    });
+  } catch (error) {
+    sendError(res, error, 'Resolve bank matches', 'Server error resolving matches');
+  }
+});
+
+// @desc    Match a statement line to a pending bank transfer by hand
+// @route   PUT /api/bank-statements/:id/lines/:lineId/assign
+// @access  Private (Admin)
+router.put('/:id/lines/:lineId/assign', protect, authorize('admin'), [
+  body('paymentId')
+    .isMongoId()
+    .withMessage('Valid payment id is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const statement = await BankStatement.findById(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    const line = await assignLine(statement, req.params.lineId, req.body.paymentId, req.user._id);
+
+    res.json({
+      line,
+      message: 'Line matched successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Assign bank line', 'Server error matching line');
+  }
+});
+
+// @desc    Mark a statement line as unrelated to any payment
+// @route   PUT /api/bank-statements/:id/lines/:lineId/ignore
+// @access  Private (Admin)
+router.put('/:id/lines/:lineId/ignore', protect, authorize('admin'), [
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const statement = await BankStatement.findById(req.params.id);
+    if (!statement) {
+      return res.status(404).json({ message: 'Bank statement not found' });
+    }
+
+    const line = await ignoreLine(statement, req.params.lineId, req.user._id, req.body.notes);
+
+    res.json({
+      line,
+      message: 'Line ignored'
+    });
+  } catch (error) {
+    sendError(res, error, 'Ignore bank line', 'Server error updating line');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { v2: cloudinary } = require('cloudinary');
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const Event = require('../models/Event');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { getCampaignProgress } = require('../utils/campaigns');
+
+const router = express.Router();
+
+// Cloudinary config
+cloudinary.config(); // Uses CLOUDINARY_URL from environment
+
+// Multer setup (memory storage)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Check file type
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+const uploadCoverImage = (buffer) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream({ resource_type: 'image' }, (error, result) => {
+    if (error) return reject(error);
+    resolve(result.secure_url);
+  });
+  stream.end(buffer);
+});
+
+// Only fundraiser events can be linked to a campaign
+const checkFundraiserEvent = async (eventId) => {
+  if (!eventId) return null;
+  const event = await Event.findById(eventId);
+  if (!event) return 'Linked event not found';
+  if (event.eventType !== 'fundraiser') return 'Only fundraiser events can be linked to a campaign';
+  return null;
+};
+
+const campaignValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 5, max: 100 })
+      .withMessage('Title must be between 5 and 100 characters'),
+    field('story')
+      .trim()
+      .isLength({ min: 20, max: 10000 })
+      .withMessage('Story must be between 20 and 10000 characters'),
+    field('targetAmount')
+      .isFloat({ min: 1 })
+      .withMessage('Target amount must be at least 1'),
+    field('startDate')
+      .isISO8601()
+      .withMessage('Please provide a valid start date'),
+    body('endDate')
+      .optional({ values: 'falsy' })
+      .isISO8601()
+      .withMessage('Please provide a valid end date')
+      .custom((value, { req }) => !req.body.startDate || new Date(value) > new Date(req.body.startDate))
+      .withMessage('End date must be after the start date'),
+    body('currency')
+      .optional()
+      .isIn(['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR'])
+      .withMessage('Invalid currency'),
+    body('status')
+      .optional()
+      .isIn(['draft', 'active', 'paused', 'completed', 'cancelled'])
+      .withMessage('Invalid status'),
+    body('event')
+      .optional({ values: 'falsy' })
+      .isMongoId()
+      .withMessage('Invalid event id')
+  ];
+};
+
+// @desc    Get campaigns with their progress
+// @route   GET /api/campaigns
+// @access  Public (drafts and other statuses for admins only)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = 'active', featured, search } = req.query;
+
+    const query = {};
+
+    // Public visitors only see live campaigns
+    if (req.user?.role === 'admin') {
+      if (status !== 'all') query.status = status;
+    } else {
+      query.status = { $in: ['active', 'completed'] };
+      if (['active', 'completed'].includes(status)) query.status = status;
+    }
+
+    if (featured === 'true') query.isFeatured = true;
+
+    if (search) {
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { shortDescription: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const campaigns = await Campaign.find(query)
+      .populate('event', 'title date location')
+      .sort({ isFeatured: -1, startDate: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Campaign.countDocuments(query);
+    const progress = await getCampaignProgress(campaigns);
+
+    res.json({
+      campaigns: campaigns.map(campaign => ({
+        ...campaign.toJSON(),
+        progress: progress[campaign._id]
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalCampaigns: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get single campaign with its progress
+// @route   GET /api/campaigns/:id
+// @access  Public (drafts for admins only)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('event', 'title date location imageUrl')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!campaign || (campaign.status === 'draft' && req.user?.role !== 'admin')) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const progress = await getCampaignProgress(campaign);
+
+    res.json({
+      ...campaign.toJSON(),
+      progress
+    });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create campaign
+// @route   POST /api/campaigns
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), upload.single('coverImage'), campaignValidation(false), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const eventError = await checkFundraiserEvent(req.body.event);
+    if (eventError) {
+      return res.status(400).json({ message: eventError });
+    }
+
+    const campaignData = {
+      ...req.body,
+      event: req.body.event || undefined,
+      createdBy: req.user._id
+    };
+
+    if (req.file) {
+      campaignData.coverImage = await uploadCoverImage(req.file.buffer);
+    }
+
+    const campaign = await Campaign.create(campaignData);
+
+    res.status(201).json({
+      campaign,
+      message: 'Campaign created successfully'
+    });
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Server error creating campaign' });
+  }
+});
+
+// @desc    Update campaign
+// @route   PUT /api/campaigns/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), upload.single('coverImage'), campaignValidation(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const eventError = await checkFundraiserEvent(req.body.event);
+    if (eventError) {
+      return res.status(400).json({ message: eventError });
+    }
+
+    const updateData = { ...req.body };
+    delete updateData.createdBy;
+    if (updateData.event === '') updateData.event = undefined;
+
+    if (req.file) {
+      updateData.coverImage = await uploadCoverImage(req.file.buffer);
+    }
+
+    campaign.set(updateData);
+    await campaign.save();
+
+    res.json({
+      campaign,
+      message: 'Campaign updated successfully'
+    });
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Server error updating campaign' });
+  }
+});
+
+// @desc    Delete campaign
+// @route   DELETE /api/campaigns/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    // Keep campaigns that have donations so their history stays intact
+    const donationCount = await Donation.countDocuments({ campaign: campaign._id });
+    if (donationCount > 0) {
+      return res.status(400).json({ message: 'Campaign has donations; cancel it instead of deleting it' });
+    }
+
+    await Campaign.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Campaign deleted successfully' });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ message: 'Server error deleting campaign' });
+  }
+});
+
+module.exports = router;
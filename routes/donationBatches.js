@@ -0,0 +1,459 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Donation = require('../models/Donation');
+const DonationBatch = require('../models/DonationBatch');
+const Event = require('../models/Event');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  addBatchDonation,
+  updateBatchDonation,
+  removeBatchDonation,
+  submitBatch,
+  approveBatch,
+  rejectBatch
+} = require('../utils/donationBatches');
+
+const router = express.Router();
+
+// Fields for one cash or cheque gift; `optional` relaxes them for corrections
+const batchDonationValidation = (optional) => {
+  const field = (path) => (optional ? body(path).optional() : body(path));
+  return [
+    field('donor.firstName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('First name must be between 2 and 50 characters'),
+    field('donor.lastName')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Last name must be between 2 and 50 characters'),
+    body('donor.email')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    field('amount')
+      .isFloat({ min: 1 })
+      .withMessage('Amount must be at least 1'),
+    field('paymentMethod')
+      .isIn(['cash', 'check'])
+      .withMessage('Payment method must be cash or check'),
+    body('cheque.number')
+      .if(body('paymentMethod').equals('check'))
+      .trim()
+      .notEmpty()
+      .withMessage('Cheque number is required'),
+    body('cheque.bank')
+      .if(body('paymentMethod').equals('check'))
+      .trim()
+      .notEmpty()
+      .withMessage('Bank is required for cheques'),
+    body('cheque.date')
+      .optional()
+      .isISO8601()
+      .withMessage('Cheque date must be a valid date'),
+    body('purpose')
+      .optional()
+      .isIn(['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'])
+      .withMessage('Invalid purpose'),
+    body('campaign')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid campaign id'),
+    body('message')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Message cannot exceed 500 characters')
+  ];
+};
+
+const depositSlipValidation = [
+  body('depositSlip.number')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Deposit slip number cannot be empty'),
+  body('depositSlip.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Deposit amount cannot be negative'),
+  body('depositSlip.depositedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Deposit date must be a valid date')
+];
+
+// @desc    Open a batch for gifts collected offline (Admin or Finance)
+// @route   POST /api/donation-batches
+// @access  Private (Admin, Finance)
+router.post('/', protect, authorize('admin', 'finance'), [
+  body('name')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Batch name must be between 3 and 100 characters'),
+  body('event')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid event id'),
+  body('collectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Collection date must be a valid date'),
+  body('currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR'])
+    .withMessage('Invalid currency'),
+  ...depositSlipValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.event && !(await Event.exists({ _id: req.body.event }))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const batch = await DonationBatch.create({
+      name: req.body.name,
+      event: req.body.event,
+      collectedAt: req.body.collectedAt,
+      currency: req.body.currency,
+      depositSlip: req.body.depositSlip,
+      notes: req.body.notes,
+      openedBy: req.user._id
+    });
+
+    res.status(201).json({
+      batch,
+      message: 'Batch opened'
+    });
+  } catch (error) {
+    console.error('Open donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get donation batches (Admin or Finance)
+// @route   GET /api/donation-batches?status=open|submitted|approved
+// @access  Private (Admin, Finance)
+router.get('/', protect, authorize('admin', 'finance'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const batches = await DonationBatch.find(query)
+      .populate('event', 'title date')
+      .populate('openedBy submittedBy approvedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await DonationBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalBatches: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get donation batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get a batch with its donations (Admin or Finance)
+// @route   GET /api/donation-batches/:id
+// @access  Private (Admin, Finance)
+router.get('/:id', protect, authorize('admin', 'finance'), async (req, res) => {
+  try {
+    const batch = await DonationBatch.findById(req.params.id)
+      .populate('event', 'title date')
+      .populate('openedBy submittedBy approvedBy rejection.rejectedBy', 'firstName lastName');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const donations = await Donation.find({ batch: batch._id })
+      .select('donor amount currency paymentMethod paymentStatus cheque purpose campaign receiptNumber createdAt')
+      .sort({ createdAt: 1 });
+
+    res.json({ batch, donations });
+  } catch (error) {
+    console.error('Get donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update an open batch's details and deposit slip (Admin or Finance)
+// @route   PUT /api/donation-batches/:id
+// @access  Private (Admin, Finance)
+router.put('/:id', protect, authorize('admin', 'finance'), [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Batch name must be between 3 and 100 characters'),
+  body('collectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Collection date must be a valid date'),
+  ...depositSlipValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    if (batch.status !== 'open') {
+      return res.status(400).json({ message: `Batch is ${batch.status} and can no longer be changed` });
+    }
+
+    ['name', 'collectedAt', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) batch[field] = req.body[field];
+    });
+    if (req.body.depositSlip) {
+      batch.depositSlip = { ...batch.depositSlip?.toObject(), ...req.body.depositSlip };
+    }
+    await batch.save();
+
+    res.json({
+      batch,
+      message: 'Batch updated'
+    });
+  } catch (error) {
+    console.error('Update donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Enter a cash or cheque gift in an open batch (Admin or Finance)
+// @route   POST /api/donation-batches/:id/donations
+// @access  Private (Admin, Finance)
+router.post('/:id/donations', protect, authorize('admin', 'finance'), batchDonationValidation(false), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const donation = await addBatchDonation(batch, req.body, req.user);
+
+    res.status(201).json({
+      donation,
+      batch,
+      message: 'Donation added to batch'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Add batch donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Correct a gift in an open batch (Admin or Finance)
+// @route   PUT /api/donation-batches/:id/donations/:donationId
+// @access  Private (Admin, Finance)
+router.put('/:id/donations/:donationId', protect, authorize('admin', 'finance'), batchDonationValidation(true), async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const donation = await Donation.findOne({ _id: req.params.donationId, batch: batch._id });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found in this batch' });
+    }
+
+    await updateBatchDonation(batch, donation, req.body);
+
+    res.json({
+      donation,
+      batch,
+      message: 'Donation updated'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update batch donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove a gift entered in an open batch by mistake (Admin or Finance)
+// @route   DELETE /api/donation-batches/:id/donations/:donationId
+// @access  Private (Admin, Finance)
+router.delete('/:id/donations/:donationId', protect, authorize('admin', 'finance'), async (req, res) => {
+  try {
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const donation = await Donation.findOne({ _id: req.params.donationId, batch: batch._id });
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found in this batch' });
+    }
+
+    await removeBatchDonation(batch, donation);
+
+    res.json({
+      batch,
+      message: 'Donation removed from batch'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Remove batch donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Submit a balanced batch for approval (Admin or Finance)
+// @route   POST /api/donation-batches/:id/submit
+// @access  Private (Admin, Finance)
+router.post('/:id/submit', protect, authorize('admin', 'finance'), async (req, res) => {
+  try {
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    await submitBatch(batch, req.user);
+
+    res.json({
+      batch,
+      message: 'Batch submitted for approval'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Submit donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Approve a submitted batch and complete its donations (Admin only, not the submitter)
+// @route   POST /api/donation-batches/:id/approve
+// @access  Private (Admin)
+router.post('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    const result = await approveBatch(batch, req.user);
+
+    res.json({
+      ...result,
+      message: `Batch approved and ${result.summary.completed} donations completed`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Approve donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send a submitted batch back for corrections (Admin only)
+// @route   POST /api/donation-batches/:id/reject
+// @access  Private (Admin)
+router.post('/:id/reject', protect, authorize('admin'), [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await DonationBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Batch not found' });
+    }
+
+    await rejectBatch(batch, req.user, req.body.reason);
+
+    res.json({
+      batch,
+      message: 'Batch sent back for corrections'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Reject donation batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,68 +1,195 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Donation = require('../models/Donation');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { initiateStkPush } = require('../mpesa');
+const { normalizeKenyanPhone, isValidKenyanPhone } = require('../utils/phone');
+const { processStkCallback } = require('../utils/mpesaCallbacks');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
+const { guardPaymentInitiation } = require('../middleware/paymentAbuse');
+const { recordPayment, settlePayment, syncPaymentStatus, toLedgerMethod } = require('../utils/paymentLedger');
+const { getCardProvider, createCardCheckout } = require('../utils/cardGateway');
+const { sumInBaseCurrency, getBaseCurrency } = require('../utils/exchangeRates');
+const { findOpenCampaign } = require('../utils/campaigns');
+const { getDonationReceipt, sendDocument } = require('../utils/issuedDocuments');
+const { getOrganization } = require('../utils/pdfDocuments');
+const { queueEmail } = require('../utils/mailer');
+const { isDonationOwner } = require('../utils/donors');
+const { findOpenPledge } = require('../utils/pledges');
+const { streamDonationExport } = require('../utils/donationExport');
+const { countUnclaimedDonations, startClaim, verifyClaim } = require('../utils/donationClaims');
+const { CONSENT_CHANNELS, consentFromBody } = require('../utils/consent');
 
 const router = express.Router();
 
-// @desc    Get all donations (Admin only)
-// @route   GET /api/donations
-// @access  Private (Admin)
-router.get('/', protect, authorize('admin'), async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      status,
-      paymentMethod,
-      donationType,
-      purpose,
-      startDate,
-      endDate,
-      search
-    } = req.query;
+// Tribute details for memorial and honor gifts
+const tributeValidation = [
+  body('tribute.type')
+    .if(body('tribute').exists())
+    .isIn(['memorial', 'honor'])
+    .withMessage('Tribute type must be memorial or honor'),
+  body('tribute.honoreeName')
+    .if(body('tribute').exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Honoree name must be between 2 and 100 characters'),
+  body('tribute.message')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Tribute message cannot exceed 500 characters'),
+  body('tribute.notify.method')
+    .optional()
+    .isIn(['email', 'post', 'none'])
+    .withMessage('Notification method must be email, post or none'),
+  body('tribute.notify.email')
+    .if(body('tribute.notify.method').equals('email'))
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email for the person to notify'),
+  body(['tribute.notify.address.street', 'tribute.notify.address.city'])
+    .if(body('tribute.notify.method').equals('post'))
+    .trim()
+    .notEmpty()
+    .withMessage('A postal address is required to post the acknowledgement card')
+];
 
-    // Build query
-    const query = {};
+// How the donor appears on the public donor wall
+const donorWallValidation = [
+  body('donorWall.show')
+    .optional()
+    .isBoolean()
+    .withMessage('Donor wall choice must be true or false'),
+  body('donorWall.displayName')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('Display name cannot exceed 60 characters')
+];
 
-    // Status filter
-    if (status) {
-      query.paymentStatus = status;
-    }
+// Marketing opt-ins a donor can tick on the donation form
+const consentValidation = CONSENT_CHANNELS.map(channel => body(`consent.${channel}`)
+  .optional()
+  .isBoolean()
+  .withMessage(`Consent to ${channel} must be true or false`));
 
-    // Payment method filter
-    if (paymentMethod) {
-      query.paymentMethod = paymentMethod;
-    }
+const WALL_PERIOD_DAYS = { week: 7, month: 30, year: 365 };
 
-    // Donation type filter
-    if (donationType) {
-      query.donationType = donationType;
-    }
+// Public view of a donation for the donor wall, built from the toJSON output so
+// anonymous donors stay masked
+const toWallEntry = (donation) => {
+  const data = donation.toJSON();
+  return {
+    name: data.donorWall?.displayName || `${data.donor.firstName} ${data.donor.lastName}`,
+    amount: data.amount,
+    currency: data.currency,
+    purpose: data.purpose,
+    campaign: data.campaign,
+    message: data.messageModeration?.status === 'visible' ? data.message : undefined,
+    date: data.verificationDate || data.createdAt
+  };
+};
 
-    // Purpose filter
-    if (purpose) {
-      query.purpose = purpose;
-    }
+// Tribute details a donor may set; acknowledgement state is the system's
+const tributeFromBody = (tribute) => {
+  if (!tribute) return undefined;
+  const { type, honoreeName, message, isPublic, notify } = tribute;
+  return { type, honoreeName, message, isPublic, notify };
+};
 
-    // Date range filter
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
+// Fields a donor fills in on the public form. Everything else on a donation,
+// such as base amounts, receipt numbers, refunds and links to batches, donor
+// profiles or payments, is set by the server.
+const donationFromBody = (data) => {
+  const { firstName, lastName, email, phone, address, isAnonymous } = data.donor || {};
+  const { show, displayName } = data.donorWall || {};
+  return {
+    donor: { firstName, lastName, email, phone, address, isAnonymous },
+    amount: data.amount,
+    currency: data.currency,
+    paymentMethod: data.paymentMethod,
+    donationType: data.donationType,
+    purpose: data.purpose,
+    message: data.message,
+    campaign: data.campaign,
+    pledge: data.pledge,
+    donorWall: data.donorWall ? { show, displayName } : undefined,
+    tribute: tributeFromBody(data.tribute),
+    consent: consentFromBody(data.consent)
+  };
+};
 
-    // Search filter
-    if (search) {
-      query.$or = [
-        { 'donor.firstName': { $regex: search, $options: 'i' } },
-        { 'donor.lastName': { $regex: search, $options: 'i' } },
-        { 'donor.email': { $regex: search, $options: 'i' } },
-        { transactionId: { $regex: search, $options: 'i' } },
-        { receiptNumber: { $regex: search, $options: 'i' } }
-      ];
-    }
+// Filters shared by the donation list and the finance export
+const buildDonationQuery = ({
+  status,
+  paymentMethod,
+  donationType,
+  purpose,
+  startDate,
+  endDate,
+  search,
+  recurring,
+  campaign
+}) => {
+  const query = {};
+
+  // recurring=true lists only recurring schedules, recurring=false leaves them out
+  if (recurring !== undefined) {
+    query.isRecurring = recurring === 'true' ? true : { $ne: true };
+  }
+
+  // Status filter
+  if (status) {
+    query.paymentStatus = status;
+  }
+
+  // Payment method filter
+  if (paymentMethod) {
+    query.paymentMethod = paymentMethod;
+  }
+
+  // Donation type filter
+  if (donationType) {
+    query.donationType = donationType;
+  }
+
+  // Purpose filter
+  if (purpose) {
+    query.purpose = purpose;
+  }
+
+  // Campaign filter
+  if (campaign) {
+    query.campaign = campaign;
+  }
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  // Search filter
+  if (search) {
+    query.$or = [
+      { 'donor.firstName': { $regex: search, $options: 'i' } },
+      { 'donor.lastName': { $regex: search, $options: 'i' } },
+      { 'donor.email': { $regex: search, $options: 'i' } },
+      { transactionId: { $regex: search, $options: 'i' } },
+      { receiptNumber: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+// @desc    Get all donations (Admin only)
+// @route   GET /api/donations
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildDonationQuery(req.query);
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -76,11 +203,8 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
 
     const total = await Donation.countDocuments(query);
 
-    // Calculate totals
-    const totalAmount = await Donation.aggregate([
-      { $match: query },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
+    // Calculate totals in the base currency
+    const totals = await sumInBaseCurrency(Donation, query);
 
     res.json({
       donations,
@@ -88,7 +212,10 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limitNum),
         totalDonations: total,
-        totalAmount: totalAmount[0]?.total || 0,
+        totalAmount: totals.total,
+        baseCurrency: totals.baseCurrency,
+        totalsByCurrency: totals.byCurrency,
+        unconvertedCurrencies: totals.unconverted,
         hasNextPage: skip + limitNum < total,
         hasPrevPage: parseInt(page) > 1
       }
@@ -99,23 +226,48 @@ router.get('/', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Export donations as CSV or Excel, with the same filters as the list (Admin or Finance)
+// @route   GET /api/donations/export?format=csv|xlsx
+// @access  Private (Admin, Finance)
+router.get('/export', protect, authorize('admin', 'finance'), async (req, res) => {
+  try {
+    await streamDonationExport(res, buildDonationQuery(req.query), {
+      format: req.query.format,
+      revealAnonymous: req.user.role === 'finance'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Export donations error:', error);
+    // Part of the file may already have been sent
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get donation statistics
 // @route   GET /api/donations/stats
 // @access  Public
 router.get('/stats', async (req, res) => {
   try {
+    const baseCurrency = getBaseCurrency();
     const totalDonations = await Donation.countDocuments({ paymentStatus: 'completed' });
-    const totalAmount = await Donation.aggregate([
-      { $match: { paymentStatus: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
+    const totals = await sumInBaseCurrency(Donation, { paymentStatus: 'completed' });
+
+    // Monthly and purpose amounts use the base amount stored when each donation completed
+    const converted = { paymentStatus: 'completed', baseCurrency };
+    const unconvertedDonations = await Donation.countDocuments({
+      paymentStatus: 'completed',
+      baseCurrency: { $ne: baseCurrency }
+    });
 
     // Monthly donations for current year
     const currentYear = new Date().getFullYear();
     const monthlyStats = await Donation.aggregate([
       {
         $match: {
-          paymentStatus: 'completed',
+          ...converted,
           createdAt: {
             $gte: new Date(currentYear, 0, 1),
             $lt: new Date(currentYear + 1, 0, 1)
@@ -126,7 +278,7 @@ router.get('/stats', async (req, res) => {
         $group: {
           _id: { $month: '$createdAt' },
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: '$baseAmount' }
         }
       },
       { $sort: { _id: 1 } }
@@ -134,19 +286,22 @@ router.get('/stats', async (req, res) => {
 
     // Donations by purpose
     const purposeStats = await Donation.aggregate([
-      { $match: { paymentStatus: 'completed' } },
+      { $match: converted },
       {
         $group: {
           _id: '$purpose',
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: '$baseAmount' }
         }
       }
     ]);
 
     res.json({
       totalDonations,
-      totalAmount: totalAmount[0]?.total || 0,
+      totalAmount: totals.total,
+      baseCurrency,
+      currencyStats: totals.byCurrency,
+      unconvertedDonations,
       monthlyStats,
       purposeStats
     });
@@ -156,6 +311,110 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @desc    Donor wall of recent or top completed donations
+// @route   GET /api/donations/wall?view=recent|top&period=week|month|year|all
+// @access  Public
+router.get('/wall', [
+  query('campaign')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campaign id'),
+  query('purpose')
+    .optional()
+    .isString()
+    .withMessage('Invalid purpose')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { view = 'recent', period = 'all', purpose, campaign } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (!['recent', 'top'].includes(view)) {
+      return res.status(400).json({ message: 'View must be recent or top' });
+    }
+    if (period !== 'all' && !WALL_PERIOD_DAYS[period]) {
+      return res.status(400).json({ message: 'Period must be week, month, year or all' });
+    }
+
+    const query = {
+      paymentStatus: 'completed',
+      isRecurring: { $ne: true },
+      'donorWall.show': { $ne: false }
+    };
+    if (purpose) query.purpose = purpose;
+    if (campaign) query.campaign = campaign;
+    if (WALL_PERIOD_DAYS[period]) {
+      query.verificationDate = { $gte: new Date(Date.now() - WALL_PERIOD_DAYS[period] * 24 * 60 * 60 * 1000) };
+    }
+
+    // Top gifts are ranked in the base currency so amounts in different currencies compare
+    const sort = view === 'top' ? { baseAmount: -1, verificationDate: -1 } : { verificationDate: -1 };
+
+    const donations = await Donation.find(query)
+      .select('donor amount currency baseAmount purpose campaign message messageModeration donorWall verificationDate createdAt')
+      .populate('campaign', 'title')
+      .sort(sort)
+      .limit(limit);
+
+    res.json({
+      view,
+      period,
+      donations: donations.map(toWallEntry)
+    });
+  } catch (error) {
+    console.error('Get donor wall error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get donor messages for review before they appear on the wall (Admin only)
+// @route   GET /api/donations/messages?status=pending|visible|hidden
+// @access  Private (Admin)
+router.get('/messages', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const query = { message: { $exists: true, $ne: '' } };
+    // Messages left before moderation existed have no status and also need review
+    query['messageModeration.status'] = status === 'pending' ? { $in: ['pending', null] } : status;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const donations = await Donation.find(query)
+      .select('donor amount currency message messageModeration donorWall paymentStatus createdAt')
+      .populate('messageModeration.reviewedBy', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Donation.countDocuments(query);
+
+    res.json({
+      donations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalMessages: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get donor messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Create new donation
 // @route   POST /api/donations
 // @access  Public
@@ -177,7 +436,9 @@ router.post('/', [
     .withMessage('Amount must be at least 1'),
   body('paymentMethod')
     .isIn(['credit_card', 'debit_card', 'paypal', 'mpesa', 'bank_transfer', 'cash', 'check', 'other'])
-    .withMessage('Invalid payment method'),
+    .withMessage('Invalid payment method')
+    .not().equals('mpesa')
+    .withMessage('M-Pesa donations must be started through /api/donations/mpesa-initiate'),
   body('purpose')
     .optional()
     .isIn(['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'])
@@ -185,8 +446,19 @@ router.post('/', [
   body('message')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Message cannot exceed 500 characters')
-], async (req, res) => {
+    .withMessage('Message cannot exceed 500 characters'),
+  body('campaign')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campaign id'),
+  body('pledge')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pledge id'),
+  ...tributeValidation,
+  ...donorWallValidation,
+  ...consentValidation
+], optionalAuth, guardPaymentInitiation({ phoneField: 'donor.phone', emailField: 'donor.email' }), async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -198,10 +470,31 @@ router.post('/', [
     }
 
     const donationData = {
-      ...req.body,
+      ...donationFromBody(req.body),
+      // Signed-in donors own the gift; guests can claim it later
+      user: req.user?._id,
       processedBy: req.user?._id // If user is logged in
     };
 
+    if (['memorial', 'honor'].includes(donationData.donationType) && !donationData.tribute) {
+      return res.status(400).json({ message: 'Tribute details are required for memorial and honor gifts' });
+    }
+    if (donationData.tribute) {
+      donationData.donationType = donationData.tribute.type;
+    }
+
+    if (donationData.pledge) {
+      // Installments go to the pledge's campaign even after the campaign closes
+      const pledge = await findOpenPledge(donationData.pledge, donationData.currency || 'USD');
+      donationData.campaign = pledge.campaign;
+      donationData.purpose = pledge.purpose;
+      if (pledge.campaign) donationData.donationType = 'campaign';
+    } else if (donationData.campaign) {
+      const campaign = await findOpenCampaign(donationData.campaign);
+      donationData.donationType = 'campaign';
+      donationData.purpose = donationData.purpose || campaign.purpose;
+    }
+
     // Handle anonymous donations
     if (donationData.donor.isAnonymous) {
       donationData.donor.firstName = 'Anonymous';
@@ -211,29 +504,61 @@ router.post('/', [
 
     const donation = await Donation.create(donationData);
 
-    // TODO: Integrate with payment gateway (Stripe, PayPal, M-Pesa)
-    // For now, simulate payment processing
-    if (donation.paymentMethod === 'cash' || donation.paymentMethod === 'check') {
-      // Manual payment methods - mark as pending
-      donation.paymentStatus = 'pending';
-    } else {
-      // Online payment methods - simulate processing
-      donation.paymentStatus = 'completed';
-      donation.transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      donation.verificationDate = new Date();
-      donation.isVerified = true;
+    // Card donations settle from the gateway webhook; every other method stays
+    // pending until an admin confirms the money arrived
+    const isCard = ['credit_card', 'debit_card'].includes(donation.paymentMethod);
+    const isManual = ['cash', 'check', 'bank_transfer'].includes(donation.paymentMethod);
+
+    const payment = await recordPayment({
+      payableType: 'Donation',
+      payable: donation._id,
+      method: toLedgerMethod(donation.paymentMethod),
+      provider: isCard ? getCardProvider().name : 'manual',
+      channel: isManual ? 'offline' : 'online',
+      providerReference: donation.transactionId,
+      amount: donation.amount,
+      currency: donation.currency,
+      status: donation.paymentStatus,
+      payer: {
+        name: donation.donorFullName,
+        email: donation.donor.email,
+        phone: donation.donor.phone,
+        user: req.user?._id
+      }
+    });
+    donation.payment = payment._id;
+
+    let checkoutUrl;
+    if (isCard) {
+      try {
+        checkoutUrl = await createCardCheckout(payment, {
+          description: 'Kamune Elites Donation',
+          customerEmail: donation.donor.email
+        });
+        donation.transactionId = payment.providerReference;
+      } catch (cardError) {
+        console.error('Card checkout error:', cardError.response?.data || cardError);
+        await settlePayment(payment, 'failed', { note: 'Card checkout could not be created', payable: donation });
+        return res.status(502).json({ message: 'Card checkout failed', error: cardError.message });
+      }
     }
 
     await donation.save();
 
     res.status(201).json({
       donation,
+      checkoutUrl,
+      // Quoted on the transfer so the bank statement import can match it
+      bankReference: donation.paymentMethod === 'bank_transfer' ? payment.bankReference : undefined,
       message: 'Donation received successfully',
       nextSteps: donation.paymentStatus === 'completed' 
         ? 'Thank you for your donation!' 
         : 'Please complete your payment to finalize the donation.'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Create donation error:', error);
     res.status(500).json({ message: 'Server error processing donation' });
   }
@@ -244,18 +569,44 @@ router.post('/', [
 // @access  Public
 router.post('/mpesa-initiate', [
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
-  body('phone').isMobilePhone('en-KE').withMessage('Valid Kenyan phone number required'),
+  body('phone')
+    .custom(isValidKenyanPhone)
+    .withMessage('Valid Kenyan phone number required')
+    .customSanitizer(normalizeKenyanPhone),
   body('accountReference').optional().isString(),
   body('transactionDesc').optional().isString(),
   body('email').isEmail().withMessage('Valid email is required'),
-], async (req, res) => {
+  body('campaign').optional().isMongoId().withMessage('Invalid campaign id'),
+  body('pledge').optional().isMongoId().withMessage('Invalid pledge id'),
+  ...tributeValidation,
+  ...donorWallValidation,
+  ...consentValidation
+], optionalAuth, guardPaymentInitiation(), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     console.error('Validation errors:', errors.array());
     return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
   }
   const { amount, phone, accountReference = 'Donation', transactionDesc = 'Kamune Elites Donation', email } = req.body;
+  let payment;
   try {
+    let campaign;
+    let pledge;
+    if (req.body.pledge) {
+      try {
+        pledge = await findOpenPledge(req.body.pledge, 'KES');
+      } catch (pledgeError) {
+        return res.status(pledgeError.statusCode || 500).json({ message: pledgeError.message });
+      }
+      campaign = pledge.campaign ? { _id: pledge.campaign, purpose: pledge.purpose } : undefined;
+    } else if (req.body.campaign) {
+      try {
+        campaign = await findOpenCampaign(req.body.campaign);
+      } catch (campaignError) {
+        return res.status(campaignError.statusCode || 500).json({ message: campaignError.message });
+      }
+    }
+
     // Create a pending donation record
     const [firstName, ...lastNameParts] = accountReference.split(' ');
     const lastName = lastNameParts.join(' ');
@@ -271,45 +622,51 @@ router.post('/mpesa-initiate', [
       currency: 'KES',
       paymentMethod: 'mpesa',
       paymentStatus: 'pending',
-      purpose: transactionDesc,
+      purpose: pledge ? pledge.purpose : (campaign ? campaign.purpose : transactionDesc),
+      campaign: campaign?._id,
+      pledge: pledge?._id,
+      donationType: campaign ? 'campaign' : req.body.tribute?.type,
+      tribute: tributeFromBody(req.body.tribute),
+      donorWall: req.body.donorWall,
+      consent: consentFromBody(req.body.consent),
+      user: req.user?._id,
     });
+    payment = await recordPayment({
+      payableType: 'Donation',
+      payable: donation._id,
+      method: 'mpesa',
+      provider: 'mpesa',
+      channel: 'stk_push',
+      amount,
+      currency: 'KES',
+      payer: { name: accountReference, email, phone }
+    });
+    donation.payment = payment._id;
+
     const mpesaRes = await initiateStkPush({ amount, phone, accountReference, transactionDesc });
-    // Save CheckoutRequestID to donation for later reference
+    // Save CheckoutRequestID for the callback and reconciler to find this payment
+    payment.providerReference = mpesaRes.CheckoutRequestID;
+    payment.merchantRequestId = mpesaRes.MerchantRequestID;
+    await payment.save();
     donation.transactionId = mpesaRes.CheckoutRequestID;
     await donation.save();
     res.json(mpesaRes);
   } catch (error) {
+    if (payment) {
+      await settlePayment(payment, 'failed', { note: 'STK push could not be sent' }).catch(() => {});
+    }
     console.error('M-Pesa STK Push error:', error.response?.data || error.message, error.response?.data || error);
     res.status(error.response?.status || 500).json({ message: 'M-Pesa STK Push failed', error: error.response?.data || error.message });
   }
 });
 
 // @desc    M-Pesa Payment Callback
-// @route   POST /api/donations/mpesa-callback
-// @access  Public
-router.post('/mpesa-callback', async (req, res) => {
+// @route   POST /api/donations/mpesa-callback/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/mpesa-callback', '/mpesa-callback/:token'], verifyMpesaCallback, async (req, res) => {
   try {
-    const body = req.body;
-    const stkCallback = body.Body?.stkCallback;
-    if (!stkCallback) return res.json({ ResultCode: 0, ResultDesc: 'No callback data' });
-    const checkoutRequestId = stkCallback.CheckoutRequestID;
-    const resultCode = stkCallback.ResultCode;
-    const resultDesc = stkCallback.ResultDesc;
-    // Find the donation by transactionId (CheckoutRequestID)
-    const donation = await Donation.findOne({ transactionId: checkoutRequestId });
-    if (!donation) return res.json({ ResultCode: 0, ResultDesc: 'Donation not found' });
-    if (resultCode === 0) {
-      // Payment successful
-      donation.paymentStatus = 'completed';
-      donation.receiptNumber = stkCallback.CallbackMetadata?.Item?.find(i => i.Name === 'MpesaReceiptNumber')?.Value || '';
-      donation.isVerified = true;
-      donation.verificationDate = new Date();
-      await donation.save();
-    } else {
-      // Payment failed
-      donation.paymentStatus = 'failed';
-      await donation.save();
-    }
+    const log = await processStkCallback(req.body, { sourceIp: req.ip });
+    if (!log) return res.json({ ResultCode: 0, ResultDesc: 'No callback data' });
     res.json({ ResultCode: 0, ResultDesc: 'Received successfully' });
   } catch (err) {
     console.error('M-Pesa Callback error:', err);
@@ -317,6 +674,264 @@ router.post('/mpesa-callback', async (req, res) => {
   }
 });
 
+// Load a recurring donation the current user may manage
+const findOwnRecurringDonation = async (req, res) => {
+  const donation = await Donation.findOne({ _id: req.params.id, isRecurring: true });
+  if (!donation) {
+    res.status(404).json({ message: 'Recurring donation not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && !isDonationOwner(donation, req.user)) {
+    res.status(403).json({ message: 'Not authorized to manage this recurring donation' });
+    return null;
+  }
+  return donation;
+};
+
+// @desc    Set up a recurring donation
+// @route   POST /api/donations/recurring
+// @access  Private
+router.post('/recurring', protect, [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1'),
+  body('paymentMethod')
+    .isIn(['mpesa', 'credit_card', 'debit_card'])
+    .withMessage('Recurring donations are paid by M-Pesa or a saved card'),
+  body('currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR'])
+    .withMessage('Invalid currency')
+    .custom((value, { req }) => req.body.paymentMethod !== 'mpesa' || value === 'KES')
+    .withMessage('M-Pesa donations are in KES'),
+  body('recurringInterval')
+    .isIn(['monthly', 'quarterly', 'yearly'])
+    .withMessage('Interval must be monthly, quarterly or yearly'),
+  body('phone')
+    .if(body('paymentMethod').equals('mpesa'))
+    .custom(isValidKenyanPhone)
+    .withMessage('Valid Kenyan phone number required')
+    .customSanitizer(normalizeKenyanPhone),
+  body('cardToken')
+    .if(body('paymentMethod').isIn(['credit_card', 'debit_card']))
+    .notEmpty()
+    .withMessage('A saved card token is required for card donations'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('campaign')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campaign id'),
+  body('purpose')
+    .optional()
+    .isIn(['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'])
+    .withMessage('Invalid purpose'),
+  ...donorWallValidation,
+  ...consentValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, paymentMethod, recurringInterval, phone, cardToken, cardCustomer, cardLast4, startDate, purpose, message } = req.body;
+    const isMpesa = paymentMethod === 'mpesa';
+    const campaign = req.body.campaign ? await findOpenCampaign(req.body.campaign) : null;
+
+    const donation = await Donation.create({
+      donor: {
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        email: req.user.email,
+        phone: isMpesa ? phone : req.user.phone
+      },
+      amount,
+      currency: isMpesa ? 'KES' : (req.body.currency || 'KES'),
+      paymentMethod,
+      purpose: purpose || campaign?.purpose,
+      message,
+      donorWall: req.body.donorWall,
+      consent: consentFromBody(req.body.consent),
+      campaign: campaign?._id,
+      donationType: recurringInterval === 'yearly' ? 'yearly' : 'monthly',
+      isRecurring: true,
+      recurringInterval,
+      recurringStatus: 'active',
+      // The first installment is charged on the start date
+      nextPaymentDate: startDate ? new Date(startDate) : new Date(),
+      savedCard: isMpesa ? undefined : { token: cardToken, customer: cardCustomer, last4: cardLast4 },
+      user: req.user._id,
+      processedBy: req.user._id
+    });
+
+    res.status(201).json({
+      donation,
+      message: 'Recurring donation set up successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create recurring donation error:', error);
+    res.status(500).json({ message: 'Server error setting up recurring donation' });
+  }
+});
+
+// @desc    Get the current user's recurring donations
+// @route   GET /api/donations/recurring/mine
+// @access  Private
+router.get('/recurring/mine', protect, async (req, res) => {
+  try {
+    const donations = await Donation.find({
+      user: req.user._id,
+      isRecurring: true
+    }).sort({ createdAt: -1 });
+
+    res.json(donations);
+  } catch (error) {
+    console.error('Get recurring donations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the installments of a recurring donation
+// @route   GET /api/donations/recurring/:id/installments
+// @access  Private (Admin or Donor)
+router.get('/recurring/:id/installments', protect, async (req, res) => {
+  try {
+    const donation = await findOwnRecurringDonation(req, res);
+    if (!donation) return;
+
+    const installments = await Donation.find({ parentDonation: donation._id })
+      .sort({ installmentNumber: -1 });
+
+    res.json({ donation, installments });
+  } catch (error) {
+    console.error('Get installments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Pause a recurring donation
+// @route   PUT /api/donations/recurring/:id/pause
+// @access  Private (Admin or Donor)
+router.put('/recurring/:id/pause', protect, async (req, res) => {
+  try {
+    const donation = await findOwnRecurringDonation(req, res);
+    if (!donation) return;
+
+    if (donation.recurringStatus !== 'active') {
+      return res.status(400).json({ message: `Recurring donation is ${donation.recurringStatus}` });
+    }
+
+    donation.recurringStatus = 'paused';
+    donation.recurringStatusReason = req.body.reason || 'Paused by donor';
+    await donation.save();
+
+    res.json({ donation, message: 'Recurring donation paused' });
+  } catch (error) {
+    console.error('Pause recurring donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Resume a paused recurring donation
+// @route   PUT /api/donations/recurring/:id/resume
+// @access  Private (Admin or Donor)
+router.put('/recurring/:id/resume', protect, async (req, res) => {
+  try {
+    const donation = await findOwnRecurringDonation(req, res);
+    if (!donation) return;
+
+    if (donation.recurringStatus !== 'paused') {
+      return res.status(400).json({ message: `Recurring donation is ${donation.recurringStatus}` });
+    }
+
+    // Installments missed while paused are skipped, not charged in a burst
+    const now = new Date();
+    while (donation.nextPaymentDate < now) {
+      donation.advanceNextPaymentDate();
+    }
+
+    donation.recurringStatus = 'active';
+    donation.recurringStatusReason = undefined;
+    donation.failedInstallments = 0;
+    await donation.save();
+
+    res.json({ donation, message: 'Recurring donation resumed' });
+  } catch (error) {
+    console.error('Resume recurring donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Change the amount of a recurring donation
+// @route   PUT /api/donations/recurring/:id/amount
+// @access  Private (Admin or Donor)
+router.put('/recurring/:id/amount', protect, [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await findOwnRecurringDonation(req, res);
+    if (!donation) return;
+
+    if (donation.recurringStatus === 'cancelled') {
+      return res.status(400).json({ message: 'Recurring donation is cancelled' });
+    }
+
+    // Applies from the next installment; settled installments keep their amount
+    donation.amount = req.body.amount;
+    await donation.save();
+
+    res.json({ donation, message: 'Recurring donation amount updated' });
+  } catch (error) {
+    console.error('Update recurring donation amount error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Cancel a recurring donation
+// @route   PUT /api/donations/recurring/:id/cancel
+// @access  Private (Admin or Donor)
+router.put('/recurring/:id/cancel', protect, async (req, res) => {
+  try {
+    const donation = await findOwnRecurringDonation(req, res);
+    if (!donation) return;
+
+    if (donation.recurringStatus === 'cancelled') {
+      return res.status(400).json({ message: 'Recurring donation is already cancelled' });
+    }
+
+    donation.recurringStatus = 'cancelled';
+    donation.recurringStatusReason = req.body.reason || 'Cancelled by donor';
+    donation.nextPaymentDate = undefined;
+    await donation.save();
+
+    res.json({ donation, message: 'Recurring donation cancelled' });
+  } catch (error) {
+    console.error('Cancel recurring donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get single donation
 // @route   GET /api/donations/:id
 // @access  Private (Admin or Donor)
@@ -330,8 +945,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user can view this donation
-    if (req.user.role !== 'admin' && 
-        donation.donor.email !== req.user.email) {
+    if (req.user.role !== 'admin' && !isDonationOwner(donation, req.user)) {
       return res.status(403).json({ message: 'Not authorized to view this donation' });
     }
 
@@ -342,6 +956,56 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Show or hide a donor's message on the public donor wall (Admin only)
+// @route   PUT /api/donations/:id/message
+// @access  Private (Admin)
+router.put('/:id/message', protect, authorize('admin'), [
+  body('status')
+    .isIn(['visible', 'hidden'])
+    .withMessage('Status must be visible or hidden'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    if (!donation.message) {
+      return res.status(400).json({ message: 'Donation has no message' });
+    }
+
+    donation.messageModeration = {
+      status: req.body.status,
+      reason: req.body.reason,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    await donation.save();
+
+    res.json({
+      messageModeration: donation.messageModeration,
+      message: req.body.status === 'hidden' ? 'Message hidden from the donor wall' : 'Message shown on the donor wall'
+    });
+  } catch (error) {
+    console.error('Moderate donation message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Update donation status (Admin only)
 // @route   PUT /api/donations/:id/status
 // @access  Private (Admin)
@@ -370,6 +1034,11 @@ router.put('/:id/status', protect, authorize('admin'), [
       return res.status(404).json({ message: 'Donation not found' });
     }
 
+    // Cash and cheque batches need a second admin's approval
+    if (donation.batch) {
+      return res.status(400).json({ message: 'Batch donations are completed when the batch is approved' });
+    }
+
     const { paymentStatus, notes, transactionId } = req.body;
 
     // Update donation
@@ -381,13 +1050,15 @@ router.put('/:id/status', protect, authorize('admin'), [
     if (paymentStatus === 'completed' && !donation.isVerified) {
       donation.verificationDate = new Date();
       donation.isVerified = true;
-      if (!donation.receiptNumber) {
-        donation.receiptNumber = donation.generateReceiptNumber();
-      }
     }
 
     await donation.save();
 
+    await syncPaymentStatus(donation.payment, paymentStatus, {
+      changedBy: req.user._id,
+      note: notes
+    });
+
     res.json({
       donation,
       message: 'Donation status updated successfully'
@@ -403,9 +1074,8 @@ router.put('/:id/status', protect, authorize('admin'), [
 // @access  Private
 router.get('/user/history', protect, async (req, res) => {
   try {
-    const donations = await Donation.find({
-      'donor.email': req.user.email
-    })
+    // Gifts made on the account or claimed with a verified email or phone
+    const donations = await Donation.find({ user: req.user._id })
     .sort({ createdAt: -1 });
 
     res.json(donations);
@@ -415,6 +1085,99 @@ router.get('/user/history', protect, async (req, res) => {
   }
 });
 
+// @desc    Count guest donations the user could claim with their email or phone
+// @route   GET /api/donations/claim/unclaimed
+// @access  Private
+router.get('/claim/unclaimed', protect, async (req, res) => {
+  try {
+    res.json({ unclaimedDonations: await countUnclaimedDonations(req.user) });
+  } catch (error) {
+    console.error('Count unclaimed donations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send a code to claim guest donations made with an email or phone
+// @route   POST /api/donations/claim/start
+// @access  Private
+router.post('/claim/start', protect, [
+  body('channel')
+    .isIn(['email', 'phone'])
+    .withMessage('Channel must be email or phone'),
+  body('value')
+    .if(body('channel').equals('email'))
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('value')
+    .if(body('channel').equals('phone'))
+    .custom(isValidKenyanPhone)
+    .withMessage('Valid Kenyan phone number required')
+    .customSanitizer(normalizeKenyanPhone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { verification, code } = await startClaim(req.user, req.body);
+
+    res.status(201).json({
+      verificationId: verification._id,
+      channel: verification.channel,
+      expiresAt: verification.expiresAt,
+      message: verification.channel === 'phone' ? 'Verification code sent by SMS' : 'Verification code sent by email',
+      code: process.env.NODE_ENV === 'development' ? code : undefined
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Start donation claim error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Verify a claim code and attach the matching guest donations
+// @route   POST /api/donations/claim/verify
+// @access  Private
+router.post('/claim/verify', protect, [
+  body('verificationId')
+    .isMongoId()
+    .withMessage('Invalid verification id'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await verifyClaim(req.user, req.body.verificationId, req.body.code);
+
+    res.json({
+      ...result,
+      message: `${result.claimed} donation${result.claimed === 1 ? '' : 's'} added to your account`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, attemptsRemaining: error.attemptsRemaining });
+    }
+    console.error('Verify donation claim error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Send tax receipt (Admin only)
 // @route   POST /api/donations/:id/send-receipt
 // @access  Private (Admin)
@@ -434,22 +1197,39 @@ router.post('/:id/send-receipt', protect, authorize('admin'), async (req, res) =
       return res.status(400).json({ message: 'Tax receipt already sent' });
     }
 
+    const receipt = await getDonationReceipt(donation, { generatedBy: req.user._id });
+
+    const emailMessage = await queueEmail({
+      to: donation.donor.email,
+      template: 'donation_thank_you',
+      data: {
+        donorName: donation.donorFullName,
+        amount: donation.formattedAmount,
+        receiptNumber: donation.receiptNumber,
+        purpose: donation.purpose
+      },
+      attachments: [receipt],
+      related: { donation: donation._id }
+    });
+
     // Send tax receipt
     await donation.sendTaxReceipt();
 
-    // TODO: Send email with tax receipt
-
     res.json({
       message: 'Tax receipt sent successfully',
-      donation
+      donation,
+      email: { _id: emailMessage._id, status: emailMessage.status }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Send tax receipt error:', error);
     res.status(500).json({ message: 'Server error sending tax receipt' });
   }
 });
 
-// @desc    Get donation receipt
+// @desc    Download donation receipt (PDF, or JSON with ?format=json)
 // @route   GET /api/donations/:id/receipt
 // @access  Private (Admin or Donor)
 router.get('/:id/receipt', protect, async (req, res) => {
@@ -461,41 +1241,99 @@ router.get('/:id/receipt', protect, async (req, res) => {
     }
 
     // Check if user can view this receipt
-    if (req.user.role !== 'admin' && 
-        donation.donor.email !== req.user.email) {
+    if (req.user.role !== 'admin' && !isDonationOwner(donation, req.user)) {
       return res.status(403).json({ message: 'Not authorized to view this receipt' });
     }
 
-    if (donation.paymentStatus !== 'completed') {
-      return res.status(400).json({ message: 'Receipt not available for incomplete donations' });
-    }
+    const document = await getDonationReceipt(donation, { generatedBy: req.user._id });
 
-    // Generate receipt data
-    const receipt = {
-      receiptNumber: donation.receiptNumber,
-      date: donation.createdAt,
-      donor: {
-        name: donation.donorFullName,
-        email: donation.donor.email,
-        address: donation.donor.address
-      },
-      amount: donation.formattedAmount,
-      purpose: donation.purpose,
-      paymentMethod: donation.paymentMethod,
-      transactionId: donation.transactionId,
-      foundation: {
-        name: 'Kamune Cluster Elites Foundation',
-        address: 'Your Foundation Address',
-        phone: 'Your Foundation Phone',
-        email: 'info@kamune-elites.org'
-      }
-    };
+    if (req.query.format === 'json') {
+      const organization = getOrganization();
+      return res.json({
+        receiptNumber: donation.receiptNumber,
+        version: document.version,
+        issuedAt: document.createdAt,
+        date: donation.verificationDate || donation.createdAt,
+        donor: {
+          name: donation.donorFullName,
+          email: donation.donor.email,
+          address: donation.donor.address
+        },
+        amount: donation.formattedAmount,
+        purpose: donation.purpose,
+        paymentMethod: donation.paymentMethod,
+        transactionId: donation.transactionId,
+        foundation: {
+          name: organization.name,
+          address: organization.address,
+          phone: organization.phone,
+          email: organization.email,
+          registrationNumber: organization.registrationNumber,
+          taxPin: organization.taxPin
+        }
+      });
+    }
 
-    res.json(receipt);
+    sendDocument(res, document);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Get receipt error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @desc    Regenerate donation receipt as a new version (Admin only)
+// @route   POST /api/donations/:id/receipt/regenerate
+// @access  Private (Admin)
+router.post('/:id/receipt/regenerate', protect, authorize('admin'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const document = await getDonationReceipt(donation, {
+      regenerate: true,
+      generatedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      receipt: {
+        _id: document._id,
+        number: document.number,
+        version: document.version,
+        fileName: document.fileName,
+        reason: document.reason,
+        createdAt: document.createdAt
+      },
+      message: 'Receipt regenerated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Regenerate receipt error:', error);
+    res.status(500).json({ message: 'Server error regenerating receipt' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
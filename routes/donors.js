@@ -0,0 +1,535 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const { protect, authorize } = require('../middleware/auth');
+const { SEGMENTS, segmentQuery, findUserDonorIds, mergeDonors, rebuildDonorProfiles } = require('../utils/donors');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+const { getGivingStatement, runYearEndStatements } = require('../utils/givingStatements');
+const { sendDocument } = require('../utils/issuedDocuments');
+const { CONSENT_CHANNELS, consentQuery, updatePreferences, describePreferences } = require('../utils/consent');
+const { APPEAL_CHANNELS, sendAppeal } = require('../utils/appeals');
+
+const router = express.Router();
+
+const statementYearValidation = [
+  param('year')
+    .isInt({ min: 2000 })
+    .withMessage('Please provide a valid year')
+];
+
+const SORT_FIELDS = {
+  lifetimeTotal: { lifetimeTotal: -1 },
+  lastGift: { lastGiftDate: -1 },
+  firstGift: { firstGiftDate: 1 },
+  giftCount: { giftCount: -1 },
+  name: { lastName: 1, firstName: 1 }
+};
+
+// @desc    Get donor profiles, optionally by fundraising segment (Admin only)
+// @route   GET /api/donors?segment=lybunt|sybunt|top|new|recurring|all&consent=email|sms|phone|post
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      segment = 'all',
+      year,
+      purpose,
+      campaign,
+      minTotal,
+      search,
+      sort,
+      consent
+    } = req.query;
+
+    if (!SEGMENTS.includes(segment)) {
+      return res.status(400).json({ message: `Segment must be one of: ${SEGMENTS.join(', ')}` });
+    }
+    if (consent && !CONSENT_CHANNELS.includes(consent)) {
+      return res.status(400).json({ message: `Consent must be one of: ${CONSENT_CHANNELS.join(', ')}` });
+    }
+
+    const referenceYear = parseInt(year) || new Date().getFullYear();
+    const query = segmentQuery(segment, referenceYear);
+
+    if (purpose) query.purposesSupported = purpose;
+    if (campaign) query.campaignsSupported = campaign;
+    if (minTotal) query.lifetimeTotal = { $gte: parseFloat(minTotal) };
+    // Phone and post contact lists are worked only from donors who opted in
+    if (consent) Object.assign(query, consentQuery(consent));
+    if (search) {
+      query.$or = [
+        { firstName: { $regex: search, $options: 'i' } },
+        { lastName: { $regex: search, $options: 'i' } },
+        { emails: { $regex: search, $options: 'i' } },
+        { phones: { $regex: search.replace(/\D/g, '') || search, $options: 'i' } }
+      ];
+    }
+
+    // Top donors are ranked by lifetime giving unless another order is asked for
+    const sortBy = SORT_FIELDS[sort] || (segment === 'top' ? SORT_FIELDS.lifetimeTotal : SORT_FIELDS.lastGift);
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const donors = await Donor.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort(sortBy)
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Donor.countDocuments(query);
+
+    res.json({
+      donors,
+      segment,
+      year: referenceYear,
+      currency: getBaseCurrency(),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalDonors: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get donors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get donor counts and giving per segment (Admin only)
+// @route   GET /api/donors/segments
+// @access  Private (Admin)
+router.get('/segments', protect, authorize('admin'), async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+
+    const segments = {};
+    for (const segment of SEGMENTS.filter(s => s !== 'top' && s !== 'all')) {
+      const [stats] = await Donor.aggregate([
+        { $match: segmentQuery(segment, year) },
+        {
+          $group: {
+            _id: null,
+            donors: { $sum: 1 },
+            lifetimeTotal: { $sum: '$lifetimeTotal' },
+            // What the segment gave last year is what is at risk of being lost
+            lastYearTotal: {
+              $sum: {
+                $reduce: {
+                  input: { $filter: { input: '$givingByYear', cond: { $eq: ['$$this.year', year - 1] } } },
+                  initialValue: 0,
+                  in: { $add: ['$$value', '$$this.total'] }
+                }
+              }
+            }
+          }
+        }
+      ]);
+      segments[segment] = {
+        donors: stats?.donors || 0,
+        lifetimeTotal: Math.round((stats?.lifetimeTotal || 0) * 100) / 100,
+        lastYearTotal: Math.round((stats?.lastYearTotal || 0) * 100) / 100
+      };
+    }
+
+    const [overall] = await Donor.aggregate([
+      { $match: { giftCount: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          donors: { $sum: 1 },
+          lifetimeTotal: { $sum: '$lifetimeTotal' },
+          gifts: { $sum: '$giftCount' }
+        }
+      }
+    ]);
+
+    const topDonors = await Donor.find(segmentQuery('top'))
+      .select('firstName lastName emails lifetimeTotal giftCount lastGiftDate')
+      .sort({ lifetimeTotal: -1 })
+      .limit(parseInt(req.query.top) || 10);
+
+    res.json({
+      year,
+      currency: getBaseCurrency(),
+      overall: {
+        donors: overall?.donors || 0,
+        gifts: overall?.gifts || 0,
+        lifetimeTotal: Math.round((overall?.lifetimeTotal || 0) * 100) / 100,
+        averageLifetimeGiving: overall?.donors ? Math.round((overall.lifetimeTotal / overall.donors) * 100) / 100 : 0
+      },
+      segments,
+      topDonors
+    });
+  } catch (error) {
+    console.error('Get donor segments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the current user's donor profile
+// @route   GET /api/donors/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const donorIds = await findUserDonorIds(req.user);
+    const donor = await Donor.findOne({ _id: { $in: donorIds } }).sort({ lifetimeTotal: -1 });
+
+    if (!donor) {
+      return res.status(404).json({ message: 'No donations found for this account' });
+    }
+
+    res.json(donor);
+  } catch (error) {
+    console.error('Get my donor profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Download the current user's annual giving statement (?format=pdf|csv)
+// @route   GET /api/donors/me/statements/:year
+// @access  Private
+router.get('/me/statements/:year', protect, statementYearValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donorIds = await findUserDonorIds(req.user);
+    const donor = await Donor.findOne({ _id: { $in: donorIds } }).sort({ lifetimeTotal: -1 });
+
+    if (!donor) {
+      return res.status(404).json({ message: 'No donations found for this account' });
+    }
+
+    const document = await getGivingStatement(donor, parseInt(req.params.year), req.query.format || 'pdf', {
+      generatedBy: req.user._id
+    });
+
+    sendDocument(res, document);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get my giving statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Issue and email annual giving statements to everyone who gave in a year (Admin only)
+// @route   POST /api/donors/statements/run
+// @access  Private (Admin)
+router.post('/statements/run', protect, authorize('admin'), [
+  body('year')
+    .isInt({ min: 2000, max: new Date().getFullYear() })
+    .withMessage('Please provide a valid year'),
+  body('resend')
+    .optional()
+    .isBoolean()
+    .withMessage('Resend must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await runYearEndStatements(parseInt(req.body.year), {
+      resend: req.body.resend === true || req.body.resend === 'true',
+      generatedBy: req.user._id
+    });
+
+    res.json({
+      summary,
+      message: `${summary.queued} giving statements queued for email`
+    });
+  } catch (error) {
+    console.error('Run giving statements error:', error);
+    res.status(500).json({ message: 'Server error running giving statements' });
+  }
+});
+
+// @desc    Send an appeal by email or SMS to the donors in a segment who opted in (Admin only)
+// @route   POST /api/donors/appeals
+// @access  Private (Admin)
+router.post('/appeals', protect, authorize('admin'), [
+  body('segment')
+    .isIn(SEGMENTS)
+    .withMessage(`Segment must be one of: ${SEGMENTS.join(', ')}`),
+  body('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be a valid year')
+    .toInt(),
+  body('channel')
+    .isIn(APPEAL_CHANNELS)
+    .withMessage(`Channel must be one of: ${APPEAL_CHANNELS.join(', ')}`),
+  body('subject')
+    .if(body('channel').equals('email'))
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Subject must be between 3 and 150 characters'),
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 5000 })
+    .withMessage('Message must be between 10 and 5000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const summary = await sendAppeal({
+      segment: req.body.segment,
+      year: req.body.year || new Date().getFullYear(),
+      channel: req.body.channel,
+      subject: req.body.subject,
+      message: req.body.message,
+      sentBy: req.user._id
+    });
+
+    res.json({
+      summary,
+      message: `Appeal sent to ${summary.sent} donors; ${summary.notOptedIn} in the segment have not opted in to ${req.body.channel}`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Send appeal error:', error);
+    res.status(500).json({ message: 'Server error sending appeal' });
+  }
+});
+
+// @desc    Link donations to donor profiles and recompute all totals (Admin only)
+// @route   POST /api/donors/rebuild
+// @access  Private (Admin)
+router.post('/rebuild', protect, authorize('admin'), async (req, res) => {
+  try {
+    const summary = await rebuildDonorProfiles();
+
+    res.json({
+      summary,
+      message: 'Donor profiles rebuilt'
+    });
+  } catch (error) {
+    console.error('Rebuild donor profiles error:', error);
+    res.status(500).json({ message: 'Server error rebuilding donor profiles' });
+  }
+});
+
+// @desc    Get single donor with their donations (Admin only)
+// @route   GET /api/donors/:id
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const donor = await Donor.findById(req.params.id)
+      .populate('user', 'firstName lastName email role')
+      .populate('campaignsSupported', 'title status');
+
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const donations = await Donation.find({ donorProfile: donor._id })
+      .select('amount currency baseAmount refundedAmount paymentStatus paymentMethod purpose campaign isRecurring recurringStatus receiptNumber createdAt verificationDate')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      donor,
+      donations
+    });
+  } catch (error) {
+    console.error('Get donor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Download a donor's annual giving statement (?format=pdf|csv) (Admin only)
+// @route   GET /api/donors/:id/statements/:year
+// @access  Private (Admin)
+router.get('/:id/statements/:year', protect, authorize('admin'), statementYearValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findById(req.params.id);
+
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    const document = await getGivingStatement(donor, parseInt(req.params.year), req.query.format || 'pdf', {
+      regenerate: req.query.regenerate === 'true',
+      generatedBy: req.user._id
+    });
+
+    sendDocument(res, document);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get giving statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update donor notes or name (Admin only)
+// @route   PUT /api/donors/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), [
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findById(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    ['firstName', 'lastName', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) donor[field] = req.body[field];
+    });
+    await donor.save();
+
+    res.json({
+      donor,
+      message: 'Donor updated successfully'
+    });
+  } catch (error) {
+    console.error('Update donor error:', error);
+    res.status(500).json({ message: 'Server error updating donor' });
+  }
+});
+
+// @desc    Record consent given outside the website, e.g. on a paper form (Admin only)
+// @route   PUT /api/donors/:id/consent
+// @access  Private (Admin)
+router.put('/:id/consent', protect, authorize('admin'), [
+  ...CONSENT_CHANNELS.map(channel => body(channel)
+    .optional()
+    .isBoolean()
+    .withMessage(`${channel} consent must be true or false`)
+    .toBoolean()),
+  body('note')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Note how the consent was given (3-500 characters)')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await Donor.findById(req.params.id);
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    await updatePreferences(donor, req.body, {
+      source: 'admin',
+      changedBy: req.user._id,
+      note: req.body.note
+    });
+
+    res.json({
+      preferences: describePreferences(donor),
+      history: donor.consentHistory,
+      message: 'Consent updated successfully'
+    });
+  } catch (error) {
+    console.error('Update donor consent error:', error);
+    res.status(500).json({ message: 'Server error updating consent' });
+  }
+});
+
+// @desc    Merge another donor profile into this one (Admin only)
+// @route   POST /api/donors/:id/merge
+// @access  Private (Admin)
+router.post('/:id/merge', protect, authorize('admin'), [
+  body('donorId')
+    .isMongoId()
+    .withMessage('Donor to merge is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await mergeDonors(req.params.id, req.body.donorId);
+
+    res.json({
+      donor,
+      message: 'Donors merged successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Merge donors error:', error);
+    res.status(500).json({ message: 'Server error merging donors' });
+  }
+});
+
+module.exports = router;
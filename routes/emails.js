@@ -0,0 +1,121 @@
+const express = require('express');
+const EmailMessage = require('../models/EmailMessage');
+const { protect, authorize } = require('../middleware/auth');
+const { retryEmail, processOutbox } = require('../utils/mailer');
+
+const router = express.Router();
+
+// @desc    Get outbox messages (Admin only)
+// @route   GET /api/emails
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, to } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (template) query.template = template;
+    if (to) query.to = to.toLowerCase();
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const messages = await EmailMessage.find(query)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await EmailMessage.countDocuments(query);
+
+    const statusCounts = await EmailMessage.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      messages,
+      summary: statusCounts.reduce((summary, { _id, count }) => ({ ...summary, [_id]: count }), {}),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalMessages: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Deliver all due outbox messages now (Admin only)
+// @route   POST /api/emails/process
+// @access  Private (Admin)
+router.post('/process', protect, authorize('admin'), async (req, res) => {
+  try {
+    const results = await processOutbox();
+
+    res.json({
+      summary: {
+        attempted: results.length,
+        sent: results.filter(m => m.status === 'sent').length,
+        retrying: results.filter(m => m.status === 'queued').length,
+        failed: results.filter(m => m.status === 'failed').length
+      },
+      message: 'Email outbox processed'
+    });
+  } catch (error) {
+    console.error('Process email outbox error:', error);
+    res.status(500).json({ message: 'Server error processing email outbox' });
+  }
+});
+
+// @desc    Get single outbox message (Admin only)
+// @route   GET /api/emails/:id
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const message = await EmailMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    res.json(message);
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Retry a failed outbox message (Admin only)
+// @route   POST /api/emails/:id/retry
+// @access  Private (Admin)
+router.post('/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    const message = await EmailMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    if (message.status !== 'failed') {
+      return res.status(400).json({ message: 'Only failed emails can be retried' });
+    }
+
+    await retryEmail(message);
+    const updated = await EmailMessage.findById(message._id).select('-html -text');
+
+    res.json({
+      email: updated,
+      message: updated.status === 'sent' ? 'Email sent successfully' : 'Email queued for retry'
+    });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({ message: 'Server error retrying email' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const multer = require('multer');
 const { v2: cloudinary } = require('cloudinary');
 const Event = require('../models/Event');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { queueEmailSafely } = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -337,8 +338,26 @@ router.post('/:id/register', protect, async (req, res) => {
 
     // Register user
     await event.registerUser(req.user._id);
+    const ticket = event.ticketFor(req.user._id);
+
+    await queueEmailSafely({
+      to: req.user.email,
+      template: 'event_registration',
+      data: {
+        firstName: req.user.firstName,
+        eventTitle: event.title,
+        eventDate: event.date,
+        eventTime: event.time,
+        location: event.location,
+        ticketNumber: ticket.number
+      },
+      related: { event: event._id, user: req.user._id }
+    });
 
-    res.json({ message: 'Successfully registered for event' });
+    res.json({
+      ticketNumber: ticket.number,
+      message: 'Successfully registered for event'
+    });
   } catch (error) {
     console.error('Event registration error:', error);
     res.status(500).json({ message: 'Server error registering for event' });
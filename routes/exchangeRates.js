@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const Donation = require('../models/Donation');
+const { protect, authorize } = require('../middleware/auth');
+const { getBaseCurrency, getRate } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR'];
+
+const rateValidation = [
+  body('currency')
+    .isIn(CURRENCIES)
+    .withMessage('Invalid currency')
+    .custom(value => value !== getBaseCurrency())
+    .withMessage('The base currency always has a rate of 1'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than 0'),
+  body('effectiveDate')
+    .isISO8601()
+    .withMessage('Please provide a valid effective date'),
+  body('source')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Source cannot exceed 200 characters')
+];
+
+// @desc    Get exchange rates, newest first (Admin only)
+// @route   GET /api/exchange-rates
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { currency } = req.query;
+
+    const query = { baseCurrency: getBaseCurrency() };
+    if (currency) query.currency = currency.toUpperCase();
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ currency: 1, effectiveDate: -1 });
+
+    // Rate in force today for each currency
+    const current = {};
+    for (const code of CURRENCIES) {
+      current[code] = await getRate(code);
+    }
+
+    res.json({
+      baseCurrency: getBaseCurrency(),
+      current,
+      rates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Add an exchange rate effective from a date (Admin only)
+// @route   POST /api/exchange-rates
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), rateValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currency, rate, effectiveDate, source } = req.body;
+
+    const exchangeRate = await ExchangeRate.create({
+      currency,
+      baseCurrency: getBaseCurrency(),
+      rate,
+      effectiveDate: new Date(effectiveDate),
+      source,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      exchangeRate,
+      message: 'Exchange rate added successfully'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A rate for this currency and date already exists' });
+    }
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({ message: 'Server error adding exchange rate' });
+  }
+});
+
+// @desc    Correct an exchange rate (Admin only)
+// @route   PUT /api/exchange-rates/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), [
+  body('rate')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be greater than 0'),
+  body('source')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Source cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    // Donations already converted keep the rate they completed at
+    if (req.body.rate !== undefined) exchangeRate.rate = req.body.rate;
+    if (req.body.source !== undefined) exchangeRate.source = req.body.source;
+    await exchangeRate.save();
+
+    res.json({
+      exchangeRate,
+      message: 'Exchange rate updated successfully'
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({ message: 'Server error updating exchange rate' });
+  }
+});
+
+// @desc    Delete an exchange rate (Admin only)
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error deleting exchange rate' });
+  }
+});
+
+// @desc    Convert completed donations that have no base currency amount yet (Admin only)
+// @route   POST /api/exchange-rates/apply
+// @access  Private (Admin)
+router.post('/apply', protect, authorize('admin'), async (req, res) => {
+  try {
+    const summary = await Donation.convertMissingBaseAmounts();
+
+    res.json({
+      summary,
+      baseCurrency: getBaseCurrency(),
+      message: summary.missingRate
+        ? `${summary.missingRate} donations still need an exchange rate`
+        : 'All completed donations are converted'
+    });
+  } catch (error) {
+    console.error('Apply exchange rates error:', error);
+    res.status(500).json({ message: 'Server error converting donations' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@ const Membership = require('../models/Membership');
 const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
 const { initiateStkPush } = require('../mpesa');
+const { normalizeKenyanPhone, isValidKenyanPhone } = require('../utils/phone');
+const { processStkCallback } = require('../utils/mpesaCallbacks');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
+const { guardPaymentInitiation } = require('../middleware/paymentAbuse');
+const { recordPayment, settlePayment } = require('../utils/paymentLedger');
+const { getCardProvider, createCardCheckout } = require('../utils/cardGateway');
+const { convertToBase, getBaseCurrency } = require('../utils/exchangeRates');
+const { getMembershipDocument, sendDocument } = require('../utils/issuedDocuments');
+const { queueEmailSafely } = require('../utils/mailer');
 
 const router = express.Router();
 
@@ -134,6 +143,87 @@ router.get('/payment-history', protect, async (req, res) => {
   }
 });
 
+// @desc    Download invoice or receipt for a membership payment (PDF)
+// @route   GET /api/membership/:id/payments/:paymentId/:documentType (invoice|receipt)
+// @access  Private (Admin or Applicant)
+router.get('/:id/payments/:paymentId/:documentType(invoice|receipt)', protect, async (req, res) => {
+  try {
+    const membership = await Membership.findById(req.params.id);
+    if (!membership) {
+      return res.status(404).json({ message: 'Membership not found' });
+    }
+
+    // Check authorization
+    if (membership.applicant.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const document = await getMembershipDocument(membership, req.params.paymentId, req.params.documentType, {
+      generatedBy: req.user._id
+    });
+
+    sendDocument(res, document);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get membership document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Regenerate invoice or receipt for a membership payment as a new version (Admin only)
+// @route   POST /api/membership/:id/payments/:paymentId/:documentType/regenerate
+// @access  Private (Admin)
+router.post('/:id/payments/:paymentId/:documentType(invoice|receipt)/regenerate', protect, authorize('admin'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await Membership.findById(req.params.id);
+    if (!membership) {
+      return res.status(404).json({ message: 'Membership not found' });
+    }
+
+    const document = await getMembershipDocument(membership, req.params.paymentId, req.params.documentType, {
+      regenerate: true,
+      generatedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      document: {
+        _id: document._id,
+        type: document.type,
+        number: document.number,
+        version: document.version,
+        fileName: document.fileName,
+        reason: document.reason,
+        createdAt: document.createdAt
+      },
+      message: 'Document regenerated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Regenerate membership document error:', error);
+    res.status(500).json({ message: 'Server error regenerating document' });
+  }
+});
+
 // @desc    Submit membership application
 // @route   POST /api/membership/apply
 // @access  Private
@@ -305,12 +395,13 @@ router.post('/:id/pay', protect, [
       if (req.body.paymentMethod === 'mpesa' && !value) {
         throw new Error('Phone number is required for M-PESA payments');
       }
-      if (value && !/^254\d{9}$/.test(value)) {
-        throw new Error('Phone number must be in format: 254XXXXXXXXX');
+      if (value && !isValidKenyanPhone(value)) {
+        throw new Error('Please provide a valid Kenyan phone number');
       }
       return true;
     })
-], async (req, res) => {
+    .customSanitizer(normalizeKenyanPhone)
+], guardPaymentInitiation({ phoneField: 'phoneNumber', captcha: false }), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -357,6 +448,29 @@ router.post('/:id/pay', protect, [
       paymentData.period.endDate.setMonth(paymentData.period.endDate.getMonth() + 1);
     }
 
+    // Record the attempt in the payments ledger. Card payments settle from the
+    // gateway webhook and bank transfers once an admin confirms the funds arrived.
+    const ledgerRoutes = {
+      mpesa: () => ({ provider: 'mpesa', channel: 'stk_push' }),
+      card: () => ({ provider: getCardProvider().name, channel: 'online' }),
+      bank_transfer: () => ({ provider: 'manual', channel: 'offline' })
+    };
+    const ledgerPayment = await recordPayment({
+      payableType: 'Membership',
+      payable: membership._id,
+      membershipPaymentId: paymentId,
+      method: req.body.paymentMethod,
+      ...ledgerRoutes[req.body.paymentMethod](),
+      amount: req.body.amount,
+      currency: 'KES',
+      payer: {
+        email: req.user.email,
+        phone: req.body.phoneNumber,
+        user: req.user._id
+      }
+    });
+    paymentData.payment = ledgerPayment._id;
+
     // Add payment to membership
     await membership.addPayment(paymentData);
 
@@ -370,6 +484,11 @@ router.post('/:id/pay', protect, [
           transactionDesc: `${membership.membershipType.charAt(0).toUpperCase() + membership.membershipType.slice(1)} Membership Payment`
         });
 
+        // Save CheckoutRequestID for the callback and reconciler to find this payment
+        ledgerPayment.providerReference = mpesaResponse.CheckoutRequestID;
+        ledgerPayment.merchantRequestId = mpesaResponse.MerchantRequestID;
+        await ledgerPayment.save();
+
         // Update payment with M-PESA response
         const payment = membership.payments.find(p => p.paymentId === paymentId);
         if (payment) {
@@ -388,32 +507,54 @@ router.post('/:id/pay', protect, [
         console.error('M-PESA payment error:', mpesaError);
         
         // Update payment status to failed
+        await settlePayment(ledgerPayment, 'failed', {
+          note: mpesaError.message || 'M-PESA payment failed',
+          payable: membership
+        });
+
+        res.status(400).json({ 
+          message: 'M-PESA payment failed',
+          error: mpesaError.message 
+        });
+      }
+    } else if (req.body.paymentMethod === 'card') {
+      // paymentProgress only changes once the gateway webhook confirms the payment
+      try {
+        const checkoutUrl = await createCardCheckout(ledgerPayment, {
+          description: `${membership.membershipType.charAt(0).toUpperCase() + membership.membershipType.slice(1)} Membership Payment`,
+          customerEmail: req.user.email
+        });
+
         const payment = membership.payments.find(p => p.paymentId === paymentId);
         if (payment) {
-          payment.status = 'failed';
-          payment.notes = mpesaError.message || 'M-PESA payment failed';
+          payment.transactionId = ledgerPayment.providerReference;
           await membership.save();
         }
 
-        res.status(400).json({ 
-          message: 'M-PESA payment failed',
-          error: mpesaError.message 
+        res.json({
+          message: 'Card checkout created; complete the payment at the checkout URL',
+          payment: paymentData,
+          checkoutUrl,
+          membership
+        });
+      } catch (cardError) {
+        console.error('Card checkout error:', cardError.response?.data || cardError);
+
+        await settlePayment(ledgerPayment, 'failed', {
+          note: cardError.message || 'Card checkout failed',
+          payable: membership
+        });
+
+        res.status(502).json({
+          message: 'Card checkout failed',
+          error: cardError.message
         });
       }
     } else {
-      // For other payment methods, simulate success for now
-      paymentData.status = 'completed';
-      
-      // Update the payment status
-      const payment = membership.payments.find(p => p.paymentId === paymentId);
-      if (payment) {
-        payment.status = 'completed';
-        await membership.save();
-      }
-
       res.json({
-        message: 'Payment processed successfully',
+        message: 'Bank transfer recorded; it will be applied once the funds are confirmed',
         payment: paymentData,
+        bankReference: ledgerPayment.bankReference,
         membership
       });
     }
@@ -479,6 +620,21 @@ router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
 
     await membership.approve(req.user._id, req.body.notes);
 
+    const applicant = await User.findById(membership.applicant).select('firstName email');
+    if (applicant) {
+      await queueEmailSafely({
+        to: applicant.email,
+        template: 'membership_approved',
+        data: {
+          firstName: applicant.firstName,
+          membershipNumber: membership.membershipNumber,
+          membershipType: membership.membershipType,
+          expiryDate: membership.expiryDate
+        },
+        related: { membership: membership._id }
+      });
+    }
+
     res.json({
       membership,
       message: 'Membership approved successfully'
@@ -503,6 +659,20 @@ router.put('/:id/suspend', protect, authorize('admin'), async (req, res) => {
     membership.notes = req.body.notes || membership.notes;
     await membership.save();
 
+    const applicant = await User.findById(membership.applicant).select('firstName email');
+    if (applicant) {
+      await queueEmailSafely({
+        to: applicant.email,
+        template: 'membership_suspended',
+        data: {
+          firstName: applicant.firstName,
+          membershipNumber: membership.membershipNumber,
+          reason: req.body.reason
+        },
+        related: { membership: membership._id }
+      });
+    }
+
     res.json({
       membership,
       message: 'Membership suspended successfully'
@@ -574,56 +744,13 @@ router.put('/:id/renew', protect, async (req, res) => {
 });
 
 // @desc    M-PESA payment callback
-// @route   POST /api/membership/mpesa-callback
-// @access  Public
-router.post('/mpesa-callback', async (req, res) => {
+// @route   POST /api/membership/mpesa-callback/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/mpesa-callback', '/mpesa-callback/:token'], verifyMpesaCallback, async (req, res) => {
   try {
-    const { Body } = req.body;
-    const stkCallback = Body.stkCallback;
-    
-    if (stkCallback.ResultCode === 0) {
-      // Payment successful
-      const checkoutRequestID = stkCallback.CheckoutRequestID;
-      const resultDesc = stkCallback.ResultDesc;
-      const amount = stkCallback.CallbackMetadata?.Item?.find(item => item.Name === 'Amount')?.Value;
-      const mpesaReceiptNumber = stkCallback.CallbackMetadata?.Item?.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-      const transactionDate = stkCallback.CallbackMetadata?.Item?.find(item => item.Name === 'TransactionDate')?.Value;
-      const phoneNumber = stkCallback.CallbackMetadata?.Item?.find(item => item.Name === 'PhoneNumber')?.Value;
-
-      // Find membership payment by checkout request ID
-      const membership = await Membership.findOne({
-        'payments.transactionId': checkoutRequestID
-      });
-
-      if (membership) {
-        const payment = membership.payments.find(p => p.transactionId === checkoutRequestID);
-        if (payment) {
-          payment.status = 'completed';
-          payment.mpesaDetails.transactionCode = mpesaReceiptNumber;
-          payment.notes = `Payment confirmed: ${resultDesc}`;
-          await membership.save();
-        }
-      }
-    } else {
-      // Payment failed
-      const checkoutRequestID = stkCallback.CheckoutRequestID;
-      const resultDesc = stkCallback.ResultDesc;
-
-      const membership = await Membership.findOne({
-        'payments.transactionId': checkoutRequestID
-      });
-
-      if (membership) {
-        const payment = membership.payments.find(p => p.transactionId === checkoutRequestID);
-        if (payment) {
-          payment.status = 'failed';
-          payment.notes = `Payment failed: ${resultDesc}`;
-          await membership.save();
-        }
-      }
-    }
-
-    res.json({ message: 'Callback processed successfully' });
+    const log = await processStkCallback(req.body, { sourceIp: req.ip });
+    if (!log) return res.json({ ResultCode: 0, ResultDesc: 'No callback data' });
+    res.json({ ResultCode: 0, ResultDesc: 'Callback processed successfully' });
   } catch (error) {
     console.error('M-PESA callback error:', error);
     res.status(500).json({ message: 'Callback processing error' });
@@ -650,13 +777,21 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
       { $group: { _id: null, total: { $sum: '$paymentProgress.totalPaid' } } }
     ]);
 
+    // Membership dues are paid in KES; report them in the base currency at today's
+    // rate. Without a KES rate the total leaves them out and lists KES as unconverted.
+    const revenueKes = totalRevenue[0]?.total || 0;
+    const revenueBase = await convertToBase(revenueKes, 'KES');
+
     res.json({
       totalMembers,
       pendingApplications,
       suspendedMembers,
       expiredMembers,
       overduePayments,
-      totalRevenue: totalRevenue[0]?.total || 0
+      totalRevenue: revenueBase ? revenueBase.baseAmount : 0,
+      baseCurrency: getBaseCurrency(),
+      revenueByCurrency: [{ currency: 'KES', amount: revenueKes }],
+      unconvertedCurrencies: revenueBase || revenueKes === 0 ? [] : ['KES']
     });
   } catch (error) {
     console.error('Get membership stats error:', error);
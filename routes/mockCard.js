@@ -0,0 +1,52 @@
+const express = require('express');
+const { localSessions, sendLocalWebhook } = require('../utils/cardGateway');
+
+// Hosted checkout for the local card provider, mounted when CARD_PROVIDER=local
+// and ENABLE_MOCK_PAYMENTS=true outside production.
+// Completing a checkout posts a signed webhook exactly as a real gateway would.
+const router = express.Router();
+
+// @desc    Show a pending local checkout session
+// @route   GET /api/mock-card/checkout/:reference
+// @access  Public (local card provider only)
+router.get('/checkout/:reference', (req, res) => {
+  const session = localSessions.get(req.params.reference);
+  if (!session) {
+    return res.status(404).json({ message: 'Checkout session not found' });
+  }
+
+  res.json({
+    ...session,
+    message: 'POST to this URL with { "outcome": "success" | "declined" | "cancelled" } to finish the checkout'
+  });
+});
+
+// @desc    Finish a local checkout and send its webhook
+// @route   POST /api/mock-card/checkout/:reference
+// @access  Public (local card provider only)
+router.post('/checkout/:reference', async (req, res) => {
+  const session = localSessions.get(req.params.reference);
+  if (!session) {
+    return res.status(404).json({ message: 'Checkout session not found' });
+  }
+
+  const statuses = { success: 'completed', declined: 'failed', cancelled: 'cancelled' };
+  const status = statuses[req.body.outcome || 'success'];
+  if (!status) {
+    return res.status(400).json({ message: 'Outcome must be success, declined or cancelled' });
+  }
+
+  try {
+    await sendLocalWebhook(session, status);
+
+    res.json({
+      status,
+      redirectUrl: status === 'completed' ? session.successUrl : session.cancelUrl
+    });
+  } catch (error) {
+    console.error('Local card webhook error:', error.response?.data || error.message);
+    res.status(502).json({ message: 'Webhook delivery failed', error: error.response?.data || error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Local stand-in for the Daraja API, mounted when MPESA_ENV=mock.
+// It answers the same endpoints mpesa.js calls and, after a short delay, posts
+// realistic callbacks back to the URLs given in each request.
+const router = express.Router();
+
+const CALLBACK_DELAY_MS = parseInt(process.env.MPESA_MOCK_DELAY_MS) || 3000;
+
+// Outcomes an STK push can end with. The last three digits of the phone number
+// pick the outcome (e.g. 254700000001 is cancelled); any other number uses
+// MPESA_MOCK_SCENARIO, which defaults to success.
+const STK_SCENARIOS = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  // The customer pays but the callback never arrives, leaving it to the reconciler
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', silent: true }
+};
+
+const PHONE_SUFFIX_SCENARIOS = {
+  '001': 'cancelled',
+  '002': 'insufficient_funds',
+  '003': 'timeout',
+  '004': 'no_callback'
+};
+
+// In-memory state; a restart forgets every pending request
+const stkRequests = new Map();
+const c2bUrls = {};
+
+const randomId = (prefix) => `${prefix}${Date.now()}${crypto.randomInt(1000, 9999)}`;
+const randomReceipt = () => crypto.randomBytes(8).toString('base64').replace(/[^A-Z0-9]/gi, '').toUpperCase().padEnd(10, 'X').slice(0, 10);
+const mpesaTimestamp = () => new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+
+const pickScenario = (phone) => {
+  const suffixScenario = PHONE_SUFFIX_SCENARIOS[String(phone).slice(-3)];
+  const scenario = suffixScenario || process.env.MPESA_MOCK_SCENARIO || 'success';
+  return STK_SCENARIOS[scenario] ? scenario : 'success';
+};
+
+const postLater = (url, payload) => {
+  setTimeout(async () => {
+    try {
+      await axios.post(url, payload);
+    } catch (error) {
+      console.error(`Mock M-Pesa callback to ${url} failed:`, error.response?.status || error.message);
+    }
+  }, CALLBACK_DELAY_MS);
+};
+
+// @desc    Issue a fake OAuth token
+// @route   GET /api/mock-mpesa/oauth/v1/generate
+// @access  Public (mock mode only)
+router.get('/oauth/v1/generate', (req, res) => {
+  res.json({
+    access_token: `mock-${crypto.randomBytes(12).toString('hex')}`,
+    expires_in: '3599'
+  });
+});
+
+// @desc    Accept an STK push and schedule its callback
+// @route   POST /api/mock-mpesa/mpesa/stkpush/v1/processrequest
+// @access  Public (mock mode only)
+router.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+  const merchantRequestId = randomId('mock-');
+  const checkoutRequestId = randomId('ws_CO_');
+  const scenario = pickScenario(PhoneNumber);
+  const outcome = STK_SCENARIOS[scenario];
+
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: outcome.resultCode,
+    ResultDesc: outcome.resultDesc
+  };
+
+  if (outcome.resultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: Number(Amount) },
+        { Name: 'MpesaReceiptNumber', Value: randomReceipt() },
+        { Name: 'TransactionDate', Value: Number(mpesaTimestamp()) },
+        { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+      ]
+    };
+  }
+
+  stkRequests.set(checkoutRequestId, { outcome, completesAt: Date.now() + CALLBACK_DELAY_MS });
+
+  if (!outcome.silent && CallBackURL) {
+    postLater(CallBackURL, { Body: { stkCallback } });
+  }
+
+  console.log(`Mock M-Pesa STK push ${checkoutRequestId} to ${PhoneNumber}: ${scenario}`);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+});
+
+// @desc    Report the status of an STK push
+// @route   POST /api/mock-mpesa/mpesa/stkpushquery/v1/query
+// @access  Public (mock mode only)
+router.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const request = stkRequests.get(req.body.CheckoutRequestID);
+
+  if (!request) {
+    return res.status(404).json({ errorCode: '404.001.04', errorMessage: 'Invalid CheckoutRequestID' });
+  }
+
+  if (Date.now() < request.completesAt) {
+    return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(request.outcome.resultCode),
+    ResultDesc: request.outcome.resultDesc
+  });
+});
+
+// @desc    Remember the C2B confirmation and validation URLs
+// @route   POST /api/mock-mpesa/mpesa/c2b/v1/registerurl
+// @access  Public (mock mode only)
+router.post('/mpesa/c2b/v1/registerurl', (req, res) => {
+  c2bUrls.confirmation = req.body.ConfirmationURL;
+  c2bUrls.validation = req.body.ValidationURL;
+  res.json({ ResponseCode: '0', ResponseDescription: 'Success' });
+});
+
+// @desc    Simulate a customer paying to the paybill
+// @route   POST /api/mock-mpesa/mpesa/c2b/v1/simulate
+// @access  Public (mock mode only)
+router.post('/mpesa/c2b/v1/simulate', (req, res) => {
+  if (!c2bUrls.confirmation) {
+    return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'C2B URLs have not been registered' });
+  }
+
+  postLater(c2bUrls.confirmation, {
+    TransactionType: 'Pay Bill',
+    TransID: randomReceipt(),
+    TransTime: mpesaTimestamp(),
+    TransAmount: String(req.body.Amount),
+    BusinessShortCode: String(req.body.ShortCode || process.env.MPESA_C2B_SHORTCODE || process.env.MPESA_SHORTCODE),
+    BillRefNumber: req.body.BillRefNumber || '',
+    InvoiceNumber: '',
+    OrgAccountBalance: '',
+    ThirdPartyTransID: '',
+    MSISDN: String(req.body.Msisdn || '254708374149'),
+    FirstName: req.body.FirstName || 'John',
+    MiddleName: '',
+    LastName: req.body.LastName || 'Doe'
+  });
+
+  res.json({
+    OriginatorCoversationID: randomId('mock-'),
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+});
+
+// Reversals and B2C payments always succeed in the mock
+const acceptResultRequest = (req, res) => {
+  const conversationId = randomId('AG_');
+  const originatorConversationId = randomId('mock-');
+
+  postLater(req.body.ResultURL, {
+    Result: {
+      ResultType: 0,
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      TransactionID: randomReceipt()
+    }
+  });
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: originatorConversationId,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+};
+
+// @desc    Accept a transaction reversal
+// @route   POST /api/mock-mpesa/mpesa/reversal/v1/request
+// @access  Public (mock mode only)
+router.post('/mpesa/reversal/v1/request', acceptResultRequest);
+
+// @desc    Accept a B2C payment
+// @route   POST /api/mock-mpesa/mpesa/b2c/v1/paymentrequest
+// @access  Public (mock mode only)
+router.post('/mpesa/b2c/v1/paymentrequest', acceptResultRequest);
+
+module.exports = router;
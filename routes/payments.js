@@ -0,0 +1,612 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
+const { reconcileByCheckoutRequestId, reconcilePending } = require('../utils/mpesaReconciler');
+const { validateC2BPayment, processC2BConfirmation } = require('../utils/mpesaC2B');
+const { registerC2BUrls } = require('../mpesa');
+const Payment = require('../models/Payment');
+const PaymentAttempt = require('../models/PaymentAttempt');
+const BlockedPayer = require('../models/BlockedPayer');
+const { normalizeKenyanPhone } = require('../utils/phone');
+const { backfillPayments, isBatchPayment, settlePayment, resolveReview } = require('../utils/paymentLedger');
+const { processCardWebhook } = require('../utils/cardGateway');
+
+const router = express.Router();
+
+// @desc    Reconcile pending M-Pesa payments within a date range (Admin only)
+// @route   POST /api/payments/mpesa/reconcile
+// @access  Private (Admin)
+router.post('/mpesa/reconcile', protect, authorize('admin'), [
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.body;
+
+    const results = await reconcilePending({
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    });
+
+    res.json({
+      results,
+      summary: {
+        checked: results.length,
+        completed: results.filter(r => r.status === 'completed').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        pending: results.filter(r => r.status === 'pending').length,
+        needsReview: results.filter(r => r.status === 'needs_review').length,
+        errors: results.filter(r => r.status === 'error').length
+      },
+      message: 'M-Pesa reconciliation completed'
+    });
+  } catch (error) {
+    console.error('Reconcile M-Pesa payments error:', error);
+    res.status(500).json({ message: 'Server error reconciling payments' });
+  }
+});
+
+// @desc    Reconcile a single M-Pesa payment by CheckoutRequestID (Admin only)
+// @route   POST /api/payments/mpesa/reconcile/:checkoutRequestId
+// @access  Private (Admin)
+router.post('/mpesa/reconcile/:checkoutRequestId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const result = await reconcileByCheckoutRequestId(req.params.checkoutRequestId);
+
+    if (!result) {
+      return res.status(404).json({ message: 'No payment found for this CheckoutRequestID' });
+    }
+
+    res.json({
+      result,
+      message: result.skipped
+        ? 'Payment is already in a final state'
+        : 'M-Pesa reconciliation completed'
+    });
+  } catch (error) {
+    console.error('Reconcile M-Pesa payment error:', error.response?.data || error);
+    res.status(error.response?.status || 500).json({
+      message: 'M-Pesa reconciliation failed',
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// Safaricom rejects C2B URLs containing words such as "mpesa", so these
+// routes live under /c2b rather than /mpesa
+
+// @desc    Register paybill C2B confirmation and validation URLs (Admin only)
+// @route   POST /api/payments/c2b/register
+// @access  Private (Admin)
+router.post('/c2b/register', protect, authorize('admin'), [
+  body('responseType')
+    .optional()
+    .isIn(['Completed', 'Cancelled'])
+    .withMessage('Response type must be Completed or Cancelled'),
+  body('confirmationUrl')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid confirmation URL'),
+  body('validationUrl')
+    .optional()
+    .isURL()
+    .withMessage('Please provide a valid validation URL')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { responseType, confirmationUrl, validationUrl } = req.body;
+    const mpesaRes = await registerC2BUrls({ responseType, confirmationUrl, validationUrl });
+
+    res.json({
+      mpesaResponse: mpesaRes,
+      message: 'C2B URLs registered successfully'
+    });
+  } catch (error) {
+    console.error('Register C2B URLs error:', error.response?.data || error);
+    res.status(error.response?.status || 500).json({
+      message: 'C2B URL registration failed',
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// @desc    Validate a paybill payment before it completes
+// @route   POST /api/payments/c2b/validation/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/c2b/validation', '/c2b/validation/:token'], verifyMpesaCallback, (req, res) => {
+  try {
+    res.json(validateC2BPayment(req.body));
+  } catch (error) {
+    console.error('C2B validation error:', error);
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  }
+});
+
+// @desc    Record a confirmed paybill payment as a donation or membership payment
+// @route   POST /api/payments/c2b/confirmation/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/c2b/confirmation', '/c2b/confirmation/:token'], verifyMpesaCallback, async (req, res) => {
+  try {
+    if (!req.body.TransID) {
+      return res.json({ ResultCode: 0, ResultDesc: 'No confirmation data' });
+    }
+
+    const { type, payment, duplicate } = await processC2BConfirmation(req.body);
+    console.log(`C2B payment ${req.body.TransID} recorded against ${type} ${payment.payable}${duplicate ? ' (duplicate)' : ''}`);
+
+    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+  } catch (error) {
+    console.error('C2B confirmation error:', error);
+    res.status(500).json({ ResultCode: 1, ResultDesc: 'Error processing confirmation' });
+  }
+});
+
+// @desc    Settle a card payment from the gateway's signed webhook
+// @route   POST /api/payments/card/webhook
+// @access  Public (verified by webhook signature)
+router.post('/card/webhook', async (req, res) => {
+  try {
+    const { ignored, payment, settled } = await processCardWebhook(req);
+    if (!ignored) {
+      console.log(`Card payment ${payment.providerReference} is ${payment.status}${settled ? '' : ' (not changed)'}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    if (error.statusCode) {
+      console.warn('Card webhook rejected:', error.message);
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Card webhook error:', error);
+    res.status(500).json({ message: 'Server error processing webhook' });
+  }
+});
+
+// @desc    Get all ledger payments (Admin only)
+// @route   GET /api/payments
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      method,
+      provider,
+      payableType,
+      requiresReview,
+      startDate,
+      endDate,
+      search
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (status) query.status = status;
+    if (method) query.method = method;
+    if (provider) query.provider = provider;
+    if (payableType) query.payableType = payableType;
+    if (requiresReview !== undefined) query.requiresReview = requiresReview === 'true';
+
+    // Date range filter
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    // Search filter
+    if (search) {
+      query.$or = [
+        { providerReference: { $regex: search, $options: 'i' } },
+        { providerReceipt: { $regex: search, $options: 'i' } },
+        { membershipPaymentId: { $regex: search, $options: 'i' } },
+        { 'payer.name': { $regex: search, $options: 'i' } },
+        { 'payer.email': { $regex: search, $options: 'i' } },
+        { 'payer.phone': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalPayments: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get payment totals by status, method, currency and payable type (Admin only)
+// @route   GET /api/payments/summary
+// @access  Private (Admin)
+router.get('/summary', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = {};
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const groupBy = (field) => Payment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: `$${field}`,
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          refundedAmount: { $sum: '$refundedAmount' }
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    const [byStatus, byMethod, byCurrency, byPayableType] = await Promise.all([
+      groupBy('status'),
+      groupBy('method'),
+      groupBy('currency'),
+      groupBy('payableType')
+    ]);
+
+    const needsReview = await Payment.countDocuments({ ...match, requiresReview: true });
+
+    res.json({
+      byStatus,
+      byMethod,
+      byCurrency,
+      byPayableType,
+      needsReview
+    });
+  } catch (error) {
+    console.error('Get payment summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create ledger records for donations and membership payments made before the ledger (Admin only)
+// @route   POST /api/payments/backfill
+// @access  Private (Admin)
+router.post('/backfill', protect, authorize('admin'), async (req, res) => {
+  try {
+    const summary = await backfillPayments();
+
+    res.json({
+      summary,
+      message: 'Payments ledger backfill completed'
+    });
+  } catch (error) {
+    console.error('Backfill payments error:', error);
+    res.status(500).json({ message: 'Server error backfilling payments' });
+  }
+});
+
+// @desc    Get payment initiation attempts, e.g. blocked ones to review (Admin only)
+// @route   GET /api/payments/attempts?outcome=blocked
+// @access  Private (Admin)
+router.get('/attempts', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, outcome, reason, phone, ip } = req.query;
+
+    const query = {};
+    if (outcome) query.outcome = outcome;
+    if (reason) query.reason = reason;
+    if (phone) query.phone = normalizeKenyanPhone(phone) || phone;
+    if (ip) query.ip = ip;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const attempts = await PaymentAttempt.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('blockedBy', 'type value reason')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await PaymentAttempt.countDocuments(query);
+
+    // Most frequently blocked phones and IPs in the last day
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const topBlocked = await PaymentAttempt.aggregate([
+      { $match: { outcome: 'blocked', createdAt: { $gte: since } } },
+      { $group: { _id: { phone: '$phone', ip: '$ip' }, count: { $sum: 1 }, reasons: { $addToSet: '$reason' } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ]);
+
+    res.json({
+      attempts,
+      topBlocked,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalAttempts: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get payment attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the payment blocklist (Admin only)
+// @route   GET /api/payments/blocklist
+// @access  Private (Admin)
+router.get('/blocklist', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+
+    const entries = await BlockedPayer.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Get payment blocklist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Block a phone number, IP address or email from starting payments (Admin only)
+// @route   POST /api/payments/blocklist
+// @access  Private (Admin)
+router.post('/blocklist', protect, authorize('admin'), [
+  body('type')
+    .isIn(['phone', 'ip', 'email'])
+    .withMessage('Type must be phone, ip or email'),
+  body('value')
+    .trim()
+    .notEmpty()
+    .withMessage('Value is required')
+    .custom((value, { req }) => req.body.type !== 'phone' || normalizeKenyanPhone(value) !== null)
+    .withMessage('Please provide a valid Kenyan phone number'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, reason, expiresAt } = req.body;
+    // Phones are matched in the 2547XXXXXXXX form the payment routes use
+    const value = type === 'phone' ? normalizeKenyanPhone(req.body.value) : req.body.value.toLowerCase();
+
+    const entry = await BlockedPayer.findOneAndUpdate(
+      { type, value },
+      { $set: { reason, expiresAt: expiresAt ? new Date(expiresAt) : null, createdBy: req.user._id } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      entry,
+      message: 'Added to payment blocklist'
+    });
+  } catch (error) {
+    console.error('Add payment blocklist entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove a payment blocklist entry (Admin only)
+// @route   DELETE /api/payments/blocklist/:id
+// @access  Private (Admin)
+router.delete('/blocklist/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const entry = await BlockedPayer.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Blocklist entry not found' });
+    }
+
+    res.json({ message: 'Removed from payment blocklist' });
+  } catch (error) {
+    console.error('Remove payment blocklist entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get single ledger payment (Admin only)
+// @route   GET /api/payments/:id
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('payable')
+      .populate('statusHistory.changedBy', 'firstName lastName');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Confirm or reject a pending manual payment such as a bank transfer (Admin only)
+// @route   PUT /api/payments/:id/confirm
+// @access  Private (Admin)
+router.put('/:id/confirm', protect, authorize('admin'), [
+  body('status')
+    .isIn(['completed', 'failed'])
+    .withMessage('Status must be completed or failed'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Gateway and M-Pesa payments are only settled by their provider
+    if (payment.provider !== 'manual') {
+      return res.status(400).json({ message: 'Only manual payments can be confirmed by an admin' });
+    }
+    if (await isBatchPayment(payment)) {
+      return res.status(400).json({ message: 'Batch donations are completed when the batch is approved' });
+    }
+
+    const { status, reference, notes } = req.body;
+    const settled = await settlePayment(payment, status, {
+      providerReceipt: reference,
+      source: 'admin',
+      changedBy: req.user._id,
+      note: notes
+    });
+
+    if (!settled) {
+      return res.status(400).json({ message: `Payment is already ${payment.status}` });
+    }
+
+    res.json({
+      payment,
+      message: 'Payment updated successfully'
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ message: 'Server error updating payment' });
+  }
+});
+
+// @desc    Resolve an M-Pesa payment flagged for review, e.g. a paid amount mismatch (Admin only)
+// @route   PUT /api/payments/:id/resolve
+// @access  Private (Admin)
+router.put('/:id/resolve', protect, authorize('admin'), [
+  body('status')
+    .isIn(['completed', 'failed', 'cancelled'])
+    .withMessage('Status must be completed, failed or cancelled'),
+  body('receipt')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9]{10}$/)
+    .withMessage('M-Pesa receipt must be 10 letters and digits'),
+  body('notes')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Notes explaining the decision are required (max 1000 characters)')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.provider !== 'mpesa') {
+      return res.status(400).json({ message: 'Only M-Pesa payments are resolved here' });
+    }
+    if (!payment.requiresReview) {
+      return res.status(400).json({ message: 'Payment is not flagged for review' });
+    }
+
+    const { status, receipt, notes } = req.body;
+    const resolved = await resolveReview(payment, status, {
+      providerReceipt: receipt,
+      changedBy: req.user._id,
+      note: notes
+    });
+
+    if (!resolved) {
+      return res.status(400).json({ message: `Payment is already ${payment.status}` });
+    }
+
+    res.json({
+      payment,
+      message: 'Payment resolved successfully'
+    });
+  } catch (error) {
+    console.error('Resolve payment error:', error);
+    res.status(500).json({ message: 'Server error resolving payment' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,420 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Pledge = require('../models/Pledge');
+const Donation = require('../models/Donation');
+const Donor = require('../models/Donor');
+const Event = require('../models/Event');
+const { protect, authorize } = require('../middleware/auth');
+const { findOpenCampaign } = require('../utils/campaigns');
+const { findUserDonorIds } = require('../utils/donors');
+const { linkDonation, getOutstandingReport } = require('../utils/pledges');
+
+const router = express.Router();
+
+// Pledges on the donor profiles the user has claimed
+const userPledgeQuery = async (user) => ({
+  donorProfile: { $in: await findUserDonorIds(user) }
+});
+
+// @desc    Record a pledge with its installment schedule (Admin only)
+// @route   POST /api/pledges
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('donor.firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('donor.lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('donor.email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1'),
+  body('currency')
+    .optional()
+    .isIn(['USD', 'EUR', 'GBP', 'KES', 'NGN', 'GHS', 'ZAR'])
+    .withMessage('Invalid currency'),
+  body('purpose')
+    .optional()
+    .isIn(['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'])
+    .withMessage('Invalid purpose'),
+  body('campaign')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid campaign id'),
+  body('event')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid event id'),
+  body('frequency')
+    .isIn(['monthly', 'quarterly', 'yearly', 'custom'])
+    .withMessage('Frequency must be monthly, quarterly, yearly or custom'),
+  body('installmentCount')
+    .if(body('frequency').not().equals('custom'))
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Installment count must be between 1 and 120'),
+  body('firstDueDate')
+    .if(body('frequency').not().equals('custom'))
+    .isISO8601()
+    .withMessage('First due date must be a valid date'),
+  body('installments')
+    .if(body('frequency').equals('custom'))
+    .isArray({ min: 1 })
+    .withMessage('Custom pledges need at least one installment'),
+  body('installments.*.dueDate')
+    .if(body('frequency').equals('custom'))
+    .isISO8601()
+    .withMessage('Installment due date must be a valid date'),
+  body('installments.*.amount')
+    .if(body('frequency').equals('custom'))
+    .isFloat({ min: 0.01 })
+    .withMessage('Installment amount must be positive'),
+  body('reminderDaysBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Reminder days must be between 0 and 60'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    let { currency, purpose } = req.body;
+
+    let campaign;
+    if (req.body.campaign) {
+      campaign = await findOpenCampaign(req.body.campaign);
+      currency = currency || campaign.currency;
+      purpose = purpose || campaign.purpose;
+    }
+
+    if (req.body.event && !(await Event.exists({ _id: req.body.event }))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    let installments;
+    if (req.body.frequency === 'custom') {
+      installments = req.body.installments
+        .map(i => ({ dueDate: new Date(i.dueDate), amount: Math.round(parseFloat(i.amount) * 100) / 100 }))
+        .sort((a, b) => a.dueDate - b.dueDate)
+        .map((i, index) => ({ ...i, number: index + 1 }));
+
+      const scheduled = Math.round(installments.reduce((sum, i) => sum + i.amount, 0) * 100) / 100;
+      if (scheduled !== amount) {
+        return res.status(400).json({ message: `Installments add up to ${scheduled} but the pledge is for ${amount}` });
+      }
+    } else {
+      installments = Pledge.buildSchedule(
+        amount,
+        req.body.frequency,
+        parseInt(req.body.installmentCount),
+        req.body.firstDueDate
+      );
+    }
+
+    const donorProfile = await Donor.findOne({ emails: req.body.donor.email }).select('_id');
+
+    const pledge = new Pledge({
+      donor: {
+        firstName: req.body.donor.firstName,
+        lastName: req.body.donor.lastName,
+        email: req.body.donor.email,
+        phone: req.body.donor.phone
+      },
+      donorProfile: donorProfile?._id,
+      amount,
+      currency,
+      campaign: campaign?._id,
+      event: req.body.event,
+      purpose,
+      frequency: req.body.frequency,
+      installments,
+      reminderDaysBefore: req.body.reminderDaysBefore,
+      remindersEnabled: req.body.remindersEnabled,
+      pledgedAt: req.body.pledgedAt,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+    pledge.applyPayments();
+    await pledge.save();
+
+    res.status(201).json({
+      pledge,
+      message: 'Pledge recorded successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create pledge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get pledges (Admin only)
+// @route   GET /api/pledges
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, campaign, event, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (campaign) query.campaign = campaign;
+    if (event) query.event = event;
+    if (search) {
+      query.$or = [
+        { 'donor.firstName': { $regex: search, $options: 'i' } },
+        { 'donor.lastName': { $regex: search, $options: 'i' } },
+        { 'donor.email': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const pledges = await Pledge.find(query)
+      .populate('campaign', 'title')
+      .populate('event', 'title date')
+      .sort({ pledgedAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Pledge.countDocuments(query);
+
+    res.json({
+      pledges,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalPledges: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get pledges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get outstanding pledge balances (Admin only)
+// @route   GET /api/pledges/report
+// @access  Private (Admin)
+router.get('/report', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await getOutstandingReport({
+      campaign: req.query.campaign,
+      event: req.query.event
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get pledge report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the current user's pledges
+// @route   GET /api/pledges/mine
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const pledges = await Pledge.find(await userPledgeQuery(req.user))
+      .populate('campaign', 'title')
+      .sort({ pledgedAt: -1 });
+
+    res.json({ pledges });
+  } catch (error) {
+    console.error('Get my pledges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get a pledge with the donations paying it
+// @route   GET /api/pledges/:id
+// @access  Private (Owner or Admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      Object.assign(query, await userPledgeQuery(req.user));
+    }
+
+    const pledge = await Pledge.findOne(query)
+      .populate('campaign', 'title')
+      .populate('event', 'title date')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!pledge) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    const donations = await Donation.find({ pledge: pledge._id })
+      .select('amount currency refundedAmount paymentStatus paymentMethod receiptNumber verificationDate createdAt')
+      .sort({ createdAt: 1 });
+
+    res.json({ pledge, donations });
+  } catch (error) {
+    console.error('Get pledge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update a pledge's notes and reminder settings (Admin only)
+// @route   PUT /api/pledges/:id
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), [
+  body('reminderDaysBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Reminder days must be between 0 and 60'),
+  body('remindersEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Reminders enabled must be true or false'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pledge = await Pledge.findById(req.params.id);
+
+    if (!pledge) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    ['reminderDaysBefore', 'remindersEnabled', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) pledge[field] = req.body[field];
+    });
+    await pledge.save();
+
+    res.json({
+      pledge,
+      message: 'Pledge updated successfully'
+    });
+  } catch (error) {
+    console.error('Update pledge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Cancel a pledge; donations already made keep counting towards it (Admin only)
+// @route   PUT /api/pledges/:id/cancel
+// @access  Private (Admin)
+router.put('/:id/cancel', protect, authorize('admin'), [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pledge = await Pledge.findById(req.params.id);
+
+    if (!pledge) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    if (['fulfilled', 'cancelled'].includes(pledge.status)) {
+      return res.status(400).json({ message: `Pledge is already ${pledge.status}` });
+    }
+
+    pledge.status = 'cancelled';
+    pledge.cancellationReason = req.body.reason;
+    await pledge.save();
+
+    res.json({
+      pledge,
+      message: 'Pledge cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel pledge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Count an existing donation, e.g. a cheque, towards a pledge (Admin only)
+// @route   POST /api/pledges/:id/donations
+// @access  Private (Admin)
+router.post('/:id/donations', protect, authorize('admin'), [
+  body('donationId')
+    .isMongoId()
+    .withMessage('Invalid donation id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pledge = await Pledge.findById(req.params.id);
+
+    if (!pledge) {
+      return res.status(404).json({ message: 'Pledge not found' });
+    }
+
+    if (pledge.status === 'cancelled') {
+      return res.status(400).json({ message: 'This pledge has been cancelled' });
+    }
+
+    const donation = await Donation.findById(req.body.donationId);
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    const updated = await linkDonation(pledge, donation);
+
+    res.json({
+      pledge: updated,
+      message: 'Donation linked to pledge'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Link pledge donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
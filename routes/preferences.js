@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Donor = require('../models/Donor');
+const { protect } = require('../middleware/auth');
+const {
+  CONSENT_CHANNELS,
+  readUnsubscribeToken,
+  findOrCreateUserDonor,
+  updatePreferences,
+  describePreferences,
+  unsubscribe
+} = require('../utils/consent');
+
+const router = express.Router();
+
+const preferenceValidation = CONSENT_CHANNELS.map(channel => body(channel)
+  .optional()
+  .isBoolean()
+  .withMessage(`${channel} preference must be true or false`)
+  .toBoolean());
+
+const clientIp = (req) => (req.ip || '').replace(/^::ffff:/, '');
+
+// @desc    Get the current user's communication preferences
+// @route   GET /api/preferences/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const donor = await findOrCreateUserDonor(req.user);
+
+    res.json({
+      preferences: describePreferences(donor),
+      history: donor.consentHistory
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Opt in to or out of email, SMS, phone and post
+// @route   PUT /api/preferences/me
+// @access  Private
+router.put('/me', protect, preferenceValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donor = await updatePreferences(await findOrCreateUserDonor(req.user), req.body, {
+      source: 'account',
+      changedBy: req.user._id,
+      ip: clientIp(req)
+    });
+
+    res.json({
+      preferences: describePreferences(donor),
+      message: 'Preferences updated successfully'
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Server error updating preferences' });
+  }
+});
+
+// @desc    Show what an unsubscribe link applies to
+// @route   GET /api/preferences/unsubscribe/:token
+// @access  Public
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const { donorId, channel } = readUnsubscribeToken(req.params.token);
+    const donor = await Donor.findById(donorId);
+    if (!donor) {
+      return res.status(404).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    res.json({
+      channel,
+      firstName: donor.firstName,
+      preferences: describePreferences(donor)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get unsubscribe link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Unsubscribe from the channel in a signed link
+// @route   POST /api/preferences/unsubscribe/:token
+// @access  Public
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const { donor, channel } = await unsubscribe(req.params.token, { ip: clientIp(req) });
+
+    res.json({
+      channel,
+      preferences: describePreferences(donor),
+      message: channel === 'all' ? 'You have been unsubscribed from all messages' : `You have been unsubscribed from ${channel} messages`
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
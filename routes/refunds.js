@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Refund = require('../models/Refund');
+const { protect, authorize } = require('../middleware/auth');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
+const { requestRefund, approveRefund, rejectRefund, processRefundResult } = require('../utils/mpesaRefunds');
+
+const router = express.Router();
+
+// @desc    Get all refunds (Admin only)
+// @route   GET /api/refunds
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, targetType } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) query.status = status;
+    if (targetType) query.targetType = targetType;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const refunds = await Refund.find(query)
+      .populate('requestedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Refund.countDocuments(query);
+
+    res.json({
+      refunds,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalRefunds: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Start a refund for an M-Pesa donation or membership payment (Admin only)
+// @route   POST /api/refunds
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('donationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid donation ID'),
+  body('membershipId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid membership ID'),
+  body('paymentId')
+    .if(body('membershipId').exists())
+    .notEmpty()
+    .withMessage('Payment ID is required for membership refunds'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+  body('phone')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { donationId, membershipId, paymentId, amount, reason, phone } = req.body;
+
+    if (!donationId === !membershipId) {
+      return res.status(400).json({ message: 'Provide either a donation ID or a membership ID' });
+    }
+
+    const refund = await requestRefund({
+      donationId,
+      membershipId,
+      paymentId,
+      amount,
+      reason,
+      phone,
+      requestedBy: req.user._id
+    });
+
+    res.status(201).json({
+      refund,
+      message: 'Refund requested successfully'
+    });
+  } catch (error) {
+    console.error('Request refund error:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Server error requesting refund'
+    });
+  }
+});
+
+// @desc    M-Pesa reversal/B2C result callback
+// @route   POST /api/refunds/mpesa-result/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/mpesa-result', '/mpesa-result/:token'], verifyMpesaCallback, async (req, res) => {
+  try {
+    await processRefundResult(req.body);
+    res.json({ ResultCode: 0, ResultDesc: 'Received successfully' });
+  } catch (error) {
+    console.error('M-Pesa refund result error:', error);
+    res.json({ ResultCode: 0, ResultDesc: 'Error processing result' });
+  }
+});
+
+// @desc    M-Pesa reversal/B2C queue timeout callback
+// @route   POST /api/refunds/mpesa-timeout/:token
+// @access  Public (secret path token or allowlisted Safaricom IP)
+router.post(['/mpesa-timeout', '/mpesa-timeout/:token'], verifyMpesaCallback, async (req, res) => {
+  try {
+    await processRefundResult(req.body, { timedOut: true });
+    res.json({ ResultCode: 0, ResultDesc: 'Received successfully' });
+  } catch (error) {
+    console.error('M-Pesa refund timeout error:', error);
+    res.json({ ResultCode: 0, ResultDesc: 'Error processing timeout' });
+  }
+});
+
+// @desc    Get single refund (Admin only)
+// @route   GET /api/refunds/:id
+// @access  Private (Admin)
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('donation')
+      .populate('requestedBy', 'firstName lastName')
+      .populate('approvedBy', 'firstName lastName')
+      .populate('history.changedBy', 'firstName lastName');
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    res.json(refund);
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Approve a refund and send it to M-Pesa (Admin only)
+// @route   PUT /api/refunds/:id/approve
+// @access  Private (Admin)
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    const approved = await approveRefund(refund, req.user._id);
+
+    if (approved.status === 'failed') {
+      return res.status(502).json({
+        refund: approved,
+        message: 'M-Pesa refund request failed'
+      });
+    }
+
+    res.json({
+      refund: approved,
+      message: 'Refund approved and sent to M-Pesa'
+    });
+  } catch (error) {
+    console.error('Approve refund error:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Server error approving refund'
+    });
+  }
+});
+
+// @desc    Reject a refund request (Admin only)
+// @route   PUT /api/refunds/:id/reject
+// @access  Private (Admin)
+router.put('/:id/reject', protect, authorize('admin'), [
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    const rejected = await rejectRefund(refund, req.user._id, req.body.notes);
+
+    res.json({
+      refund: rejected,
+      message: 'Refund rejected'
+    });
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Server error rejecting refund'
+    });
+  }
+});
+
+module.exports = router;
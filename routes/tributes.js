@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Donation = require('../models/Donation');
+const { protect, authorize } = require('../middleware/auth');
+const { getTributeCard, acknowledgeTribute, markCardPrinted } = require('../utils/tributes');
+const { sendDocument } = require('../utils/issuedDocuments');
+
+const router = express.Router();
+
+// Completed tribute gifts the donor agreed to show publicly
+const publicTributeQuery = {
+  tribute: { $exists: true },
+  'tribute.isPublic': { $ne: false },
+  paymentStatus: 'completed'
+};
+
+// @desc    Search people remembered or honoured by tribute gifts
+// @route   GET /api/tributes
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, type } = req.query;
+
+    const match = { ...publicTributeQuery };
+    if (type) match['tribute.type'] = type;
+    if (search) match['tribute.honoreeName'] = { $regex: search, $options: 'i' };
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [result] = await Donation.aggregate([
+      { $match: match },
+      { $sort: { verificationDate: -1 } },
+      {
+        $group: {
+          _id: '$tribute.slug',
+          honoreeName: { $first: '$tribute.honoreeName' },
+          type: { $first: '$tribute.type' },
+          giftCount: { $sum: 1 },
+          latestGift: { $first: '$verificationDate' }
+        }
+      },
+      { $sort: { latestGift: -1 } },
+      {
+        $facet: {
+          tributes: [{ $skip: skip }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      tributes: result.tributes.map(({ _id, ...tribute }) => ({ slug: _id, ...tribute })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalTributes: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get tributes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get tribute acknowledgements, e.g. cards waiting to be printed (Admin only)
+// @route   GET /api/tributes/acknowledgements?status=print_queued
+// @access  Private (Admin)
+router.get('/acknowledgements', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { tribute: { $exists: true }, paymentStatus: 'completed' };
+    if (status) query['tribute.acknowledgement.status'] = status;
+
+    // Pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const donations = await Donation.find(query)
+      .select('donor tribute receiptNumber verificationDate createdAt')
+      .populate('tribute.acknowledgement.printedBy', 'firstName lastName')
+      .sort({ verificationDate: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Donation.countDocuments(query);
+
+    res.json({
+      acknowledgements: donations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limitNum),
+        totalAcknowledgements: total,
+        hasNextPage: skip + limitNum < total,
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get tribute acknowledgements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Download the acknowledgement card for printing (Admin only)
+// @route   GET /api/tributes/acknowledgements/:donationId/card
+// @access  Private (Admin)
+router.get('/acknowledgements/:donationId/card', protect, authorize('admin'), async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.donationId);
+
+    if (!donation || !donation.tribute) {
+      return res.status(404).json({ message: 'Tribute gift not found' });
+    }
+
+    if (donation.paymentStatus !== 'completed') {
+      return res.status(400).json({ message: 'Cards are only available for completed donations' });
+    }
+
+    const card = await getTributeCard(donation, { generatedBy: req.user._id });
+    sendDocument(res, card);
+  } catch (error) {
+    console.error('Get tribute card error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Mark a queued acknowledgement card as printed and posted (Admin only)
+// @route   PUT /api/tributes/acknowledgements/:donationId/printed
+// @access  Private (Admin)
+router.put('/acknowledgements/:donationId/printed', protect, authorize('admin'), async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.donationId);
+
+    if (!donation || !donation.tribute) {
+      return res.status(404).json({ message: 'Tribute gift not found' });
+    }
+
+    await markCardPrinted(donation, req.user._id);
+
+    res.json({
+      tribute: donation.tribute,
+      message: 'Card marked as printed'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Mark tribute card printed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Send the acknowledgement again, optionally to corrected contact details (Admin only)
+// @route   POST /api/tributes/acknowledgements/:donationId/resend
+// @access  Private (Admin)
+router.post('/acknowledgements/:donationId/resend', protect, authorize('admin'), [
+  body('notify.method')
+    .optional()
+    .isIn(['email', 'post', 'none'])
+    .withMessage('Notification method must be email, post or none'),
+  body('notify.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const donation = await Donation.findById(req.params.donationId);
+
+    if (!donation || !donation.tribute) {
+      return res.status(404).json({ message: 'Tribute gift not found' });
+    }
+
+    if (req.body.notify) {
+      donation.tribute.notify = {
+        ...donation.tribute.notify.toObject(),
+        ...req.body.notify
+      };
+      await donation.save();
+    }
+
+    const updated = await acknowledgeTribute(donation, {
+      fromStatuses: ['failed', 'emailed', 'print_queued', 'printed', 'not_required'],
+      generatedBy: req.user._id
+    });
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Acknowledgement is already being processed' });
+    }
+
+    res.json({
+      tribute: updated.tribute,
+      message: 'Acknowledgement sent again'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Resend tribute acknowledgement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Tribute page listing the gifts made for one person; amounts are never shown
+// @route   GET /api/tributes/:slug
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const donations = await Donation.find({
+      ...publicTributeQuery,
+      'tribute.slug': req.params.slug.toLowerCase()
+    })
+      .select('donor.firstName donor.lastName donor.isAnonymous tribute.type tribute.honoreeName tribute.message verificationDate createdAt')
+      .sort({ verificationDate: -1 });
+
+    if (donations.length === 0) {
+      return res.status(404).json({ message: 'Tribute not found' });
+    }
+
+    res.json({
+      slug: req.params.slug.toLowerCase(),
+      honoreeName: donations[0].tribute.honoreeName,
+      type: donations[0].tribute.type,
+      giftCount: donations.length,
+      gifts: donations.map(donation => ({
+        donorName: donation.donor.isAnonymous
+          ? 'Anonymous'
+          : `${donation.donor.firstName} ${donation.donor.lastName}`,
+        message: donation.tribute.message,
+        date: donation.verificationDate || donation.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get tribute page error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
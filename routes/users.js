@@ -118,7 +118,7 @@ router.put('/:id', protect, authorize('admin'), [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['admin', 'member', 'guest'])
+    .isIn(['admin', 'finance', 'member', 'guest'])
     .withMessage('Invalid role'),
   body('isActive')
     .optional()
@@ -286,7 +286,7 @@ router.put('/bulk-update-roles', protect, authorize('admin'), [
     .isArray({ min: 1 })
     .withMessage('User IDs array is required'),
   body('role')
-    .isIn(['admin', 'member', 'guest'])
+    .isIn(['admin', 'finance', 'member', 'guest'])
     .withMessage('Invalid role')
 ], async (req, res) => {
   try {
@@ -12,11 +12,43 @@ const userRoutes = require('./routes/users');
 const donationRoutes = require('./routes/donations');
 const membershipRoutes = require('./routes/membership');
 const galleryRoutes = require('./routes/gallery');
+const paymentRoutes = require('./routes/payments');
+const refundRoutes = require('./routes/refunds');
+const bankStatementRoutes = require('./routes/bankStatements');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const campaignRoutes = require('./routes/campaigns');
+const emailRoutes = require('./routes/emails');
+const donorRoutes = require('./routes/donors');
+const tributeRoutes = require('./routes/tributes');
+const pledgeRoutes = require('./routes/pledges');
+const donationBatchRoutes = require('./routes/donationBatches');
+const preferenceRoutes = require('./routes/preferences');
+const mockMpesaRoutes = require('./routes/mockMpesa');
+const mockCardRoutes = require('./routes/mockCard');
+
+// Background jobs
+const { startReconciler } = require('./utils/mpesaReconciler');
+const { startRecurringDonations } = require('./utils/recurringDonations');
+const { startEmailOutbox } = require('./utils/mailer');
+const { startMembershipReminders } = require('./utils/membershipReminders');
+const { startPledgeReminders } = require('./utils/pledges');
+const { syncCounters } = require('./utils/numbering');
+const { getCardProvider } = require('./utils/cardGateway');
 
 const app = express();
 app.set('trust proxy', 1); // Trust first proxy for correct client IP handling
 const port = process.env.PORT || 5000;
 
+// Production must name a real card provider rather than fall back to a stand-in
+if (process.env.NODE_ENV === 'production') {
+  try {
+    getCardProvider();
+  } catch (error) {
+    console.error('❌ Card payment configuration error:', error.message);
+    process.exit(1);
+  }
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -49,7 +81,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+app.use(express.json({
+  type: ['application/json', 'application/*+json'],
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection
@@ -59,6 +97,12 @@ mongoose.connect(process.env.MONGO_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB Atlas');
+  syncCounters().catch(err => console.error('Counter sync error:', err));
+  startReconciler();
+  startRecurringDonations();
+  startEmailOutbox();
+  startMembershipReminders();
+  startPledgeReminders();
 })
 .catch((err) => {
   console.error('❌ MongoDB connection error:', err);
@@ -81,6 +125,32 @@ app.use('/api/users', userRoutes);
 app.use('/api/donations', donationRoutes);
 app.use('/api/membership', membershipRoutes);
 app.use('/api/gallery', galleryRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/bank-statements', bankStatementRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/donors', donorRoutes);
+app.use('/api/tributes', tributeRoutes);
+app.use('/api/pledges', pledgeRoutes);
+app.use('/api/donation-batches', donationBatchRoutes);
+app.use('/api/preferences', preferenceRoutes);
+
+// Local Daraja simulator for development and tests
+if (process.env.MPESA_ENV === 'mock' && process.env.NODE_ENV !== 'production') {
+  app.use('/api/mock-mpesa', mockMpesaRoutes);
+  console.log('🧪 Mock M-Pesa API enabled at /api/mock-mpesa');
+}
+
+// Local card checkout for development and tests. It can sign webhooks that
+// complete payments, so it must be switched on explicitly.
+if (process.env.CARD_PROVIDER === 'local'
+  && process.env.ENABLE_MOCK_PAYMENTS === 'true'
+  && process.env.NODE_ENV !== 'production') {
+  app.use('/api/mock-card', mockCardRoutes);
+  console.log('🧪 Local card checkout enabled at /api/mock-card');
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
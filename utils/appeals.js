@@ -0,0 +1,63 @@
+const Donor = require('../models/Donor');
+const { segmentQuery } = require('./donors');
+const { consentQuery, getUnsubscribeUrl } = require('./consent');
+const { queueEmail } = require('./mailer');
+const { sendSms } = require('./sms');
+
+// Channels the system can send an appeal on; phone and post are worked from
+// the donor list filtered by consent
+const APPEAL_CHANNELS = ['email', 'sms'];
+
+const appealError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Send a fundraising appeal to a donor segment. Only donors who opted in to the
+// channel are targeted; everyone else is counted and left out.
+const sendAppeal = async ({ segment, year, channel, subject, message, sentBy }) => {
+  if (!APPEAL_CHANNELS.includes(channel)) {
+    throw appealError(`Appeals can only be sent by ${APPEAL_CHANNELS.join(' or ')}`);
+  }
+
+  const audience = segmentQuery(segment, year);
+  const summary = { segment, channel, inSegment: 0, notOptedIn: 0, sent: 0, noContact: 0, errors: [] };
+
+  summary.inSegment = await Donor.countDocuments(audience);
+  const cursor = Donor.find({ ...audience, ...consentQuery(channel) }).cursor();
+  let optedIn = 0;
+
+  for await (const donor of cursor) {
+    optedIn += 1;
+    const unsubscribeUrl = getUnsubscribeUrl(donor, channel);
+
+    try {
+      if (channel === 'email') {
+        if (!donor.email) {
+          summary.noContact += 1;
+          continue;
+        }
+        await queueEmail({
+          to: donor.email,
+          template: 'donor_appeal',
+          data: { donorName: donor.fullName || 'friend', subject, message, unsubscribeUrl },
+          related: { donor: donor._id, segment, sentBy }
+        });
+      } else {
+        if (donor.phones.length === 0) {
+          summary.noContact += 1;
+          continue;
+        }
+        await sendSms(donor.phones[0], `${message}\nOpt out: ${unsubscribeUrl}`);
+      }
+      summary.sent += 1;
+    } catch (error) {
+      summary.errors.push({ donor: donor._id, error: error.message });
+    }
+  }
+
+  summary.notOptedIn = summary.inSegment - optedIn;
+  return summary;
+};
+
+module.exports = {
+  APPEAL_CHANNELS,
+  sendAppeal
+};
@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const BankStatement = require('../models/BankStatement');
+const Payment = require('../models/Payment');
+const { isBatchPayment, settlePayment } = require('./paymentLedger');
+
+// Column names banks use in CSV exports, compared lowercased and trimmed
+const CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'value date', 'posting date', 'booking date', 'trans date'],
+  credit: ['credit', 'credits', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+  amount: ['amount', 'transaction amount'],
+  reference: ['reference', 'ref', 'ref no', 'reference number', 'transaction id', 'transaction reference', 'cheque number'],
+  description: ['description', 'narrative', 'narration', 'details', 'particulars', 'memo', 'payee']
+};
+
+// Proposals need at least an exact amount and a date close to the payment
+const MIN_PROPOSAL_SCORE = 50;
+
+const statementError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const getMatchWindowDays = () => parseInt(process.env.BANK_MATCH_WINDOW_DAYS) || 14;
+
+// Split CSV text into rows of cells, honouring quoted cells with commas, quotes and newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+
+  return rows;
+};
+
+// Parse a statement date. Slashed and dashed dates are read day first, as Kenyan banks print them.
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) return new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+
+  match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(Date.UTC(year, match[2] - 1, match[1]));
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// Parse "1,250.00", "KES 1250" or "(500.00)" into a number
+const parseAmount = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const findColumn = (header, names) => header.findIndex(cell => names.includes(cell.toLowerCase()));
+
+const parseCsvStatement = (text) => {
+  const rows = parseCsvRows(text);
+
+  // Some banks put account details above the table, so look for the header row
+  const headerIndex = rows.findIndex(row => findColumn(row, CSV_COLUMNS.date) !== -1);
+  if (headerIndex === -1) throw statementError('Could not find a date column in the CSV statement');
+
+  const header = rows[headerIndex];
+  const columns = {
+    date: findColumn(header, CSV_COLUMNS.date),
+    credit: findColumn(header, CSV_COLUMNS.credit),
+    amount: findColumn(header, CSV_COLUMNS.amount),
+    reference: findColumn(header, CSV_COLUMNS.reference),
+    description: findColumn(header, CSV_COLUMNS.description)
+  };
+  if (columns.credit === -1 && columns.amount === -1) {
+    throw statementError('Could not find an amount or credit column in the CSV statement');
+  }
+
+  return rows.slice(headerIndex + 1).map(row => ({
+    date: parseStatementDate(row[columns.date]),
+    amount: parseAmount(row[columns.credit !== -1 ? columns.credit : columns.amount]),
+    reference: columns.reference !== -1 ? row[columns.reference] : undefined,
+    description: columns.description !== -1 ? row[columns.description] : undefined
+  }));
+};
+
+// OFX 1.x is SGML without closing tags, so read each transaction's fields by tag
+const parseOfxStatement = (text) => {
+  const readTag = (block, tag) => block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))?.[1]?.trim();
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  if (blocks.length === 0) throw statementError('No transactions found in the OFX statement');
+
+  const currency = readTag(text, 'CURDEF');
+
+  return blocks.map(block => ({
+    date: parseStatementDate(readTag(block, 'DTPOSTED')),
+    amount: parseAmount(readTag(block, 'TRNAMT')),
+    currency,
+    reference: readTag(block, 'FITID') || readTag(block, 'CHECKNUM'),
+    description: [readTag(block, 'NAME'), readTag(block, 'MEMO')].filter(Boolean).join(' - ')
+  }));
+};
+
+// Fingerprint each line so re-uploading an overlapping statement skips lines already imported.
+// Identical lines on the same day are told apart by their position among themselves.
+const fingerprintLines = (lines) => {
+  const seen = {};
+  return lines.map(line => {
+    const key = [line.date.toISOString().slice(0, 10), line.amount, line.reference || '', line.description || ''].join('|');
+    seen[key] = (seen[key] || 0) + 1;
+    const fingerprint = crypto.createHash('sha256').update(`${key}|${seen[key]}`).digest('hex');
+    return { ...line, fingerprint };
+  });
+};
+
+// Parse a CSV or OFX statement into its credit lines
+const parseStatement = (buffer, fileName) => {
+  const text = buffer.toString('utf8');
+  const format = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text) ? 'ofx' : 'csv';
+  const parsed = format === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text);
+
+  // Only money coming in can pay for a donation or membership
+  const lines = parsed.filter(line => line.date && line.amount > 0);
+  if (lines.length === 0) throw statementError('The statement has no credit lines to import');
+
+  return { format, lines: fingerprintLines(lines) };
+};
+
+const textIncludes = (haystack, needle) => Boolean(needle) && haystack.includes(String(needle).toUpperCase());
+
+// Score how well a statement line fits a pending payment, or null if it cannot be that payment
+const scoreMatch = (line, payment) => {
+  if (line.amount !== payment.amount) return null;
+  if (line.currency && payment.currency && line.currency !== payment.currency) return null;
+
+  const daysAfter = (line.date - payment.createdAt) / (1000 * 60 * 60 * 24);
+  // Allow a day for statement dates that carry no time
+  if (daysAfter < -1 || daysAfter > getMatchWindowDays()) return null;
+
+  const reasons = ['amount'];
+  let score = 40 + Math.max(0, 20 - Math.max(0, Math.floor(daysAfter)) * 2);
+  reasons.push(`date (${Math.max(0, Math.round(daysAfter))} days after)`);
+
+  const text = `${line.reference || ''} ${line.description || ''}`.toUpperCase();
+  const payable = payment.payable || {};
+
+  if (textIncludes(text, payment.bankReference)) {
+    score += 50;
+    reasons.push('payment reference');
+  }
+  if (textIncludes(text, payment.membershipPaymentId)) {
+    score += 50;
+    reasons.push('membership payment id');
+  }
+  if (textIncludes(text, payable.membershipNumber)) {
+    score += 40;
+    reasons.push('membership number');
+  }
+  if (textIncludes(text, payment.payer?.email)) {
+    score += 30;
+    reasons.push('payer email');
+  }
+  const nameParts = String(payment.payer?.name || '').split(/\s+/).filter(part => part.length > 2);
+  if (nameParts.length && nameParts.every(part => textIncludes(text, part))) {
+    score += 15;
+    reasons.push('payer name');
+  }
+
+  return { score, reasons };
+};
+
+// Propose the best pending bank transfer for each unmatched line. A payment is
+// proposed for at most one line, including lines in earlier statements.
+const proposeMatches = async (statement) => {
+  const openLines = statement.lines.filter(line => line.status === 'unmatched');
+  if (openLines.length === 0) return statement;
+
+  const proposed = await BankStatement.aggregate([
+    { $unwind: '$lines' },
+    { $match: { 'lines.status': 'proposed', _id: { $ne: statement._id } } },
+    { $group: { _id: null, payments: { $addToSet: '$lines.payment' } } }
+  ]);
+  const taken = new Set((proposed[0]?.payments || []).map(String));
+  statement.lines.filter(line => line.status === 'proposed').forEach(line => taken.add(String(line.payment)));
+
+  const payments = await Payment.find({
+    method: 'bank_transfer',
+    provider: 'manual',
+    status: 'pending'
+  }).populate('payable');
+
+  const candidates = [];
+  for (const line of openLines) {
+    for (const payment of payments) {
+      if (taken.has(String(payment._id))) continue;
+      if (line.rejectedPayments.some(id => String(id) === String(payment._id))) continue;
+      const match = scoreMatch(line, payment);
+      if (match && match.score >= MIN_PROPOSAL_SCORE) {
+        candidates.push({ line, payment, ...match });
+      }
+    }
+  }
+
+  // Best matches first, so each payment goes to the line it fits most closely
+  candidates.sort((a, b) => b.score - a.score);
+  for (const { line, payment, score, reasons } of candidates) {
+    if (line.status !== 'unmatched' || taken.has(String(payment._id))) continue;
+    line.status = 'proposed';
+    line.payment = payment._id;
+    line.matchScore = score;
+    line.matchReasons = reasons;
+    taken.add(String(payment._id));
+  }
+
+  await statement.save();
+  return statement;
+};
+
+// Import a statement file, skipping lines already imported, and propose matches
+const importStatement = async ({ buffer, fileName, accountName, uploadedBy }) => {
+  const { format, lines } = parseStatement(buffer, fileName);
+
+  const existing = await BankStatement.aggregate([
+    { $unwind: '$lines' },
+    { $match: { 'lines.fingerprint': { $in: lines.map(line => line.fingerprint) } } },
+    { $group: { _id: null, fingerprints: { $addToSet: '$lines.fingerprint' } } }
+  ]);
+  const imported = new Set(existing[0]?.fingerprints || []);
+  const newLines = lines.filter(line => !imported.has(line.fingerprint));
+
+  const dates = lines.map(line => line.date.getTime());
+  const statement = new BankStatement({
+    fileName,
+    format,
+    accountName,
+    periodStart: new Date(Math.min(...dates)),
+    periodEnd: new Date(Math.max(...dates)),
+    lines: newLines,
+    skippedDuplicates: lines.length - newLines.length,
+    uploadedBy
+  });
+  await statement.save();
+
+  return proposeMatches(statement);
+};
+
+const resolveLine = (line, status, userId, notes) => {
+  line.status = status;
+  line.resolvedBy = userId;
+  line.resolvedAt = new Date();
+  if (notes) line.notes = notes;
+};
+
+// Settle the payment a line pays for and mark the line matched
+const applyLineToPayment = async (line, payment, userId) => {
+  const settled = await settlePayment(payment, 'completed', {
+    providerReceipt: line.reference,
+    source: 'admin',
+    changedBy: userId,
+    note: `Matched to bank statement line ${line.reference || line._id} of ${line.date.toISOString().slice(0, 10)}`
+  });
+  if (!settled) return false;
+
+  line.payment = payment._id;
+  resolveLine(line, 'matched', userId);
+  return true;
+};
+
+// Confirm and reject proposed matches in bulk. Returns one result per line id.
+const resolveProposals = async (statement, { confirm = [], reject = [] }, userId) => {
+  const results = [];
+
+  for (const lineId of confirm) {
+    const line = statement.lines.id(lineId);
+    if (!line || line.status !== 'proposed') {
+      results.push({ line: lineId, result: 'skipped', reason: 'No proposed match for this line' });
+      continue;
+    }
+
+    const payment = await Payment.findById(line.payment);
+    if (payment && await applyLineToPayment(line, payment, userId)) {
+      results.push({ line: lineId, result: 'matched', payment: payment._id });
+    } else {
+      // The payment was settled some other way since the proposal was made
+      line.status = 'unmatched';
+      line.payment = undefined;
+      line.notes = 'Proposed payment is no longer pending';
+      results.push({ line: lineId, result: 'skipped', reason: line.notes });
+    }
+  }
+
+  for (const lineId of reject) {
+    const line = statement.lines.id(lineId);
+    if (!line || line.status !== 'proposed') {
+      results.push({ line: lineId, result: 'skipped', reason: 'No proposed match for this line' });
+      continue;
+    }
+
+    line.rejectedPayments.push(line.payment);
+    line.status = 'unmatched';
+    line.payment = undefined;
+    line.matchScore = undefined;
+    line.matchReasons = [];
+    results.push({ line: lineId, result: 'rejected' });
+  }
+
+  await statement.save();
+  return results;
+};
+
+// Match an unmatched line to a pending bank transfer chosen by an admin
+const assignLine = async (statement, lineId, paymentId, userId) => {
+  const line = statement.lines.id(lineId);
+  if (!line) throw statementError('Statement line not found', 404);
+  if (!['unmatched', 'proposed'].includes(line.status)) throw statementError(`Line is already ${line.status}`);
+
+  const payment = await Payment.findById(paymentId);
+  if (!payment) throw statementError('Payment not found', 404);
+  if (payment.provider !== 'manual' || payment.status !== 'pending') {
+    throw statementError('Only pending manual payments can be matched to a bank line');
+  }
+  if (await isBatchPayment(payment)) {
+    throw statementError('Batch donations are completed when the batch is approved');
+  }
+  if (payment.amount !== line.amount) {
+    throw statementError(`Line amount ${line.amount} does not match payment amount ${payment.amount}`);
+  }
+
+  await applyLineToPayment(line, payment, userId);
+  await statement.save();
+  return line;
+};
+
+// Mark a line as not being a donation or membership payment
+const ignoreLine = async (statement, lineId, userId, notes) => {
+  const line = statement.lines.id(lineId);
+  if (!line) throw statementError('Statement line not found', 404);
+  if (line.status === 'matched') throw statementError('Line is already matched');
+
+  line.payment = undefined;
+  resolveLine(line, 'ignored', userId, notes);
+  await statement.save();
+  return line;
+};
+
+module.exports = {
+  parseStatement,
+  importStatement,
+  proposeMatches,
+  resolveProposals,
+  assignLine,
+  ignoreLine
+};
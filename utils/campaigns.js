@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Donation = require('../models/Donation');
+const { getRate } = require('./exchangeRates');
+
+const campaignError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Convert an amount between currencies through the base currency, or null without rates
+const convertAmount = async (amount, from, to) => {
+  if (from === to) return amount;
+  const fromRate = await getRate(from);
+  const toRate = await getRate(to);
+  if (fromRate === null || toRate === null) return null;
+  return amount * fromRate / toRate;
+};
+
+// Amount raised (in each campaign's currency, net of refunds), donor count and
+// percent of goal from completed donations
+const getCampaignProgress = async (campaigns) => {
+  const list = Array.isArray(campaigns) ? campaigns : [campaigns];
+
+  const groups = await Donation.aggregate([
+    {
+      $match: {
+        campaign: { $in: list.map(c => new mongoose.Types.ObjectId(c._id)) },
+        paymentStatus: 'completed'
+      }
+    },
+    {
+      $group: {
+        _id: { campaign: '$campaign', currency: '$currency' },
+        amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+        donations: { $sum: 1 },
+        // One key per donor: their profile, else their own email or phone, else
+        // the gift itself. Anonymous gifts share a placeholder email and Paybill
+        // gifts have none, so email alone would merge them into one donor.
+        donors: {
+          $addToSet: {
+            $switch: {
+              branches: [
+                { case: { $gt: ['$donorProfile', null] }, then: '$donorProfile' },
+                {
+                  case: { $and: [{ $gt: ['$donor.email', null] }, { $ne: ['$donor.isAnonymous', true] }] },
+                  then: { $concat: ['email:', '$donor.email'] }
+                },
+                { case: { $gt: ['$donor.phone', null] }, then: { $concat: ['phone:', '$donor.phone'] } }
+              ],
+              default: '$_id'
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  const progress = {};
+  for (const campaign of list) {
+    const entries = groups.filter(g => String(g._id.campaign) === String(campaign._id));
+    const donors = new Set();
+    const unconverted = [];
+    let raised = 0;
+    let donations = 0;
+
+    for (const entry of entries) {
+      entry.donors.forEach(donor => donors.add(String(donor)));
+      donations += entry.donations;
+      const converted = await convertAmount(entry.amount, entry._id.currency, campaign.currency);
+      if (converted === null) {
+        unconverted.push(entry._id.currency);
+      } else {
+        raised += converted;
+      }
+    }
+
+    raised = Math.round(raised * 100) / 100;
+    progress[campaign._id] = {
+      raised,
+      currency: campaign.currency,
+      donations,
+      donorCount: donors.size,
+      percentOfGoal: Math.round((raised / campaign.targetAmount) * 1000) / 10,
+      unconvertedCurrencies: unconverted
+    };
+  }
+
+  return Array.isArray(campaigns) ? progress : progress[campaigns._id];
+};
+
+// Load a campaign that is open for donations, or throw a 400/404 error
+const findOpenCampaign = async (campaignId) => {
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) throw campaignError('Campaign not found', 404);
+  if (!campaign.isOpen) throw campaignError('This campaign is not accepting donations');
+  return campaign;
+};
+
+module.exports = {
+  getCampaignProgress,
+  findOpenCampaign
+};
@@ -0,0 +1,317 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const { settlePayment, markForReview } = require('./paymentLedger');
+
+// Card payments go through a hosted checkout. A provider exposes:
+//   name                  - stored as Payment.provider
+//   createCheckout(opts)  - returns { reference, checkoutUrl } for a pending payment
+//   chargeSavedCard(opts) - charges a saved card without the payer present and
+//                           returns { reference }; the webhook still settles it
+//   parseWebhook(req)     - verifies the signature and returns
+//                           { reference, status, receipt, amount, currency } or null
+//                           for events we do not act on
+// Only a verified webhook may settle a card payment.
+
+// Signed webhooks older than this are rejected to stop replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const webhookError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const getCardConfig = () => {
+  // No default: the local stand-in must be chosen on purpose
+  const provider = process.env.CARD_PROVIDER;
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return {
+    provider,
+    successUrl: process.env.CARD_SUCCESS_URL || `${frontendUrl}/payment/success`,
+    cancelUrl: process.env.CARD_CANCEL_URL || `${frontendUrl}/payment/cancelled`
+  };
+};
+
+// Sign a payload the way Stripe does: header "t=<unix>,v1=<hex hmac of `${t}.${body}`>"
+const signPayload = (rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const verifySignature = (rawBody, header, secret) => {
+  if (!secret) throw webhookError('Webhook secret is not configured');
+  if (!rawBody || !header) throw webhookError('Missing webhook signature');
+
+  const parts = String(header).split(',').reduce((acc, part) => {
+    const [key, value] = part.split('=');
+    if (key === 'v1') acc.signatures.push(value);
+    if (key === 't') acc.timestamp = Number(value);
+    return acc;
+  }, { timestamp: null, signatures: [] });
+
+  if (!parts.timestamp || Math.abs(Date.now() / 1000 - parts.timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw webhookError('Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(`${parts.timestamp}.${rawBody}`).digest('hex')
+  );
+  const valid = parts.signatures.some((signature) => {
+    const given = Buffer.from(signature || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!valid) throw webhookError('Invalid webhook signature');
+};
+
+// Stripe Checkout Sessions, called over the REST API
+const stripeProvider = {
+  name: 'stripe',
+
+  async createCheckout({ payment, description, customerEmail, successUrl, cancelUrl }) {
+    const params = new URLSearchParams({
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: payment._id.toString(),
+      'metadata[paymentId]': payment._id.toString(),
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': payment.currency.toLowerCase(),
+      // Stripe takes amounts in the smallest currency unit
+      'line_items[0][price_data][unit_amount]': String(Math.round(payment.amount * 100)),
+      'line_items[0][price_data][product_data][name]': description
+    });
+    if (customerEmail) params.append('customer_email', customerEmail);
+
+    const response = await axios.post('https://api.stripe.com/v1/checkout/sessions', params.toString(), {
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        // A retried request for the same payment must not open a second session
+        'Idempotency-Key': `checkout-${payment._id}`
+      }
+    });
+
+    return { reference: response.data.id, checkoutUrl: response.data.url };
+  },
+
+  async chargeSavedCard({ payment, card }) {
+    const params = new URLSearchParams({
+      amount: String(Math.round(payment.amount * 100)),
+      currency: payment.currency.toLowerCase(),
+      payment_method: card.token,
+      off_session: 'true',
+      confirm: 'true',
+      'metadata[paymentId]': payment._id.toString()
+    });
+    if (card.customer) params.append('customer', card.customer);
+
+    try {
+      const response = await axios.post('https://api.stripe.com/v1/payment_intents', params.toString(), {
+        headers: {
+          Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': `charge-${payment._id}`
+        }
+      });
+      return { reference: response.data.id };
+    } catch (error) {
+      // A declined card still creates a PaymentIntent whose failure webhook settles the payment
+      const intentId = error.response?.data?.error?.payment_intent?.id;
+      if (intentId) return { reference: intentId };
+      throw error;
+    }
+  },
+
+  parseWebhook(req) {
+    verifySignature(req.rawBody, req.get('stripe-signature'), process.env.STRIPE_WEBHOOK_SECRET);
+
+    const event = req.body;
+
+    // Saved card charges are PaymentIntents rather than Checkout Sessions
+    if (event.type === 'payment_intent.succeeded' || event.type === 'payment_intent.payment_failed') {
+      const intent = event.data?.object || {};
+      return {
+        reference: intent.id,
+        status: event.type === 'payment_intent.succeeded' ? 'completed' : 'failed',
+        receipt: intent.latest_charge || intent.id,
+        amount: (intent.amount_received || intent.amount) / 100,
+        currency: String(intent.currency || '').toUpperCase()
+      };
+    }
+
+    const session = event.data?.object || {};
+    const statuses = {
+      'checkout.session.completed': session.payment_status === 'paid' ? 'completed' : null,
+      'checkout.session.async_payment_succeeded': 'completed',
+      'checkout.session.async_payment_failed': 'failed',
+      'checkout.session.expired': 'cancelled'
+    };
+    const status = statuses[event.type];
+    if (!status) return null;
+
+    return {
+      reference: session.id,
+      status,
+      receipt: session.payment_intent,
+      amount: session.amount_total / 100,
+      currency: String(session.currency || '').toUpperCase()
+    };
+  }
+};
+
+// In-process stand-in for development and tests. Checkout happens at
+// /api/mock-card, which posts a webhook signed with CARD_LOCAL_WEBHOOK_SECRET.
+// Saved card tokens start with tok_local_; tok_local_declined is always declined.
+const localSessions = new Map();
+
+const getLocalWebhookUrl = () => process.env.CARD_LOCAL_WEBHOOK_URL
+  || `http://localhost:${process.env.PORT || 5000}/api/payments/card/webhook`;
+
+// Post a signed webhook for a local session, as a real gateway would
+const sendLocalWebhook = async (session, status) => {
+  const rawBody = JSON.stringify({
+    reference: session.reference,
+    status,
+    receipt: status === 'completed' ? `ch_local_${crypto.randomBytes(8).toString('hex')}` : undefined,
+    amount: session.amount,
+    currency: session.currency
+  });
+
+  await axios.post(getLocalWebhookUrl(), rawBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Local-Signature': signPayload(rawBody, process.env.CARD_LOCAL_WEBHOOK_SECRET || '')
+    }
+  });
+  localSessions.delete(session.reference);
+};
+
+const localProvider = {
+  name: 'local',
+
+  async createCheckout({ payment, description, successUrl, cancelUrl }) {
+    const reference = `cs_local_${crypto.randomBytes(12).toString('hex')}`;
+    localSessions.set(reference, {
+      reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      description,
+      successUrl,
+      cancelUrl
+    });
+
+    const baseUrl = process.env.CARD_LOCAL_BASE_URL || `http://localhost:${process.env.PORT || 5000}/api/mock-card`;
+    return { reference, checkoutUrl: `${baseUrl}/checkout/${reference}` };
+  },
+
+  async chargeSavedCard({ payment, card }) {
+    if (!String(card.token || '').startsWith('tok_local_')) {
+      throw new Error('Unknown local card token');
+    }
+
+    const session = {
+      reference: `pi_local_${crypto.randomBytes(12).toString('hex')}`,
+      amount: payment.amount,
+      currency: payment.currency
+    };
+    localSessions.set(session.reference, session);
+
+    // Settle shortly after the caller has stored the reference
+    setTimeout(() => {
+      sendLocalWebhook(session, card.token === 'tok_local_declined' ? 'failed' : 'completed')
+        .catch(error => console.error('Local card webhook error:', error.response?.data || error.message));
+    }, 1000);
+
+    return { reference: session.reference };
+  },
+
+  parseWebhook(req) {
+    verifySignature(req.rawBody, req.get('x-local-signature'), process.env.CARD_LOCAL_WEBHOOK_SECRET);
+
+    const { reference, status, receipt, amount, currency } = req.body;
+    if (!['completed', 'failed', 'cancelled'].includes(status)) return null;
+    return { reference, status, receipt, amount: Number(amount), currency };
+  }
+};
+
+const PROVIDERS = {
+  stripe: stripeProvider,
+  local: localProvider
+};
+
+const getCardProvider = () => {
+  const { provider } = getCardConfig();
+  if (!provider) {
+    throw new Error('CARD_PROVIDER is not configured');
+  }
+  const cardProvider = PROVIDERS[provider];
+  if (!cardProvider) {
+    throw new Error(`Unknown CARD_PROVIDER "${provider}"`);
+  }
+  if (provider === 'local' && process.env.NODE_ENV === 'production') {
+    throw new Error('The local card provider cannot be used in production');
+  }
+  if (provider === 'local' && process.env.ENABLE_MOCK_PAYMENTS !== 'true') {
+    throw new Error('The local card provider needs ENABLE_MOCK_PAYMENTS=true');
+  }
+  return cardProvider;
+};
+
+// Open a hosted checkout for a pending ledger payment and store its reference
+const createCardCheckout = async (payment, { description, customerEmail } = {}) => {
+  const cardProvider = getCardProvider();
+  const { successUrl, cancelUrl } = getCardConfig();
+
+  const { reference, checkoutUrl } = await cardProvider.createCheckout({
+    payment,
+    description,
+    customerEmail,
+    successUrl,
+    cancelUrl
+  });
+
+  payment.providerReference = reference;
+  await payment.save();
+
+  return checkoutUrl;
+};
+
+// Charge a saved card for a pending ledger payment and store its reference
+const chargeSavedCard = async (payment, card) => {
+  const { reference } = await getCardProvider().chargeSavedCard({ payment, card });
+
+  payment.providerReference = reference;
+  await payment.save();
+
+  return reference;
+};
+
+// Settle the ledger payment a verified card webhook is about.
+// Returns { ignored } for events we do not act on, otherwise { payment, settled }.
+const processCardWebhook = async (req) => {
+  const cardProvider = getCardProvider();
+  const event = cardProvider.parseWebhook(req);
+  if (!event) return { ignored: true };
+
+  const payment = await Payment.findOne({ provider: cardProvider.name, providerReference: event.reference });
+  if (!payment) return { ignored: true };
+
+  if (event.status === 'completed' && (event.amount !== payment.amount || event.currency !== payment.currency)) {
+    await markForReview(payment, `Card payment of ${event.amount} ${event.currency} does not match expected ${payment.amount} ${payment.currency}`);
+    return { payment, settled: false };
+  }
+
+  const settled = await settlePayment(payment, event.status, {
+    providerReceipt: event.receipt,
+    source: 'webhook',
+    note: `Card payment ${event.status}`
+  });
+  return { payment, settled };
+};
+
+module.exports = {
+  getCardProvider,
+  createCardCheckout,
+  chargeSavedCard,
+  processCardWebhook,
+  localSessions,
+  sendLocalWebhook
+};
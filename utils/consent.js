@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const Donor = require('../models/Donor');
+
+const CONSENT_CHANNELS = ['email', 'sms', 'phone', 'post'];
+
+const consentError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const getUnsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getUnsubscribeSecret()).update(payload).digest('base64url');
+
+// Opt-ins ticked on a public form, or undefined when the form did not ask
+const consentFromBody = (consent) => {
+  if (!consent || typeof consent !== 'object') return undefined;
+
+  const answers = {};
+  CONSENT_CHANNELS.forEach(channel => {
+    if (consent[channel] !== undefined) answers[channel] = consent[channel] === true || consent[channel] === 'true';
+  });
+  if (Object.keys(answers).length === 0) return undefined;
+
+  return { ...answers, capturedAt: new Date() };
+};
+
+// Query for donors who agreed to hear from us on the channel
+const consentQuery = (channel) => ({ [`communication.${channel}.optedIn`]: true });
+
+// Token for a one-click unsubscribe link: donor id, channel ('all' for every
+// channel) and a signature, so the link works without signing in
+const createUnsubscribeToken = (donor, channel = 'all') => {
+  const payload = `${donor._id}.${channel}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+const readUnsubscribeToken = (token) => {
+  const [donorId, channel, signature] = String(token).split('.');
+  const expected = Buffer.from(sign(`${donorId}.${channel}`));
+  const given = Buffer.from(signature || '');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw consentError('Invalid unsubscribe link');
+  }
+  if (channel !== 'all' && !CONSENT_CHANNELS.includes(channel)) {
+    throw consentError('Invalid unsubscribe link');
+  }
+  return { donorId, channel };
+};
+
+const getUnsubscribeUrl = (donor, channel) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/unsubscribe/${createUnsubscribeToken(donor, channel)}`;
+
+// Donor profile that holds a registered user's preferences, created for users
+// who have not given or claimed a profile yet. Only a verified email is added
+// to a new profile, so it cannot pick up someone else's future gifts.
+const findOrCreateUserDonor = async (user) => {
+  const donor = await Donor.findOne({ user: user._id }).sort({ createdAt: 1 });
+  if (donor) return donor;
+
+  return new Donor({
+    firstName: user.firstName,
+    lastName: user.lastName,
+    emails: user.emailVerified ? [user.email] : [],
+    user: user._id
+  });
+};
+
+// Record the answers given for any of the channels and save the donor
+const updatePreferences = async (donor, preferences, { source, changedBy, ip, note } = {}) => {
+  CONSENT_CHANNELS
+    .filter(channel => typeof preferences[channel] === 'boolean')
+    .forEach(channel => donor.setConsent(channel, preferences[channel], { source, changedBy, ip, note }));
+  return donor.save();
+};
+
+// Preferences as shown to the donor or an admin
+const describePreferences = (donor) => CONSENT_CHANNELS.reduce((preferences, channel) => {
+  const { optedIn, updatedAt, source } = donor.communication[channel];
+  preferences[channel] = { optedIn: Boolean(optedIn), updatedAt, source };
+  return preferences;
+}, {});
+
+// Opt the donor out of the channel in the link, or every channel
+const unsubscribe = async (token, { ip } = {}) => {
+  const { donorId, channel } = readUnsubscribeToken(token);
+  const donor = await Donor.findById(donorId);
+  if (!donor) throw consentError('Invalid unsubscribe link', 404);
+
+  const channels = channel === 'all' ? CONSENT_CHANNELS : [channel];
+  await updatePreferences(donor, Object.fromEntries(channels.map(c => [c, false])), {
+    source: 'unsubscribe_link',
+    ip
+  });
+  return { donor, channel };
+};
+
+module.exports = {
+  CONSENT_CHANNELS,
+  consentFromBody,
+  consentQuery,
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  getUnsubscribeUrl,
+  findOrCreateUserDonor,
+  updatePreferences,
+  describePreferences,
+  unsubscribe
+};
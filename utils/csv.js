@@ -0,0 +1,19 @@
+// Quote a value for CSV. Text starting with a formula character is prefixed with
+// an apostrophe so spreadsheet apps show it instead of running it.
+const csvValue = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=@\t\r]|^[+-](?!\d)/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(csvValue).join(',') + '\n';
+
+const toCsv = (lines) => lines.map(csvLine).join('');
+
+module.exports = {
+  csvValue,
+  csvLine,
+  toCsv
+};
@@ -0,0 +1,201 @@
+const Donation = require('../models/Donation');
+const DonationBatch = require('../models/DonationBatch');
+const Payment = require('../models/Payment');
+const { recordPayment, settlePayment } = require('./paymentLedger');
+const { findOpenCampaign } = require('./campaigns');
+
+const batchError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const assertOpen = (batch) => {
+  if (batch.status !== 'open') {
+    throw batchError(`Batch is ${batch.status} and can no longer be changed`);
+  }
+};
+
+// Donation fields a treasurer enters for one gift. Correcting a gift already
+// on a campaign does not need that campaign to still be open.
+const donationFields = async (data, existing) => {
+  const fields = {
+    donor: {
+      firstName: data.donor.firstName,
+      lastName: data.donor.lastName,
+      email: data.donor.email,
+      phone: data.donor.phone,
+      isAnonymous: Boolean(data.donor.isAnonymous)
+    },
+    amount: Math.round(parseFloat(data.amount) * 100) / 100,
+    paymentMethod: data.paymentMethod,
+    cheque: data.paymentMethod === 'check' ? data.cheque : undefined,
+    purpose: data.purpose,
+    message: data.message,
+    donorWall: data.donorWall
+  };
+
+  if (data.campaign && existing?.campaign && String(existing.campaign) === String(data.campaign)) {
+    fields.campaign = existing.campaign;
+    fields.donationType = 'campaign';
+  } else if (data.campaign) {
+    const campaign = await findOpenCampaign(data.campaign);
+    fields.campaign = campaign._id;
+    fields.donationType = 'campaign';
+    fields.purpose = fields.purpose || campaign.purpose;
+  }
+
+  return fields;
+};
+
+// Enter a gift in an open batch. It stays pending until the batch is approved.
+const addBatchDonation = async (batch, data, user) => {
+  assertOpen(batch);
+
+  const donation = await Donation.create({
+    ...(await donationFields(data)),
+    currency: batch.currency,
+    paymentStatus: 'pending',
+    batch: batch._id,
+    processedBy: user._id
+  });
+
+  const payment = await recordPayment({
+    payableType: 'Donation',
+    payable: donation._id,
+    method: donation.paymentMethod,
+    provider: 'manual',
+    channel: 'offline',
+    amount: donation.amount,
+    currency: donation.currency,
+    payer: {
+      name: `${donation.donor.firstName} ${donation.donor.lastName}`,
+      email: donation.donor.email,
+      phone: donation.donor.phone
+    },
+    source: 'admin',
+    changedBy: user._id,
+    note: `Entered in batch ${batch.name}`
+  });
+  donation.payment = payment._id;
+  await donation.save();
+
+  await batch.refreshTotals();
+  return donation;
+};
+
+// Correct a gift entered in an open batch
+const updateBatchDonation = async (batch, donation, data) => {
+  assertOpen(batch);
+
+  Object.assign(donation, await donationFields(
+    { ...donation.toObject(), ...data, donor: { ...donation.donor.toObject(), ...data.donor } },
+    donation
+  ));
+  await donation.save();
+
+  await Payment.updateOne({ _id: donation.payment }, {
+    $set: {
+      amount: donation.amount,
+      method: donation.paymentMethod,
+      'payer.name': `${donation.donor.firstName} ${donation.donor.lastName}`,
+      'payer.email': donation.donor.email,
+      'payer.phone': donation.donor.phone
+    }
+  });
+
+  await batch.refreshTotals();
+  return donation;
+};
+
+// Remove a gift entered by mistake; it was never settled, so its ledger record goes too
+const removeBatchDonation = async (batch, donation) => {
+  assertOpen(batch);
+
+  await Payment.deleteOne({ _id: donation.payment, status: 'pending' });
+  await donation.deleteOne();
+
+  await batch.refreshTotals();
+};
+
+// Hand the batch to a second admin once it balances against the deposit slip
+const submitBatch = async (batch, user) => {
+  assertOpen(batch);
+  await batch.refreshTotals();
+
+  if (batch.donationCount === 0) {
+    throw batchError('Add at least one donation before submitting the batch');
+  }
+  if (!batch.depositSlip?.number || batch.variance === null) {
+    throw batchError('Enter the deposit slip number and amount before submitting the batch');
+  }
+  if (!batch.isBalanced) {
+    throw batchError(`Batch does not balance: donations total ${batch.total} but the deposit slip is for ${batch.depositSlip.amount}`);
+  }
+
+  batch.status = 'submitted';
+  batch.submittedBy = user._id;
+  batch.submittedAt = new Date();
+  return batch.save();
+};
+
+// Approve a submitted batch and complete its donations. Whoever opened or
+// submitted the batch cannot approve it.
+const approveBatch = async (batch, user) => {
+  if (batch.status !== 'submitted') {
+    throw batchError('Only submitted batches can be approved');
+  }
+  if ([batch.openedBy, batch.submittedBy].some(id => id && id.equals(user._id))) {
+    throw batchError('A batch must be approved by a different admin from the one who entered it', 403);
+  }
+
+  await batch.refreshTotals();
+  if (!batch.isBalanced) {
+    throw batchError(`Batch does not balance: donations total ${batch.total} but the deposit slip is for ${batch.depositSlip.amount}`);
+  }
+
+  // Claim the batch so two approvers cannot both complete it
+  const approved = await DonationBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'submitted' },
+    { $set: { status: 'approved', approvedBy: user._id, approvedAt: new Date() } },
+    { new: true }
+  );
+  if (!approved) {
+    throw batchError('Batch has already been approved', 409);
+  }
+
+  const summary = { completed: 0, errors: [] };
+  const donations = await Donation.find({ batch: batch._id, paymentStatus: 'pending' });
+  for (const donation of donations) {
+    try {
+      const payment = await Payment.findById(donation.payment);
+      await settlePayment(payment, 'completed', {
+        source: 'admin',
+        changedBy: user._id,
+        note: `Approved in batch ${approved.name}, deposit slip ${approved.depositSlip.number}`,
+        payable: donation
+      });
+      summary.completed += 1;
+    } catch (error) {
+      summary.errors.push({ donation: donation._id, error: error.message });
+    }
+  }
+
+  return { batch: approved, summary };
+};
+
+// Send a submitted batch back to the treasurer for corrections
+const rejectBatch = async (batch, user, reason) => {
+  if (batch.status !== 'submitted') {
+    throw batchError('Only submitted batches can be sent back');
+  }
+
+  batch.status = 'open';
+  batch.rejection = { reason, rejectedBy: user._id, rejectedAt: new Date() };
+  return batch.save();
+};
+
+module.exports = {
+  addBatchDonation,
+  updateBatchDonation,
+  removeBatchDonation,
+  submitBatch,
+  approveBatch,
+  rejectBatch
+};
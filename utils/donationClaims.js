@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const Donation = require('../models/Donation');
+const User = require('../models/User');
+const ClaimVerification = require('../models/ClaimVerification');
+const { queueEmail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { normalizeKenyanPhone } = require('./phone');
+const { getOrganization } = require('./pdfDocuments');
+
+const CODE_EXPIRY_MINUTES = parseInt(process.env.CLAIM_CODE_EXPIRY_MINUTES) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.CLAIM_CODE_MAX_ATTEMPTS) || 5;
+const RESEND_SECONDS = 60;
+const MAX_CODES_PER_HOUR = 5;
+
+const claimError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Lowercased email, or phone in 2547XXXXXXXX form
+const normalizeClaimValue = (channel, value) => {
+  if (channel === 'phone') {
+    const phone = normalizeKenyanPhone(value);
+    if (!phone) throw claimError('Valid Kenyan phone number required');
+    return phone;
+  }
+  return String(value).trim().toLowerCase();
+};
+
+// Donations with no account yet that were made with the email or phone. Phones
+// are matched on their last nine digits, as guest forms store them as typed.
+const guestDonationQuery = (channel, value) => ({
+  user: { $exists: false },
+  ...(channel === 'phone'
+    ? { 'donor.phone': { $regex: `${value.slice(-9)}$` } }
+    : { 'donor.email': value })
+});
+
+// Guest donations the user could claim with the email and phone on their account
+const countUnclaimedDonations = async (user) => {
+  const phone = normalizeKenyanPhone(user.phone);
+  return Donation.countDocuments({
+    $or: [
+      guestDonationQuery('email', user.email.toLowerCase()),
+      ...(phone ? [guestDonationQuery('phone', phone)] : [])
+    ]
+  });
+};
+
+// Send a one-time code to an email or phone the user says is theirs
+const sendVerificationCode = async (user, { channel, value, purpose = 'claim' }) => {
+  const normalized = normalizeClaimValue(channel, value);
+
+  const now = Date.now();
+  const recent = await ClaimVerification.find({
+    user: user._id,
+    createdAt: { $gte: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+  if (recent.length >= MAX_CODES_PER_HOUR) {
+    throw claimError('Too many verification codes requested. Please try again later.', 429);
+  }
+  const last = recent.find(v => v.channel === channel && v.value === normalized);
+  if (last && now - last.createdAt.getTime() < RESEND_SECONDS * 1000) {
+    throw claimError(`Please wait ${RESEND_SECONDS} seconds before requesting another code`, 429);
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const verification = await ClaimVerification.create({
+    user: user._id,
+    purpose,
+    channel,
+    value: normalized,
+    codeHash: hashCode(code),
+    expiresAt: new Date(now + CODE_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  try {
+    if (channel === 'phone') {
+      await sendSms(normalized, `Your ${getOrganization().name} verification code is ${code}. It expires in ${CODE_EXPIRY_MINUTES} minutes.`);
+    } else {
+      await queueEmail({
+        to: normalized,
+        template: purpose === 'email_change' ? 'email_change_code' : 'donation_claim_code',
+        data: { firstName: user.firstName, code, expiresInMinutes: CODE_EXPIRY_MINUTES },
+        related: { user: user._id }
+      });
+    }
+  } catch (error) {
+    console.error('Send verification code error:', error);
+    await verification.deleteOne();
+    throw claimError('Could not send the verification code. Please try again.', 502);
+  }
+
+  return { verification, code };
+};
+
+// Check a code and mark it used. Attempts are counted before comparing so
+// parallel guesses cannot exceed the limit.
+const checkVerificationCode = async (user, verificationId, code, purpose) => {
+  const verification = await ClaimVerification.findOneAndUpdate(
+    { _id: verificationId, user: user._id, purpose, verifiedAt: { $exists: false }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+
+  if (!verification) {
+    const existing = await ClaimVerification.findOne({ _id: verificationId, user: user._id, purpose });
+    if (!existing) throw claimError('Verification not found', 404);
+    if (existing.verifiedAt) throw claimError('This code has already been used');
+    throw claimError('Too many incorrect attempts. Please request a new code.', 429);
+  }
+  if (verification.expiresAt < new Date()) {
+    throw claimError('This code has expired. Please request a new code.');
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const given = Buffer.from(hashCode(String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const attemptsRemaining = MAX_ATTEMPTS - verification.attempts;
+    throw Object.assign(claimError('Incorrect verification code'), { attemptsRemaining });
+  }
+
+  const verified = await ClaimVerification.findOneAndUpdate(
+    { _id: verification._id, verifiedAt: { $exists: false } },
+    { $set: { verifiedAt: new Date() } },
+    { new: true }
+  );
+  if (!verified) throw claimError('This code has already been used');
+  return verified;
+};
+
+// Attach the guest donations made with a verified email or phone to the user.
+// Each donation's own link decides ownership; donor profiles holding the
+// contact are left alone, as other details on them were never verified.
+const claimContact = async (user, channel, value) => {
+  const result = await Donation.updateMany(
+    guestDonationQuery(channel, value),
+    { $set: { user: user._id } }
+  );
+  return result.modifiedCount;
+};
+
+// Send a code to the email or phone the user wants to claim gifts from.
+// The response is the same whether or not any gifts match, so the endpoint
+// cannot be used to find out who has donated.
+const startClaim = (user, { channel, value }) => sendVerificationCode(user, { channel, value, purpose: 'claim' });
+
+// Check the code and attach the matching guest donations to the user's account
+const verifyClaim = async (user, verificationId, code) => {
+  const verification = await checkVerificationCode(user, verificationId, code, 'claim');
+
+  const claimed = await claimContact(user, verification.channel, verification.value);
+  verification.claimedCount = claimed;
+  await verification.save();
+
+  // Proving the account's own address also verifies it
+  if (verification.channel === 'email' && verification.value === user.email && !user.emailVerified) {
+    await User.updateOne({ _id: user._id }, { $set: { emailVerified: true } });
+  }
+
+  return { channel: verification.channel, value: verification.value, claimed };
+};
+
+// Send a code to a new email; the account keeps its current email until the
+// code is confirmed
+const startEmailChange = (user, email) => sendVerificationCode(user, { channel: 'email', value: email, purpose: 'email_change' });
+
+// Switch the account to the confirmed email and claim the gifts made with it
+const confirmEmailChange = async (user, verificationId, code) => {
+  const verification = await checkVerificationCode(user, verificationId, code, 'email_change');
+
+  if (await User.exists({ email: verification.value, _id: { $ne: user._id } })) {
+    throw claimError('Email already exists');
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    { $set: { email: verification.value, emailVerified: true } },
+    { new: true, runValidators: true }
+  );
+
+  const claimed = await claimContact(updatedUser, 'email', verification.value);
+  verification.claimedCount = claimed;
+  await verification.save();
+
+  return { user: updatedUser, claimed };
+};
+
+module.exports = {
+  countUnclaimedDonations,
+  startClaim,
+  verifyClaim,
+  startEmailChange,
+  confirmEmailChange
+};
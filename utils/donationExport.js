@@ -0,0 +1,97 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Donation = require('../models/Donation');
+const { csvLine } = require('./csv');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Column header, width in the spreadsheet and value for one donation
+const COLUMNS = [
+  ['Receipt number', 18, d => d.receiptNumber],
+  ['Created', 20, d => d.createdAt],
+  ['Verified', 20, d => d.verificationDate],
+  ['First name', 16, d => d.donor.firstName],
+  ['Last name', 16, d => d.donor.lastName],
+  ['Email', 28, d => d.donor.email],
+  ['Phone', 16, d => d.donor.phone],
+  ['Anonymous', 11, d => (d.donor.isAnonymous ? 'Yes' : 'No')],
+  ['Amount', 12, d => d.amount],
+  ['Currency', 10, d => d.currency],
+  ['Refunded', 12, d => d.refundedAmount || 0],
+  ['Base amount', 14, d => d.baseAmount],
+  ['Base currency', 14, d => d.baseCurrency],
+  ['Payment method', 16, d => d.paymentMethod],
+  ['Status', 12, d => d.paymentStatus],
+  ['Donation type', 14, d => d.donationType],
+  ['Purpose', 14, d => d.purpose],
+  ['Campaign', 24, d => d.campaign?.title],
+  ['Transaction ID', 28, d => d.transactionId],
+  ['M-Pesa code', 14, d => (d.payment?.provider === 'mpesa' ? d.payment.providerReceipt : undefined)]
+];
+
+const exportError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Only finance staff see who gave anonymously; everyone else gets the same
+// masked donor details as the rest of the API
+const toExportRow = (donation, revealAnonymous) => {
+  const data = revealAnonymous ? donation.toObject() : donation.toJSON();
+  return COLUMNS.map(([, , value]) => value(data));
+};
+
+const writeCsv = async (res, cursor, revealAnonymous) => {
+  res.write(csvLine(COLUMNS.map(([header]) => header)));
+  for await (const donation of cursor) {
+    const line = csvLine(toExportRow(donation, revealAnonymous)
+      .map(value => (value instanceof Date ? value.toISOString() : value)));
+    // Wait for slow clients instead of buffering the whole export
+    if (!res.write(line)) await once(res, 'drain');
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, cursor, revealAnonymous) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Donations');
+  sheet.columns = COLUMNS.map(([header, width]) => ({ header, width }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const donation of cursor) {
+    // Committed rows are flushed to the response and released
+    sheet.addRow(toExportRow(donation, revealAnonymous)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream every donation matching the query as CSV or XLSX. Rows are read from a
+// cursor and written as they arrive, so exports of any size use little memory.
+const streamDonationExport = async (res, query, { format = 'csv', revealAnonymous = false } = {}) => {
+  if (!FORMATS[format]) {
+    throw exportError('Format must be csv or xlsx');
+  }
+
+  const cursor = Donation.find(query)
+    .populate('campaign', 'title')
+    .populate('payment', 'provider providerReceipt')
+    .sort({ createdAt: -1 })
+    .cursor();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="donations-${date}.${FORMATS[format].extension}"`
+  });
+
+  try {
+    await (format === 'csv' ? writeCsv : writeXlsx)(res, cursor, revealAnonymous);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  streamDonationExport
+};
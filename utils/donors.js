@@ -0,0 +1,106 @@
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+
+const SEGMENTS = ['lybunt', 'sybunt', 'top', 'new', 'recurring', 'all'];
+
+const donorError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Query for a fundraising segment, relative to a calendar year (default: this year)
+//   lybunt    - gave Last Year But Unfortunately Not This year
+//   sybunt    - gave Some Year But Unfortunately Not This year (nor last year)
+//   new       - first gift was this year
+//   recurring - has an active recurring donation
+//   top       - everyone who has given, meant to be sorted by lifetime total
+const segmentQuery = (segment, year = new Date().getFullYear()) => {
+  switch (segment) {
+    case 'lybunt':
+      return { givingYears: { $eq: year - 1, $ne: year } };
+    case 'sybunt':
+      return { givingYears: { $lt: year - 1, $nin: [year - 1, year] } };
+    case 'new':
+      return {
+        firstGiftDate: {
+          $gte: new Date(year, 0, 1),
+          $lt: new Date(year + 1, 0, 1)
+        }
+      };
+    case 'recurring':
+      return { hasActiveRecurring: true };
+    case 'top':
+      return { giftCount: { $gt: 0 } };
+    case 'all':
+      return {};
+    default:
+      throw donorError(`Unknown segment: ${segment}`);
+  }
+};
+
+// Donor profiles linked to a registered user: the one their signed-in gifts
+// and preferences go to, plus any an admin merged into it
+const findUserDonorIds = async (user) => {
+  const donors = await Donor.find({ user: user._id }).select('_id');
+  return donors.map(d => d._id);
+};
+
+// Whether a donation was given by the user. Only the donation's own link
+// counts: it is set when the gift is made while signed in, or once the user
+// proves they own the email or phone it was made with.
+const isDonationOwner = (donation, user) => Boolean(donation.user && donation.user.equals(user._id));
+
+// Merge one donor into another, then recompute the surviving donor's totals
+const mergeDonors = async (targetId, sourceId) => {
+  if (String(targetId) === String(sourceId)) {
+    throw donorError('Cannot merge a donor into itself');
+  }
+
+  const target = await Donor.findById(targetId);
+  const source = await Donor.findById(sourceId);
+  if (!target || !source) {
+    throw donorError('Donor not found', 404);
+  }
+
+  await target.absorb(source);
+  return target.refreshStats();
+};
+
+// Link every completed donation and recurring schedule to a donor profile and
+// recompute all totals. Safe to run repeatedly.
+const rebuildDonorProfiles = async () => {
+  const summary = { linked: 0, skipped: 0, donors: 0, errors: [] };
+
+  const cursor = Donation.find({
+    donorProfile: { $exists: false },
+    $or: [{ paymentStatus: 'completed' }, { isRecurring: true }]
+  }).cursor();
+
+  for await (const donation of cursor) {
+    try {
+      const donor = await Donor.findOrCreateForDonation(donation);
+      if (!donor) {
+        summary.skipped += 1;
+        continue;
+      }
+      await Donation.updateOne({ _id: donation._id }, { $set: { donorProfile: donor._id } });
+      summary.linked += 1;
+    } catch (error) {
+      summary.errors.push({ donation: donation._id, error: error.message });
+    }
+  }
+
+  const donors = await Donor.find();
+  for (const donor of donors) {
+    await donor.refreshStats();
+    summary.donors += 1;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  SEGMENTS,
+  segmentQuery,
+  findUserDonorIds,
+  isDonationOwner,
+  mergeDonors,
+  rebuildDonorProfiles
+};
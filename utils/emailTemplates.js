@@ -0,0 +1,200 @@
+const { getOrganization } = require('./pdfDocuments');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+}) : '');
+
+const frontendUrl = (path) => `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+// Each template returns paragraphs (and an optional button) that are rendered
+// into both the text and the HTML body with the organisation's branding.
+const templates = {
+  welcome: ({ firstName }) => ({
+    subject: `Welcome to ${getOrganization().name}`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      'Thank you for creating an account with us. You can now register for events, make donations and apply for membership.'
+    ],
+    action: { label: 'Visit your dashboard', url: frontendUrl('/dashboard') }
+  }),
+
+  password_reset: ({ firstName, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      'We received a request to reset the password for your account.',
+      `The link below expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email.`
+    ],
+    action: { label: 'Reset password', url: resetUrl }
+  }),
+
+  donation_thank_you: ({ donorName, amount, receiptNumber, purpose }) => ({
+    subject: `Thank you for your donation (receipt ${receiptNumber})`,
+    greeting: `Dear ${donorName},`,
+    paragraphs: [
+      `Thank you for your donation of ${amount}${purpose ? ` towards ${purpose}` : ''}.`,
+      `Your tax receipt ${receiptNumber} is attached to this email. Please keep it for your records.`
+    ]
+  }),
+
+  membership_approved: ({ firstName, membershipNumber, membershipType, expiryDate }) => ({
+    subject: 'Your membership has been approved',
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `Your ${membershipType} membership has been approved. Your membership number is ${membershipNumber}.`,
+      expiryDate && `Your membership is valid until ${formatDate(expiryDate)}.`
+    ],
+    action: { label: 'View your membership', url: frontendUrl('/membership') }
+  }),
+
+  membership_suspended: ({ firstName, membershipNumber, reason }) => ({
+    subject: 'Your membership has been suspended',
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `Your membership${membershipNumber ? ` ${membershipNumber}` : ''} has been suspended.`,
+      reason && `Reason: ${reason}`,
+      'Please contact us if you have any questions.'
+    ]
+  }),
+
+  membership_expiring: ({ firstName, membershipNumber, expiryDate, daysLeft }) => ({
+    subject: `Your membership expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `Your membership ${membershipNumber} expires on ${formatDate(expiryDate)}.`,
+      'Renew now to keep your member benefits without a break.'
+    ],
+    action: { label: 'Renew membership', url: frontendUrl('/membership') }
+  }),
+
+  event_registration: ({ firstName, eventTitle, eventDate, eventTime, location, ticketNumber }) => ({
+    subject: `You're registered: ${eventTitle}`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `You are registered for ${eventTitle}.`,
+      ticketNumber && `Ticket: ${ticketNumber}`,
+      `Date: ${formatDate(eventDate)}${eventTime ? ` at ${eventTime}` : ''}`,
+      `Location: ${location}`,
+      'We look forward to seeing you there.'
+    ]
+  }),
+
+  giving_statement: ({ donorName, year, statementNumber }) => ({
+    subject: `Your ${year} giving statement`,
+    greeting: `Dear ${donorName},`,
+    paragraphs: [
+      `Thank you for your support during ${year}. Your annual giving statement ${statementNumber} is attached as a PDF, with a CSV copy for your records.`,
+      'It lists every donation you made during the year with its receipt number and your totals.'
+    ],
+    action: { label: 'View your donations', url: frontendUrl('/donations') }
+  }),
+
+  // Sent to the person the donor asked us to tell; never mentions the amount
+  tribute_acknowledgement: ({ recipientName, donorName, honoreeName, tributeType, message, tributeSlug }) => ({
+    subject: tributeType === 'memorial'
+      ? `A gift in memory of ${honoreeName}`
+      : `A gift in honour of ${honoreeName}`,
+    greeting: recipientName ? `Dear ${recipientName},` : 'Hello,',
+    paragraphs: [
+      `${donorName} has made a donation to ${getOrganization().name} ${tributeType === 'memorial' ? 'in memory of' : 'in honour of'} ${honoreeName}.`,
+      message && `They asked us to share this message with you: "${message}"`,
+      'A card marking the gift is attached.'
+    ],
+    action: tributeSlug && { label: 'View the tribute page', url: frontendUrl(`/tributes/${tributeSlug}`) }
+  }),
+
+  pledge_reminder: ({ firstName, installmentNumber, installmentCount, amountDue, dueDate, balance, overdue, pledgeId }) => ({
+    subject: overdue
+      ? `Your pledge installment of ${amountDue} is overdue`
+      : `Your pledge installment of ${amountDue} is due soon`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      overdue
+        ? `Installment ${installmentNumber} of ${installmentCount} on your pledge was due on ${formatDate(dueDate)} and ${amountDue} is still outstanding.`
+        : `Installment ${installmentNumber} of ${installmentCount} on your pledge, ${amountDue}, is due on ${formatDate(dueDate)}.`,
+      `Your remaining pledge balance is ${balance}. Thank you for your continued support.`,
+      'If you have already paid, please ignore this message.'
+    ],
+    action: { label: 'Pay installment', url: frontendUrl(`/pledges/${pledgeId}`) }
+  }),
+
+  donation_claim_code: ({ firstName, code, expiresInMinutes }) => ({
+    subject: `Your verification code is ${code}`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `Enter the code ${code} to add donations made with this email address to your account.`,
+      `The code expires in ${expiresInMinutes} minutes. If you did not ask for it, you can ignore this email.`
+    ]
+  }),
+
+  email_change_code: ({ firstName, code, expiresInMinutes }) => ({
+    subject: `Your verification code is ${code}`,
+    greeting: `Hi ${firstName},`,
+    paragraphs: [
+      `Enter the code ${code} to confirm this as the new email address on your account.`,
+      `The code expires in ${expiresInMinutes} minutes. Until then your account keeps its current email. If you did not ask for this change, you can ignore this email.`
+    ]
+  }),
+
+  donor_appeal: ({ donorName, subject, message, unsubscribeUrl }) => ({
+    subject,
+    greeting: `Dear ${donorName},`,
+    paragraphs: [
+      ...String(message).split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean),
+      `You are receiving this because you agreed to hear from us by email. To stop these emails, unsubscribe here: ${unsubscribeUrl}`
+    ]
+  })
+};
+
+const renderText = ({ greeting, paragraphs, action }, org) => [
+  greeting,
+  ...paragraphs,
+  action && `${action.label}: ${action.url}`,
+  `${org.name}${org.email ? `\n${org.email}` : ''}`
+].filter(Boolean).join('\n\n');
+
+const renderHtml = ({ subject, greeting, paragraphs, action }, org) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Helvetica,Arial,sans-serif;color:#222;">
+  <div style="max-width:560px;margin:0 auto;background:#fff;border-top:4px solid #1f4e79;padding:24px;">
+    <h2 style="margin-top:0;color:#1f4e79;">${escapeHtml(org.name)}</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#1f4e79;color:#fff;text-decoration:none;border-radius:4px;">${escapeHtml(action.label)}</a></p>` : ''}
+    <p style="margin-top:32px;font-size:12px;color:#777;">${escapeHtml(org.name)}${org.address ? ` &middot; ${escapeHtml(org.address)}` : ''}${org.email ? ` &middot; ${escapeHtml(org.email)}` : ''}</p>
+  </div>
+</body>
+</html>`;
+
+// Render a template into { subject, text, html }
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const org = getOrganization();
+  const content = template(data);
+  content.paragraphs = content.paragraphs.filter(Boolean);
+
+  return {
+    subject: content.subject,
+    text: renderText(content, org),
+    html: renderHtml(content, org)
+  };
+};
+
+module.exports = {
+  templateNames: Object.keys(templates),
+  renderTemplate
+};
@@ -0,0 +1,92 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+const getBaseCurrency = () => (process.env.BASE_CURRENCY || 'KES').toUpperCase();
+
+// Rate in force for a currency on a date, or null when none has been entered
+const getRate = async (currency, date = new Date()) => {
+  const baseCurrency = getBaseCurrency();
+  if (currency === baseCurrency) return 1;
+
+  const rate = await ExchangeRate.findOne({
+    currency,
+    baseCurrency,
+    effectiveDate: { $lte: date }
+  }).sort({ effectiveDate: -1 });
+
+  return rate ? rate.rate : null;
+};
+
+// Round to the base currency's minor unit
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Convert an amount to the base currency at the rate in force on `date`.
+// Returns { baseAmount, baseCurrency, exchangeRate } or null without a rate.
+const convertToBase = async (amount, currency, date = new Date()) => {
+  const exchangeRate = await getRate(currency, date);
+  if (exchangeRate === null) return null;
+
+  return {
+    baseAmount: roundAmount(amount * exchangeRate),
+    baseCurrency: getBaseCurrency(),
+    exchangeRate
+  };
+};
+
+// Total the documents matching `match` in the base currency, with a per-currency
+// breakdown. Documents already converted use their stored baseAmount; the rest are
+// converted at today's rate. Currencies without a rate are listed in `unconverted`.
+const sumInBaseCurrency = async (Model, match, { amountField = 'amount', currencyField = 'currency' } = {}) => {
+  const baseCurrency = getBaseCurrency();
+
+  const groups = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          currency: `$${currencyField}`,
+          converted: { $eq: ['$baseCurrency', baseCurrency] }
+        },
+        count: { $sum: 1 },
+        amount: { $sum: `$${amountField}` },
+        baseAmount: { $sum: '$baseAmount' }
+      }
+    }
+  ]);
+
+  const byCurrency = {};
+  const unconverted = new Set();
+  let total = 0;
+
+  for (const group of groups) {
+    const { currency, converted } = group._id;
+    const entry = byCurrency[currency] || (byCurrency[currency] = { currency, count: 0, amount: 0, baseAmount: 0 });
+    entry.count += group.count;
+    entry.amount += group.amount;
+
+    let baseAmount = group.baseAmount;
+    if (!converted) {
+      const rate = await getRate(currency);
+      if (rate === null) {
+        unconverted.add(currency);
+        continue;
+      }
+      baseAmount = group.amount * rate;
+    }
+    entry.baseAmount = roundAmount(entry.baseAmount + baseAmount);
+    total += baseAmount;
+  }
+
+  return {
+    baseCurrency,
+    total: roundAmount(total),
+    byCurrency: Object.values(byCurrency).sort((a, b) => b.baseAmount - a.baseAmount),
+    unconverted: [...unconverted]
+  };
+};
+
+module.exports = {
+  getBaseCurrency,
+  getRate,
+  convertToBase,
+  sumInBaseCurrency
+};
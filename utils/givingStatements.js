@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Donor = require('../models/Donor');
+const Donation = require('../models/Donation');
+const EmailMessage = require('../models/EmailMessage');
+const { buildGivingStatement } = require('./pdfDocuments');
+const { getOrIssueDocument } = require('./issuedDocuments');
+const { queueEmail } = require('./mailer');
+const { toCsv } = require('./csv');
+
+const FORMATS = {
+  pdf: { type: 'giving_statement_pdf', contentType: 'application/pdf' },
+  csv: { type: 'giving_statement_csv', contentType: 'text/csv' }
+};
+
+const statementError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Every completed donation a donor made in a calendar year, with totals per
+// currency and per purpose (net of refunds)
+const getStatementData = async (donor, year) => {
+  const start = new Date(year, 0, 1);
+  const end = new Date(year + 1, 0, 1);
+
+  const donations = await Donation.find({
+    donorProfile: donor._id,
+    paymentStatus: 'completed',
+    isRecurring: { $ne: true },
+    $or: [
+      { verificationDate: { $gte: start, $lt: end } },
+      { verificationDate: { $exists: false }, createdAt: { $gte: start, $lt: end } }
+    ]
+  }).sort({ verificationDate: 1, createdAt: 1 });
+
+  const rows = [];
+  for (const donation of donations) {
+    // Receipt numbers are only assigned on some completion paths
+    if (!donation.receiptNumber) {
+      donation.receiptNumber = await donation.generateReceiptNumber();
+      await donation.save();
+    }
+
+    const refunded = donation.refundedAmount || 0;
+    rows.push({
+      donation: donation._id,
+      date: donation.verificationDate || donation.createdAt,
+      receiptNumber: donation.receiptNumber,
+      purpose: donation.purpose,
+      paymentMethod: donation.paymentMethod,
+      transactionId: donation.transactionId,
+      currency: donation.currency,
+      amount: donation.amount,
+      refunded,
+      net: round(donation.amount - refunded)
+    });
+  }
+
+  const byCurrency = new Map();
+  const byPurpose = new Map();
+  for (const row of rows) {
+    const currency = byCurrency.get(row.currency) || { currency: row.currency, gifts: 0, amount: 0, refunded: 0, net: 0 };
+    currency.gifts += 1;
+    currency.amount = round(currency.amount + row.amount);
+    currency.refunded = round(currency.refunded + row.refunded);
+    currency.net = round(currency.net + row.net);
+    byCurrency.set(row.currency, currency);
+
+    const key = `${row.purpose}|${row.currency}`;
+    const purpose = byPurpose.get(key) || { purpose: row.purpose, currency: row.currency, gifts: 0, net: 0 };
+    purpose.gifts += 1;
+    purpose.net = round(purpose.net + row.net);
+    byPurpose.set(key, purpose);
+  }
+
+  return {
+    year,
+    number: `STMT-${year}-${String(donor._id).slice(-8).toUpperCase()}`,
+    generatedAt: new Date(),
+    donor: {
+      _id: donor._id,
+      name: donor.fullName,
+      email: donor.email,
+      phone: donor.phones[0]
+    },
+    donations: rows,
+    totalsByCurrency: [...byCurrency.values()],
+    totalsByPurpose: [...byPurpose.values()].sort((a, b) => a.purpose.localeCompare(b.purpose) || a.currency.localeCompare(b.currency)),
+    // Changes whenever a gift is added, refunded or amended
+    fingerprint: crypto.createHash('sha256')
+      .update(JSON.stringify(rows.map(r => [String(r.donation), r.receiptNumber, r.amount, r.refunded, r.currency])))
+      .digest('hex')
+  };
+};
+
+const buildStatementCsv = (statement) => Buffer.from(toCsv([
+  ['Annual Giving Statement', statement.year],
+  ['Statement number', statement.number],
+  ['Donor', statement.donor.name],
+  ['Email', statement.donor.email],
+  [],
+  ['Date', 'Receipt Number', 'Purpose', 'Payment Method', 'Transaction ID', 'Currency', 'Amount', 'Refunded', 'Net'],
+  ...statement.donations.map(row => [
+    new Date(row.date).toISOString().slice(0, 10),
+    row.receiptNumber,
+    row.purpose,
+    row.paymentMethod,
+    row.transactionId,
+    row.currency,
+    row.amount.toFixed(2),
+    row.refunded.toFixed(2),
+    row.net.toFixed(2)
+  ]),
+  [],
+  ['Totals by currency'],
+  ['Currency', 'Gifts', 'Amount', 'Refunded', 'Net'],
+  ...statement.totalsByCurrency.map(t => [t.currency, t.gifts, t.amount.toFixed(2), t.refunded.toFixed(2), t.net.toFixed(2)]),
+  [],
+  ['Totals by purpose'],
+  ['Purpose', 'Currency', 'Gifts', 'Net'],
+  ...statement.totalsByPurpose.map(t => [t.purpose, t.currency, t.gifts, t.net.toFixed(2)])
+]));
+
+// Issued PDF or CSV statement for a donor's year. A statement already issued is
+// reused until the donations behind it change.
+const getGivingStatement = async (donor, year, format = 'pdf', { regenerate = false, generatedBy, reason } = {}) => {
+  const options = FORMATS[format];
+  if (!options) {
+    throw statementError('Format must be pdf or csv');
+  }
+  if (year > new Date().getFullYear()) {
+    throw statementError('Statements are not available for future years');
+  }
+
+  const statement = await getStatementData(donor, year);
+  if (statement.donations.length === 0) {
+    throw statementError(`No completed donations in ${year}`, 404);
+  }
+
+  return getOrIssueDocument({ type: options.type, donor: donor._id, year }, {
+    regenerate,
+    generatedBy,
+    reason,
+    number: statement.number,
+    fileName: `giving-statement-${year}-${statement.number}.${format}`,
+    contentType: options.contentType,
+    fingerprint: statement.fingerprint,
+    build: () => (format === 'pdf' ? buildGivingStatement(statement) : Promise.resolve(buildStatementCsv(statement)))
+  });
+};
+
+// Year-end run: issue statements for everyone who gave in the year and queue
+// them for emailing. Donors already sent that year's statement are skipped
+// unless resend is set. Statements are tax records rather than marketing, so
+// they do not depend on communication consent.
+const runYearEndStatements = async (year, { resend = false, generatedBy } = {}) => {
+  const summary = { year, donors: 0, queued: 0, alreadySent: 0, noEmail: 0, errors: [] };
+
+  const donors = await Donor.find({ givingYears: year });
+  for (const donor of donors) {
+    summary.donors += 1;
+
+    if (!donor.email) {
+      summary.noEmail += 1;
+      continue;
+    }
+
+    if (!resend && await EmailMessage.exists({
+      template: 'giving_statement',
+      'related.donor': donor._id,
+      'related.year': year,
+      status: { $ne: 'failed' }
+    })) {
+      summary.alreadySent += 1;
+      continue;
+    }
+
+    try {
+      const pdf = await getGivingStatement(donor, year, 'pdf', { generatedBy });
+      const csv = await getGivingStatement(donor, year, 'csv', { generatedBy });
+
+      await queueEmail({
+        to: donor.email,
+        template: 'giving_statement',
+        data: {
+          donorName: donor.fullName,
+          year,
+          statementNumber: pdf.number
+        },
+        attachments: [pdf, csv],
+        related: { donor: donor._id, year }
+      });
+      summary.queued += 1;
+    } catch (error) {
+      summary.errors.push({ donor: donor._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getStatementData,
+  getGivingStatement,
+  runYearEndStatements
+};
@@ -0,0 +1,125 @@
+const IssuedDocument = require('../models/IssuedDocument');
+const User = require('../models/User');
+const {
+  buildDonationReceipt,
+  buildMembershipInvoice,
+  buildMembershipReceipt
+} = require('./pdfDocuments');
+const { nextNumber } = require('./numbering');
+
+const documentError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Latest issued version of a document, or null if none has been issued
+const findLatestDocument = (target) => IssuedDocument.findOne(target)
+  .select('+content')
+  .sort({ version: -1 });
+
+// Store a newly generated version of a document
+const issueDocument = async (target, { number, fileName, contentType, fingerprint, build, generatedBy, reason }) => {
+  const latest = await IssuedDocument.findOne(target).sort({ version: -1 });
+
+  return IssuedDocument.create({
+    ...target,
+    number,
+    fileName,
+    contentType,
+    fingerprint,
+    content: await build(),
+    version: latest ? latest.version + 1 : 1,
+    generatedBy,
+    reason
+  });
+};
+
+// Serve the document as it was first issued; only an explicit regenerate, or a
+// change in the data behind a fingerprinted document, replaces it with a new version
+const getOrIssueDocument = async (target, options) => {
+  if (!options.regenerate) {
+    const existing = await findLatestDocument(target);
+    if (existing && (!options.fingerprint || existing.fingerprint === options.fingerprint)) {
+      return existing;
+    }
+    if (existing && !options.reason) {
+      options = { ...options, reason: 'Underlying records changed' };
+    }
+  }
+  return issueDocument(target, options);
+};
+
+// Tax receipt PDF for a completed donation
+const getDonationReceipt = async (donation, { regenerate = false, generatedBy, reason } = {}) => {
+  if (donation.paymentStatus !== 'completed') {
+    throw documentError('Receipt not available for incomplete donations');
+  }
+
+  if (!donation.receiptNumber) {
+    donation.receiptNumber = await donation.generateReceiptNumber();
+    await donation.save();
+  }
+
+  return getOrIssueDocument({ type: 'donation_receipt', donation: donation._id }, {
+    regenerate,
+    generatedBy,
+    reason,
+    number: donation.receiptNumber,
+    fileName: `receipt-${donation.receiptNumber}.pdf`,
+    build: () => buildDonationReceipt(donation)
+  });
+};
+
+// Invoice or receipt PDF for an entry in membership.payments[]
+const getMembershipDocument = async (membership, paymentId, kind, { regenerate = false, generatedBy, reason } = {}) => {
+  const payment = membership.payments.find(p => p.paymentId === paymentId);
+  if (!payment) {
+    throw documentError('Payment not found', 404);
+  }
+
+  if (kind === 'receipt' && payment.status !== 'completed') {
+    throw documentError('Receipt not available for incomplete payments');
+  }
+
+  const target = {
+    type: `membership_${kind}`,
+    membership: membership._id,
+    membershipPaymentId: paymentId
+  };
+
+  const numberField = kind === 'invoice' ? 'invoiceNumber' : 'receiptNumber';
+  if (!payment[numberField]) {
+    // Documents issued before numbers were stored on the payment keep their number
+    const existing = await IssuedDocument.findOne(target).sort({ version: 1 }).select('number');
+    payment[numberField] = existing?.number || await nextNumber(kind);
+    await membership.save();
+  }
+
+  const applicant = await User.findById(membership.applicant).select('firstName lastName');
+  const applicantName = applicant ? `${applicant.firstName} ${applicant.lastName}` : '';
+  const number = payment[numberField];
+  const build = kind === 'invoice' ? buildMembershipInvoice : buildMembershipReceipt;
+
+  return getOrIssueDocument(target, {
+    regenerate,
+    generatedBy,
+    reason,
+    number,
+    fileName: `${kind}-${number}.pdf`,
+    build: () => build(membership, payment, { number, applicantName })
+  });
+};
+
+// Write an issued document to the response as a file download
+const sendDocument = (res, document) => {
+  res.set({
+    'Content-Type': document.contentType || 'application/pdf',
+    'Content-Disposition': `attachment; filename="${document.fileName}"`,
+    'Content-Length': document.content.length
+  });
+  res.send(document.content);
+};
+
+module.exports = {
+  getOrIssueDocument,
+  getDonationReceipt,
+  getMembershipDocument,
+  sendDocument
+};
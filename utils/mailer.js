@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/EmailMessage');
+const IssuedDocument = require('../models/IssuedDocument');
+const { renderTemplate } = require('./emailTemplates');
+
+const OUTBOX_INTERVAL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 60;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+// Minutes to wait before each retry; the last value repeats
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+// A message stuck in "sending" this long is assumed to have been interrupted
+const STALE_SENDING_MINUTES = 10;
+
+let transport;
+
+// smtp in production, console elsewhere unless EMAIL_TRANSPORT says otherwise.
+// The file transport writes each message as an .eml file to EMAIL_FILE_DIR.
+const getTransportName = () => process.env.EMAIL_TRANSPORT
+  || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+const createTransport = () => {
+  const name = getTransportName();
+
+  if (name === 'smtp') {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    const mailer = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined
+    });
+    return { name, send: async (mail) => (await mailer.sendMail(mail)).messageId };
+  }
+
+  if (name === 'file') {
+    const dir = path.resolve(process.env.EMAIL_FILE_DIR || './tmp/emails');
+    const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      name,
+      send: async (mail) => {
+        const info = await mailer.sendMail(mail);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${mail.headers['X-Outbox-Id']}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return info.messageId;
+      }
+    };
+  }
+
+  if (name === 'console') {
+    const mailer = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      name,
+      send: async (mail) => {
+        const info = await mailer.sendMail(mail);
+        console.log(`📧 Email to ${mail.to}: ${mail.subject}\n${mail.text}`);
+        return info.messageId;
+      }
+    };
+  }
+
+  throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+const retryDelay = (attempts) => RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1] * 60 * 1000;
+
+// Send one outbox message. The message is claimed first so a retry run and an
+// immediate send never deliver it twice.
+const deliverEmail = async (messageId) => {
+  const message = await EmailMessage.findOneAndUpdate(
+    { _id: messageId, status: 'queued', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!message) return null;
+
+  const { name, send } = getTransport();
+
+  try {
+    const attachments = [];
+    for (const attachment of message.attachments) {
+      const document = await IssuedDocument.findById(attachment.document).select('+content');
+      if (!document) throw new Error(`Attachment ${attachment.filename} no longer exists`);
+      attachments.push({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: document.content
+      });
+    }
+
+    message.providerMessageId = await send({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@kamune-elites.org',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments,
+      headers: { 'X-Outbox-Id': String(message._id) }
+    });
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.transport = name;
+    message.lastError = undefined;
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+      console.error(`Email ${message._id} to ${message.to} failed permanently:`, error.message);
+    } else {
+      message.status = 'queued';
+      message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+    }
+  }
+
+  await message.save();
+  return message;
+};
+
+// Render a template into the outbox and try to send it straight away. Delivery
+// problems never reach the caller; the outbox worker retries them.
+const queueEmail = async ({ to, template, data, attachments = [], related = {} }) => {
+  const rendered = renderTemplate(template, data);
+
+  const message = await EmailMessage.create({
+    to,
+    template,
+    ...rendered,
+    attachments: attachments.map(document => ({
+      filename: document.fileName,
+      contentType: document.contentType,
+      document: document._id
+    })),
+    maxAttempts: MAX_ATTEMPTS,
+    related
+  });
+
+  deliverEmail(message._id).catch(error => {
+    console.error('Email delivery error:', error);
+  });
+
+  return message;
+};
+
+// Queue an email from a route without letting a mail problem fail the request
+const queueEmailSafely = (options) => queueEmail(options).catch(error => {
+  console.error(`Queue ${options.template} email error:`, error);
+  return null;
+});
+
+// Put a failed message back in the queue for another round of attempts
+const retryEmail = async (message) => {
+  message.status = 'queued';
+  message.nextAttemptAt = new Date();
+  message.maxAttempts = message.attempts + MAX_ATTEMPTS;
+  await message.save();
+  return deliverEmail(message._id);
+};
+
+// Deliver every message whose next attempt is due
+const processOutbox = async () => {
+  await EmailMessage.updateMany(
+    { status: 'sending', lastAttemptAt: { $lt: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) } },
+    { $set: { status: 'queued', nextAttemptAt: new Date() } }
+  );
+
+  const due = await EmailMessage.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  const results = [];
+  for (const { _id } of due) {
+    const message = await deliverEmail(_id);
+    if (message) results.push(message);
+  }
+  return results;
+};
+
+const startEmailOutbox = () => {
+  const run = async () => {
+    try {
+      const results = await processOutbox();
+      const sent = results.filter(m => m.status === 'sent').length;
+      if (results.length > 0) {
+        console.log(`📧 Email outbox: ${sent} sent, ${results.length - sent} still pending or failed`);
+      }
+    } catch (error) {
+      console.error('Email outbox run error:', error);
+    }
+  };
+
+  return setInterval(run, OUTBOX_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  getTransportName,
+  queueEmail,
+  queueEmailSafely,
+  deliverEmail,
+  retryEmail,
+  processOutbox,
+  startEmailOutbox
+};
@@ -0,0 +1,75 @@
+const Membership = require('../models/Membership');
+const { queueEmail } = require('./mailer');
+
+const REMINDER_DAYS = parseInt(process.env.MEMBERSHIP_EXPIRY_REMINDER_DAYS) || 14;
+const REMINDER_INTERVAL_HOURS = parseInt(process.env.MEMBERSHIP_REMINDER_INTERVAL_HOURS) || 12;
+
+// Email members whose membership expires within the reminder window. Each expiry
+// date is claimed before queueing, so a renewed membership gets a fresh reminder
+// but the same expiry never gets two.
+const sendExpiryReminders = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+  const candidates = await Membership.find({
+    status: 'active',
+    expiryDate: { $gt: now, $lte: cutoff }
+  })
+    .select('expiryDate expiryReminderFor')
+    .lean();
+
+  const sent = [];
+  for (const candidate of candidates) {
+    if (candidate.expiryReminderFor && candidate.expiryReminderFor.getTime() === candidate.expiryDate.getTime()) {
+      continue;
+    }
+
+    const membership = await Membership.findOneAndUpdate(
+      { _id: candidate._id, expiryDate: candidate.expiryDate, expiryReminderFor: candidate.expiryReminderFor || null },
+      { $set: { expiryReminderFor: candidate.expiryDate } },
+      { new: true }
+    ).populate('applicant', 'firstName email');
+    if (!membership || !membership.applicant) continue;
+
+    try {
+      await queueEmail({
+        to: membership.applicant.email,
+        template: 'membership_expiring',
+        data: {
+          firstName: membership.applicant.firstName,
+          membershipNumber: membership.membershipNumber,
+          expiryDate: membership.expiryDate,
+          daysLeft: Math.ceil((membership.expiryDate - now) / (24 * 60 * 60 * 1000))
+        },
+        related: { membership: membership._id }
+      });
+      sent.push(membership._id);
+    } catch (error) {
+      // Release the claim so the next run tries again
+      await Membership.updateOne({ _id: membership._id }, { $set: { expiryReminderFor: candidate.expiryReminderFor || null } });
+      console.error(`Expiry reminder for membership ${membership._id} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+const startMembershipReminders = () => {
+  const run = async () => {
+    try {
+      const sent = await sendExpiryReminders();
+      if (sent.length > 0) {
+        console.log(`📧 Queued ${sent.length} membership expiry reminders`);
+      }
+    } catch (error) {
+      console.error('Membership reminders run error:', error);
+    }
+  };
+
+  return setInterval(run, REMINDER_INTERVAL_HOURS * 60 * 60 * 1000);
+};
+
+module.exports = {
+  sendExpiryReminders,
+  startMembershipReminders
+};
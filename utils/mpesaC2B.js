@@ -0,0 +1,134 @@
+const Donation = require('../models/Donation');
+const Membership = require('../models/Membership');
+const { normalizeKenyanPhone } = require('./phone');
+const { findMpesaPayment, recordPayment } = require('./paymentLedger');
+
+const DONATION_PURPOSES = ['general', 'education', 'health', 'community', 'environment', 'technology', 'emergency', 'other'];
+
+// Convert a Daraja YYYYMMDDHHmmss timestamp (East Africa Time) to a Date
+const parseMpesaTimestamp = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+};
+
+const normalizeBillRef = (value) => String(value || '').trim().toUpperCase();
+
+// Decide whether to accept a paybill payment before M-Pesa completes it
+const validateC2BPayment = (payload) => {
+  if (!(Number(payload.TransAmount) >= 1)) {
+    return { ResultCode: 'C2B00013', ResultDesc: 'Rejected' };
+  }
+  return { ResultCode: 0, ResultDesc: 'Accepted' };
+};
+
+// Record a confirmed paybill payment against a membership (when BillRefNumber is a
+// membership number) or as a completed M-Pesa donation otherwise.
+// Returns { type, record, payment, duplicate }.
+const processC2BConfirmation = async (payload) => {
+  const transId = payload.TransID;
+  const amount = Number(payload.TransAmount);
+  const billRef = normalizeBillRef(payload.BillRefNumber);
+  const phone = normalizeKenyanPhone(payload.MSISDN);
+  const paidAt = parseMpesaTimestamp(payload.TransTime);
+  const payerName = [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(' ');
+
+  // M-Pesa may deliver the same confirmation more than once
+  const existing = await findMpesaPayment(transId);
+  if (existing) {
+    return { type: existing.payableType.toLowerCase(), record: null, payment: existing, duplicate: true };
+  }
+
+  const ledgerFields = {
+    method: 'mpesa',
+    provider: 'mpesa',
+    channel: 'c2b',
+    providerReference: transId,
+    providerReceipt: transId,
+    amount,
+    currency: 'KES',
+    status: 'completed',
+    source: 'c2b',
+    note: `Paybill payment to account ${billRef || '(none)'}`,
+    payer: {
+      name: payerName || undefined,
+      phone: phone || undefined
+    },
+    metadata: { billRefNumber: billRef, transTime: payload.TransTime }
+  };
+
+  const membership = billRef ? await Membership.findOne({ membershipNumber: billRef }) : null;
+
+  if (membership) {
+    const paymentId = `MEM-C2B-${transId}`;
+    const payment = await recordPayment({
+      ...ledgerFields,
+      payableType: 'Membership',
+      payable: membership._id,
+      membershipPaymentId: paymentId,
+      payer: { ...ledgerFields.payer, user: membership.applicant }
+    });
+
+    const period = { startDate: new Date(paidAt), endDate: new Date(paidAt) };
+    if (membership.fees.selectedPlan === 'annual') {
+      period.endDate.setFullYear(period.endDate.getFullYear() + 1);
+    } else {
+      period.endDate.setMonth(period.endDate.getMonth() + 1);
+    }
+
+    await membership.addPayment({
+      paymentId,
+      amount,
+      paymentMethod: 'mpesa',
+      transactionId: transId,
+      status: 'completed',
+      mpesaDetails: {
+        phoneNumber: phone || undefined,
+        transactionCode: transId
+      },
+      period,
+      notes: ledgerFields.note,
+      payment: payment._id
+    });
+
+    return { type: 'membership', record: membership, payment, duplicate: false };
+  }
+
+  const purpose = DONATION_PURPOSES.includes(billRef.toLowerCase()) ? billRef.toLowerCase() : 'general';
+
+  const donation = new Donation({
+    donor: {
+      firstName: payload.FirstName || 'M-Pesa',
+      lastName: payload.LastName || payload.MiddleName || 'Donor',
+      phone: phone || undefined,
+      isAnonymous: false
+    },
+    amount,
+    currency: 'KES',
+    paymentMethod: 'mpesa',
+    paymentStatus: 'completed',
+    transactionId: transId,
+    purpose,
+    notes: ledgerFields.note,
+    isVerified: true,
+    verificationDate: paidAt
+  });
+  await donation.validate();
+
+  const payment = await recordPayment({
+    ...ledgerFields,
+    payableType: 'Donation',
+    payable: donation._id
+  });
+  donation.payment = payment._id;
+  await donation.save();
+
+  return { type: 'donation', record: donation, payment, duplicate: false };
+};
+
+module.exports = {
+  parseMpesaTimestamp,
+  validateC2BPayment,
+  processC2BConfirmation
+};
@@ -0,0 +1,116 @@
+const MpesaCallback = require('../models/MpesaCallback');
+const { findMpesaPayment, applySettledPayment, settlePayment, markForReview } = require('./paymentLedger');
+
+// Callbacks in these states may be processed again when Safaricom retries them
+const RETRYABLE_STATUSES = ['received', 'not_found', 'error'];
+
+// STK result code for a prompt the customer dismissed
+const CANCELLED_RESULT_CODE = 1032;
+
+const getCallbackItem = (stkCallback, name) =>
+  stkCallback.CallbackMetadata?.Item?.find(item => item.Name === name)?.Value;
+
+const amountsMatch = (paid, expected) => Number(paid) === Number(expected);
+
+// Settle the ledger payment a callback belongs to
+const applyCallback = async (log) => {
+  const payment = await findMpesaPayment(log.checkoutRequestId);
+  if (!payment) {
+    return { processingStatus: 'not_found' };
+  }
+
+  const outcome = {
+    payment: payment._id,
+    targetType: payment.payableType.toLowerCase(),
+    targetId: payment.payable
+  };
+
+  if (payment.status !== 'pending') {
+    // Finish a settlement that stopped before its payable was updated
+    await applySettledPayment(payment);
+    return { ...outcome, processingStatus: 'already_final', processingNotes: `Payment already ${payment.status}` };
+  }
+
+  if (log.resultCode !== 0) {
+    await settlePayment(payment, log.resultCode === CANCELLED_RESULT_CODE ? 'cancelled' : 'failed', {
+      source: 'callback',
+      note: `Payment failed: ${log.resultDesc}`
+    });
+    return { ...outcome, processingStatus: 'processed' };
+  }
+
+  if (!amountsMatch(log.amount, payment.amount)) {
+    const reason = `M-Pesa paid amount ${log.amount} does not match expected ${payment.amount}; receipt ${log.mpesaReceiptNumber}`;
+    await markForReview(payment, reason);
+    return { ...outcome, processingStatus: 'amount_mismatch', processingNotes: reason };
+  }
+
+  await settlePayment(payment, 'completed', {
+    providerReceipt: log.mpesaReceiptNumber,
+    source: 'callback',
+    note: `Payment confirmed: ${log.resultDesc}`
+  });
+  return { ...outcome, processingStatus: 'processed' };
+};
+
+// Log an STK push callback once per CheckoutRequestID and apply it to its payment.
+// Repeat deliveries are counted but never reprocessed once the callback has been handled.
+const processStkCallback = async (body, { sourceIp } = {}) => {
+  const stkCallback = body?.Body?.stkCallback;
+  if (!stkCallback || !stkCallback.CheckoutRequestID) {
+    return null;
+  }
+
+  const checkoutRequestId = stkCallback.CheckoutRequestID;
+  let log = await MpesaCallback.findOne({ checkoutRequestId });
+
+  if (log && !RETRYABLE_STATUSES.includes(log.processingStatus)) {
+    log.duplicateCount += 1;
+    log.lastDuplicateAt = new Date();
+    await log.save();
+    return log;
+  }
+
+  if (!log) {
+    try {
+      log = await MpesaCallback.create({
+        checkoutRequestId,
+        merchantRequestId: stkCallback.MerchantRequestID,
+        resultCode: Number(stkCallback.ResultCode),
+        resultDesc: stkCallback.ResultDesc,
+        amount: getCallbackItem(stkCallback, 'Amount'),
+        phone: getCallbackItem(stkCallback, 'PhoneNumber')?.toString(),
+        mpesaReceiptNumber: getCallbackItem(stkCallback, 'MpesaReceiptNumber'),
+        transactionDate: getCallbackItem(stkCallback, 'TransactionDate')?.toString(),
+        sourceIp,
+        payload: body
+      });
+    } catch (error) {
+      // A concurrent delivery of the same callback won the insert
+      if (error.code === 11000) {
+        await MpesaCallback.updateOne(
+          { checkoutRequestId },
+          { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } }
+        );
+        return MpesaCallback.findOne({ checkoutRequestId });
+      }
+      throw error;
+    }
+  }
+
+  try {
+    const outcome = await applyCallback(log);
+    Object.assign(log, outcome);
+  } catch (error) {
+    console.error('M-Pesa callback processing error:', error);
+    log.processingStatus = 'error';
+    log.processingNotes = error.message;
+  }
+
+  await log.save();
+  return log;
+};
+
+module.exports = {
+  processStkCallback
+};
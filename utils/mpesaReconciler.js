@@ -0,0 +1,110 @@
+const Payment = require('../models/Payment');
+const { queryStkPushStatus } = require('../mpesa');
+const { applySettledPayment, settlePayment } = require('./paymentLedger');
+
+// How long a payment may stay pending before we stop waiting for the callback
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 5;
+const RECONCILE_INTERVAL_MINUTES = parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 5;
+
+// STK result code for a prompt the customer dismissed
+const CANCELLED_RESULT_CODE = 1032;
+
+// A payment flagged for review (e.g. a callback amount mismatch) is left for an
+// admin to resolve through PUT /api/payments/:id/resolve
+const reviewResult = { status: 'needs_review', resultCode: null, resultDesc: 'Payment flagged for review' };
+
+const describe = (payment) => ({
+  paymentId: payment._id,
+  payableType: payment.payableType,
+  payable: payment.payable,
+  checkoutRequestId: payment.providerReference
+});
+
+// Resolve a pending STK push payment from the STK query result
+const reconcilePayment = async (payment) => {
+  const result = payment.requiresReview
+    ? reviewResult
+    : await queryStkPushStatus(payment.providerReference);
+
+  if (result.status === 'completed' || result.status === 'failed') {
+    const status = result.resultCode === CANCELLED_RESULT_CODE ? 'cancelled' : result.status;
+    await settlePayment(payment, status, {
+      source: 'reconciler',
+      note: `Reconciled via STK query: ${result.resultDesc}`
+    });
+  }
+
+  return { ...describe(payment), ...result };
+};
+
+// Run a single reconciliation, capturing errors so one bad record does not stop a batch
+const safely = async (payment) => {
+  try {
+    return await reconcilePayment(payment);
+  } catch (error) {
+    console.error('M-Pesa reconciliation error:', error.response?.data || error.message);
+    return {
+      ...describe(payment),
+      status: 'error',
+      error: error.response?.data?.errorMessage || error.message
+    };
+  }
+};
+
+// Reconcile the payment holding a CheckoutRequestID
+const reconcileByCheckoutRequestId = async (checkoutRequestId) => {
+  const payment = await Payment.findOne({ provider: 'mpesa', providerReference: checkoutRequestId });
+  if (!payment) return null;
+
+  if (payment.status !== 'pending') {
+    await applySettledPayment(payment);
+    return { ...describe(payment), status: payment.status, skipped: true };
+  }
+  return reconcilePayment(payment);
+};
+
+// Reconcile every pending STK push payment created within the given window
+const reconcilePending = async ({ startDate, endDate } = {}) => {
+  const createdAt = {
+    $lte: endDate || new Date(Date.now() - RECONCILE_AFTER_MINUTES * 60 * 1000)
+  };
+  if (startDate) createdAt.$gte = startDate;
+
+  const payments = await Payment.find({
+    provider: 'mpesa',
+    channel: 'stk_push',
+    status: 'pending',
+    providerReference: { $type: 'string' },
+    createdAt
+  }).sort({ createdAt: 1 });
+
+  const results = [];
+  for (const payment of payments) {
+    results.push(await safely(payment));
+  }
+  return results;
+};
+
+// Periodically resolve payments whose callback never arrived
+const startReconciler = () => {
+  const run = async () => {
+    try {
+      const results = await reconcilePending();
+      const resolved = results.filter(r => r.status === 'completed' || r.status === 'failed');
+      if (resolved.length > 0) {
+        console.log(`🔄 M-Pesa reconciler resolved ${resolved.length} of ${results.length} pending payments`);
+      }
+    } catch (error) {
+      console.error('M-Pesa reconciler run error:', error);
+    }
+  };
+
+  return setInterval(run, RECONCILE_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  reconcilePayment,
+  reconcileByCheckoutRequestId,
+  reconcilePending,
+  startReconciler
+};
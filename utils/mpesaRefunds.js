@@ -0,0 +1,277 @@
+const Donation = require('../models/Donation');
+const Membership = require('../models/Membership');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { reverseTransaction, b2cPayment } = require('../mpesa');
+const { normalizeKenyanPhone } = require('./phone');
+const { recordRefund } = require('./paymentLedger');
+
+// Refunds in these states count against the amount still refundable
+const OPEN_STATUSES = ['requested', 'processing', 'completed'];
+
+const refundError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const loadLedgerPayment = async (paymentId) => {
+  const payment = paymentId && await Payment.findById(paymentId);
+  if (!payment) throw refundError('No ledger payment is recorded for this payment', 409);
+  return payment;
+};
+
+// Load the donation or membership payment a refund is for
+const loadRefundTarget = async ({ donationId, membershipId, paymentId }) => {
+  if (donationId) {
+    const donation = await Donation.findById(donationId);
+    if (!donation) throw refundError('Donation not found', 404);
+    if (donation.paymentMethod !== 'mpesa') throw refundError('Only M-Pesa donations can be refunded through M-Pesa');
+    if (donation.paymentStatus !== 'completed') throw refundError('Only completed donations can be refunded');
+
+    return {
+      targetType: 'donation',
+      donation,
+      ledgerPayment: await loadLedgerPayment(donation.payment),
+      paidAmount: donation.amount,
+      currency: donation.currency,
+      phone: donation.donor.phone,
+      query: { donation: donation._id }
+    };
+  }
+
+  const membership = await Membership.findById(membershipId);
+  if (!membership) throw refundError('Membership not found', 404);
+  const payment = membership.payments.find(p => p.paymentId === paymentId);
+  if (!payment) throw refundError('Membership payment not found', 404);
+  if (payment.paymentMethod !== 'mpesa') throw refundError('Only M-Pesa payments can be refunded through M-Pesa');
+  if (payment.status !== 'completed') throw refundError('Only completed payments can be refunded');
+
+  return {
+    targetType: 'membership',
+    membership,
+    payment,
+    ledgerPayment: await loadLedgerPayment(payment.payment),
+    paidAmount: payment.amount,
+    currency: 'KES',
+    phone: payment.mpesaDetails?.phoneNumber,
+    query: { membership: membership._id, membershipPaymentId: payment.paymentId }
+  };
+};
+
+// Amount already requested against the target's ledger payment. Payments from
+// before the running total was kept are seeded from their open refunds.
+const getRequestedAmount = async (target) => {
+  const payment = target.ledgerPayment;
+  if (payment.refundRequestedAmount === undefined) {
+    const openRefunds = await Refund.find({ ...target.query, status: { $in: OPEN_STATUSES } });
+    await Payment.updateOne(
+      { _id: payment._id, refundRequestedAmount: { $exists: false } },
+      { $set: { refundRequestedAmount: openRefunds.reduce((sum, r) => sum + r.amount, 0) } }
+    );
+    return (await Payment.findById(payment._id).select('refundRequestedAmount')).refundRequestedAmount;
+  }
+  return payment.refundRequestedAmount;
+};
+
+// Add to the requested total only if it stays within what was paid, so two
+// requests at once cannot together refund more than the payment
+const reserveRefundAmount = (target, amount) => Payment.findOneAndUpdate(
+  {
+    _id: target.ledgerPayment._id,
+    $expr: { $lte: [{ $add: ['$refundRequestedAmount', amount] }, target.paidAmount] }
+  },
+  { $inc: { refundRequestedAmount: amount } },
+  { new: true }
+);
+
+// Give back the amount of a refund that was rejected or failed
+const releaseRefundAmount = (refund) => Payment.updateOne(
+  { _id: refund.payment },
+  { $inc: { refundRequestedAmount: -refund.amount } }
+);
+
+// Open a refund request for an admin to approve
+const requestRefund = async ({ donationId, membershipId, paymentId, amount, reason, phone, requestedBy }) => {
+  const target = await loadRefundTarget({ donationId, membershipId, paymentId });
+
+  const refundable = target.paidAmount - await getRequestedAmount(target);
+
+  const refundAmount = amount ? Number(amount) : refundable;
+  if (refundable <= 0) throw refundError('This payment has already been fully refunded');
+  if (refundAmount > refundable) throw refundError(`Refund amount cannot exceed ${refundable}`);
+
+  const isPartial = refundAmount < target.paidAmount;
+  const receipt = target.ledgerPayment.providerReceipt;
+
+  // A reversal returns the whole transaction; anything else is paid out by B2C
+  const method = !isPartial && receipt ? 'reversal' : 'b2c';
+  const refundPhone = normalizeKenyanPhone(phone || target.phone);
+  if (method === 'b2c' && !refundPhone) {
+    throw refundError('A valid phone number is required to refund this payment');
+  }
+
+  const refund = new Refund({
+    targetType: target.targetType,
+    donation: target.donation?._id,
+    membership: target.membership?._id,
+    membershipPaymentId: target.payment?.paymentId,
+    payment: target.ledgerPayment._id,
+    amount: refundAmount,
+    currency: target.currency,
+    isPartial,
+    reason,
+    method,
+    phone: refundPhone,
+    originalTransactionId: receipt,
+    requestedBy
+  });
+  refund.transition('requested', requestedBy, reason);
+
+  if (!await reserveRefundAmount(target, refundAmount)) {
+    throw refundError('Another refund was requested for this payment at the same time. Please try again.', 409);
+  }
+  try {
+    await refund.save();
+  } catch (error) {
+    await releaseRefundAmount(refund);
+    throw error;
+  }
+
+  return refund;
+};
+
+// Approve a refund and send it to Daraja; the result callback settles it. The
+// refund is claimed first so two approvals cannot both send money.
+const approveRefund = async (refund, approvedBy) => {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'requested' },
+    { $set: { status: 'processing', approvedBy, approvedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Refund.findById(refund._id).select('status');
+    throw refundError(`Refund is already ${current?.status || refund.status}`);
+  }
+
+  const remarks = `Refund ${claimed._id}`;
+
+  try {
+    const mpesaRes = claimed.method === 'reversal'
+      ? await reverseTransaction({ transactionId: claimed.originalTransactionId, amount: claimed.amount, remarks })
+      : await b2cPayment({ amount: claimed.amount, phone: claimed.phone, remarks });
+
+    claimed.conversationId = mpesaRes.ConversationID;
+    claimed.originatorConversationId = mpesaRes.OriginatorConversationID;
+    claimed.transition('processing', approvedBy, mpesaRes.ResponseDescription);
+  } catch (error) {
+    console.error('M-Pesa refund request error:', error.response?.data || error.message);
+    claimed.resultDesc = error.response?.data?.errorMessage || error.message;
+    claimed.transition('failed', approvedBy, claimed.resultDesc);
+    await releaseRefundAmount(claimed);
+  }
+
+  await claimed.save();
+  return claimed;
+};
+
+// Reject a refund request without moving any money
+const rejectRefund = async (refund, rejectedBy, note) => {
+  const rejected = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'requested' },
+    {
+      $set: { status: 'rejected' },
+      $push: { history: { status: 'rejected', changedBy: rejectedBy, changedAt: new Date(), note } }
+    },
+    { new: true }
+  );
+  if (!rejected) {
+    const current = await Refund.findById(refund._id).select('status');
+    throw refundError(`Refund is already ${current?.status || refund.status}`);
+  }
+
+  await releaseRefundAmount(rejected);
+  return rejected;
+};
+
+// Mark the original donation or membership payment as refunded
+const settleRefundTarget = async (refund) => {
+  const note = `Refunded ${refund.amount} via M-Pesa ${refund.method} (refund ${refund._id})`;
+
+  await recordRefund(refund.payment, refund.amount, { changedBy: refund.approvedBy, note });
+
+  if (refund.targetType === 'donation') {
+    const donation = await Donation.findById(refund.donation);
+    if (!donation) return;
+    donation.refundedAmount = (donation.refundedAmount || 0) + refund.amount;
+    if (donation.refundedAmount >= donation.amount) {
+      donation.paymentStatus = 'refunded';
+    }
+    donation.notes = note;
+    await donation.save();
+    return;
+  }
+
+  const membership = await Membership.findById(refund.membership);
+  const payment = membership?.payments.find(p => p.paymentId === refund.membershipPaymentId);
+  if (!payment) return;
+  payment.refundedAmount = (payment.refundedAmount || 0) + refund.amount;
+  if (payment.refundedAmount >= payment.amount) {
+    payment.status = 'refunded';
+  }
+  payment.notes = note;
+  membership.paymentProgress.totalPaid = Math.max(0, membership.paymentProgress.totalPaid - refund.amount);
+  await membership.save();
+};
+
+// Settle a refund from a reversal/B2C result or queue timeout callback. The
+// refund is claimed out of processing so a repeated result is not applied twice.
+const processRefundResult = async (body, { timedOut = false } = {}) => {
+  const result = body?.Result;
+  if (!result) return null;
+
+  const match = {
+    $or: [
+      { conversationId: result.ConversationID },
+      { originatorConversationId: result.OriginatorConversationID }
+    ]
+  };
+  const resultCode = Number(result.ResultCode);
+  const completed = !timedOut && resultCode === 0;
+  const status = completed ? 'completed' : 'failed';
+  const now = new Date();
+
+  const refund = await Refund.findOneAndUpdate(
+    { ...match, status: 'processing' },
+    {
+      $set: {
+        status,
+        resultCode,
+        resultDesc: result.ResultDesc,
+        ...(completed ? { mpesaTransactionId: result.TransactionID, completedAt: now } : {})
+      },
+      $push: {
+        history: {
+          status,
+          changedAt: now,
+          note: timedOut ? 'Request timed out in the M-Pesa queue' : result.ResultDesc
+        }
+      }
+    },
+    { new: true }
+  );
+
+  // Ignore unknown and repeated results
+  if (!refund) return Refund.findOne(match);
+
+  if (completed) {
+    await settleRefundTarget(refund);
+  } else {
+    await releaseRefundAmount(refund);
+  }
+
+  return refund;
+};
+
+module.exports = {
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  processRefundResult
+};
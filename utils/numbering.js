@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+
+const ORG_PREFIX = process.env.NUMBER_PREFIX || 'KCE';
+
+// Numbering series. Each one restarts at 1 every year, and membership numbers
+// also run separately per membership type (KCE-GOLD-2026-0042).
+const SERIES = {
+  receipt: { prefix: process.env.RECEIPT_NUMBER_PREFIX || ORG_PREFIX, digits: 6 },
+  membership: { prefix: process.env.MEMBERSHIP_NUMBER_PREFIX || ORG_PREFIX, digits: 4 },
+  invoice: { prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV', digits: 6 },
+  ticket: { prefix: process.env.TICKET_NUMBER_PREFIX || 'TKT', digits: 6 }
+};
+
+const numberingError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const counterKey = (series, year, scope) => [series, scope, year].filter(Boolean).join(':');
+
+// "receipt", 2026, 123 -> "KCE-2026-000123"
+const formatNumber = (series, year, sequence, scope) => {
+  const { prefix, digits } = SERIES[series];
+  return [prefix, scope && scope.toUpperCase(), year, String(sequence).padStart(digits, '0')]
+    .filter(Boolean)
+    .join('-');
+};
+
+// Hand out the next number in a series. Numbers are only taken when the record
+// that carries them is about to be saved, so the sequence has no gaps unless
+// that save fails.
+const nextNumber = async (series, { scope, date = new Date() } = {}) => {
+  if (!SERIES[series]) {
+    throw numberingError(`Unknown numbering series: ${series}`);
+  }
+
+  const year = new Date(date).getFullYear();
+  const key = counterKey(series, year, scope);
+  const increment = () => Counter.findOneAndUpdate(
+    { key },
+    { $inc: { sequence: 1 } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two requests creating the year's counter at once; the loser increments the winner's
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return formatNumber(series, year, counter.sequence, scope);
+};
+
+// Numbers issued before the counters existed were random, so start each
+// counter above the highest number already in use
+const syncCounters = async () => {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const sources = [
+    {
+      series: 'receipt',
+      model: mongoose.model('Donation'),
+      field: 'receiptNumber',
+      pattern: new RegExp(`^${escape(SERIES.receipt.prefix)}-(\\d{4})-(\\d+)$`)
+    },
+    {
+      series: 'membership',
+      model: mongoose.model('Membership'),
+      field: 'membershipNumber',
+      pattern: new RegExp(`^${escape(SERIES.membership.prefix)}-([A-Z]+)-(\\d{4})-(\\d+)$`)
+    }
+  ];
+
+  const highest = {};
+  for (const { series, model, field, pattern } of sources) {
+    const records = await model.find({ [field]: pattern }).select(field).lean();
+    for (const record of records) {
+      const match = record[field].match(pattern);
+      const [year, sequence] = match.slice(-2).map(Number);
+      const key = counterKey(series, year, match.length === 4 ? match[1].toLowerCase() : undefined);
+      highest[key] = Math.max(highest[key] || 0, sequence);
+    }
+  }
+
+  await Promise.all(Object.entries(highest).map(([key, sequence]) =>
+    Counter.updateOne({ key }, { $max: { sequence } }, { upsert: true })
+  ));
+
+  return highest;
+};
+
+module.exports = {
+  nextNumber,
+  formatNumber,
+  syncCounters
+};
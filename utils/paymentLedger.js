@@ -0,0 +1,261 @@
+const Payment = require('../models/Payment');
+const Donation = require('../models/Donation');
+const Membership = require('../models/Membership');
+
+// Donation card methods are a single "card" method in the ledger
+const LEDGER_METHODS = {
+  credit_card: 'card',
+  debit_card: 'card'
+};
+
+// M-Pesa receipts are ten uppercase alphanumerics, unlike CheckoutRequestIDs (ws_CO_...)
+const MPESA_RECEIPT_PATTERN = /^[A-Z0-9]{10}$/;
+
+const toLedgerMethod = (method) => LEDGER_METHODS[method] || method;
+
+// Create a ledger record for a payment attempt
+const recordPayment = async ({ status = 'pending', source = 'system', changedBy, note, ...fields }) => {
+  const payment = new Payment(fields);
+  payment.transition(status, { source, changedBy, note });
+  await payment.save();
+  return payment;
+};
+
+const findMpesaPayment = (providerReference) =>
+  Payment.findOne({ provider: 'mpesa', providerReference });
+
+// Whether the payment is for a gift entered in a cash or cheque batch. Those are
+// only settled when a second admin approves the batch.
+const isBatchPayment = async (payment) => payment.payableType === 'Donation' &&
+  (await Donation.exists({ _id: payment.payable, batch: { $exists: true } })) !== null;
+
+// Mirror a settled payment onto the donation or membership payment it paid for
+const applyToPayable = async (payment, { payable, note } = {}) => {
+  if (payment.payableType === 'Donation') {
+    const donation = payable || await Donation.findById(payment.payable);
+    if (!donation || donation.paymentStatus !== 'pending') return;
+
+    if (payment.status === 'completed') {
+      // The receipt number is assigned from the receipt sequence on save
+      donation.paymentStatus = 'completed';
+      donation.isVerified = true;
+      donation.verificationDate = payment.settledAt;
+    } else {
+      donation.paymentStatus = payment.status === 'cancelled' ? 'cancelled' : 'failed';
+    }
+    if (note) donation.notes = note;
+    await donation.save();
+
+    // Installments of a recurring donation roll up into their schedule
+    await Donation.recordInstallment(donation);
+    return;
+  }
+
+  if (payment.payableType === 'Membership') {
+    const membership = payable || await Membership.findById(payment.payable);
+    if (!membership) return;
+
+    await membership.settlePayment(
+      payment.membershipPaymentId,
+      payment.status === 'completed' ? 'completed' : 'failed',
+      {
+        transactionCode: payment.provider === 'mpesa' ? payment.providerReceipt : undefined,
+        notes: note
+      }
+    );
+  }
+};
+
+// Bring the donation or membership in line with a payment that is already
+// final. The payment is committed first, so if updating its payable fails the
+// payment is flagged for review, and the next callback, reconciler pass or
+// admin that tries to settle it applies it again. applyToPayable skips payables
+// that are no longer pending, so running this twice is harmless.
+const applySettledPayment = async (payment, { payable, note } = {}) => {
+  if (!['completed', 'failed', 'cancelled'].includes(payment.status)) return;
+
+  try {
+    await applyToPayable(payment, { payable, note });
+  } catch (error) {
+    const reviewReason = `Payment is ${payment.status} but its ${payment.payableType.toLowerCase()} could not be updated: ${error.message}`;
+    await Payment.updateOne({ _id: payment._id }, { $set: { requiresReview: true, reviewReason } });
+    payment.set({ requiresReview: true, reviewReason });
+    throw error;
+  }
+};
+
+// Settle a pending payment as completed, failed or cancelled and update what it paid for.
+// Returns false when the payment was already final. The STK callback, the
+// reconciler, card webhooks and admins can race to settle the same payment, so
+// the move out of pending is claimed atomically and only the winner applies it.
+const settlePayment = async (payment, status, { providerReceipt, source, changedBy, note, payable } = {}) => {
+  if (payment.status !== 'pending') {
+    await applySettledPayment(payment, { payable });
+    return false;
+  }
+
+  const settled = await Payment.settleIfPending(payment._id, status, { source, changedBy, note, providerReceipt });
+  if (!settled) {
+    const current = await Payment.findById(payment._id).select('status');
+    if (current) payment.set('status', current.status);
+    return false;
+  }
+
+  // Keep the caller's copy in step with what was stored
+  ['status', 'providerReceipt', 'settledAt', 'statusHistory', 'updatedAt']
+    .forEach(path => payment.set(path, settled.get(path)));
+
+  await applySettledPayment(payment, { payable, note });
+  return true;
+};
+
+// Flag a payment whose provider answer needs a human decision
+const markForReview = async (payment, reason) => {
+  payment.requiresReview = true;
+  payment.reviewReason = reason;
+  await payment.save();
+  return payment;
+};
+
+// Settle a flagged payment as an admin decided and clear the flag. A payment
+// that is already final is applied to its payable again instead. Returns false
+// when the payment is already final with a different status.
+const resolveReview = async (payment, status, { providerReceipt, changedBy, note } = {}) => {
+  await settlePayment(payment, status, {
+    providerReceipt,
+    source: 'admin',
+    changedBy,
+    note: `Resolved after review: ${note}`
+  });
+  if (payment.status !== status) return false;
+
+  payment.set({ requiresReview: false, reviewedBy: changedBy, reviewedAt: new Date(), reviewNote: note });
+  await payment.save();
+  return true;
+};
+
+// Keep the ledger in step when an admin changes a donation status by hand
+const syncPaymentStatus = async (paymentId, status, { source = 'admin', changedBy, note } = {}) => {
+  if (!paymentId) return null;
+  const payment = await Payment.findById(paymentId);
+  if (!payment || payment.status === status) return payment;
+
+  payment.transition(status, { source, changedBy, note });
+  await payment.save();
+  return payment;
+};
+
+// Record money returned to the payer against the ledger
+const recordRefund = async (paymentId, amount, { changedBy, note } = {}) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) return null;
+
+  payment.refundedAmount += amount;
+  if (payment.refundedAmount >= payment.amount) {
+    payment.transition('refunded', { source: 'refund', changedBy, note });
+  } else {
+    payment.statusHistory.push({ status: payment.status, source: 'refund', changedBy, note });
+  }
+  await payment.save();
+  return payment;
+};
+
+// Save a backfilled record with the original document's timestamps
+const saveBackfilled = async (payment, createdAt, updatedAt) => {
+  payment.createdAt = createdAt;
+  payment.updatedAt = updatedAt || createdAt;
+  await payment.save({ timestamps: false });
+  return payment;
+};
+
+// Create ledger records for donations and membership payments made before the ledger existed
+const backfillPayments = async () => {
+  const summary = { donations: 0, membershipPayments: 0, errors: [] };
+
+  const donations = await Donation.find({ payment: { $exists: false } });
+  for (const donation of donations) {
+    try {
+      const isMpesa = donation.paymentMethod === 'mpesa';
+      const isStkPush = isMpesa && /^ws_CO_/.test(donation.transactionId || '');
+      const payment = new Payment({
+        payableType: 'Donation',
+        payable: donation._id,
+        method: toLedgerMethod(donation.paymentMethod),
+        provider: isMpesa ? 'mpesa' : (['cash', 'check'].includes(donation.paymentMethod) ? 'manual' : 'simulated'),
+        channel: isMpesa ? (isStkPush ? 'stk_push' : 'c2b') : undefined,
+        providerReference: isMpesa ? donation.transactionId : undefined,
+        providerReceipt: MPESA_RECEIPT_PATTERN.test(donation.receiptNumber || '') ? donation.receiptNumber : undefined,
+        amount: donation.amount,
+        currency: donation.currency,
+        status: donation.paymentStatus,
+        refundedAmount: donation.refundedAmount || 0,
+        payer: {
+          name: `${donation.donor.firstName} ${donation.donor.lastName}`,
+          email: donation.donor.email,
+          phone: donation.donor.phone
+        },
+        settledAt: donation.verificationDate,
+        statusHistory: [{ status: donation.paymentStatus, changedAt: donation.updatedAt, source: 'system', note: 'Backfilled from donation' }]
+      });
+      await saveBackfilled(payment, donation.createdAt, donation.updatedAt);
+      await Donation.updateOne({ _id: donation._id }, { $set: { payment: payment._id } });
+      summary.donations += 1;
+    } catch (error) {
+      summary.errors.push({ donation: donation._id, error: error.message });
+    }
+  }
+
+  const memberships = await Membership.find({ 'payments.payment': { $exists: false }, 'payments.0': { $exists: true } });
+  for (const membership of memberships) {
+    for (const entry of membership.payments.filter(p => !p.payment)) {
+      try {
+        const isMpesa = entry.paymentMethod === 'mpesa';
+        const transactionCode = entry.mpesaDetails?.transactionCode;
+        const payment = new Payment({
+          payableType: 'Membership',
+          payable: membership._id,
+          membershipPaymentId: entry.paymentId,
+          method: entry.paymentMethod,
+          provider: isMpesa ? 'mpesa' : 'simulated',
+          channel: isMpesa ? (/^ws_CO_/.test(entry.transactionId || '') ? 'stk_push' : 'c2b') : undefined,
+          providerReference: isMpesa && entry.transactionId ? entry.transactionId : undefined,
+          providerReceipt: MPESA_RECEIPT_PATTERN.test(transactionCode || '') ? transactionCode : undefined,
+          amount: entry.amount,
+          currency: 'KES',
+          status: entry.status,
+          refundedAmount: entry.refundedAmount || 0,
+          payer: {
+            phone: entry.mpesaDetails?.phoneNumber,
+            user: membership.applicant
+          },
+          settledAt: entry.status === 'completed' ? entry.paymentDate : undefined,
+          statusHistory: [{ status: entry.status, changedAt: entry.paymentDate, source: 'system', note: 'Backfilled from membership payment' }]
+        });
+        await saveBackfilled(payment, entry.paymentDate);
+        await Membership.updateOne(
+          { _id: membership._id, 'payments._id': entry._id },
+          { $set: { 'payments.$.payment': payment._id } }
+        );
+        summary.membershipPayments += 1;
+      } catch (error) {
+        summary.errors.push({ membership: membership._id, paymentId: entry.paymentId, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  toLedgerMethod,
+  recordPayment,
+  findMpesaPayment,
+  isBatchPayment,
+  applySettledPayment,
+  settlePayment,
+  markForReview,
+  resolveReview,
+  syncPaymentStatus,
+  recordRefund,
+  backfillPayments
+};
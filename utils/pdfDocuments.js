@@ -0,0 +1,357 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#1f4e79';
+const MUTED_COLOR = '#555555';
+
+const CURRENCY_WORDS = {
+  KES: ['Kenya Shillings', 'Cents'],
+  USD: ['US Dollars', 'Cents'],
+  EUR: ['Euros', 'Cents'],
+  GBP: ['Pounds Sterling', 'Pence'],
+  NGN: ['Naira', 'Kobo'],
+  GHS: ['Ghana Cedis', 'Pesewas'],
+  ZAR: ['Rand', 'Cents']
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = ['', 'Thousand', 'Million', 'Billion'];
+
+const getOrganization = () => ({
+  name: process.env.ORG_NAME || 'Kamune Cluster Elites Foundation',
+  address: process.env.ORG_ADDRESS || '',
+  phone: process.env.ORG_PHONE || '',
+  email: process.env.ORG_EMAIL || 'info@kamune-elites.org',
+  registrationNumber: process.env.ORG_REGISTRATION_NUMBER || '',
+  taxPin: process.env.ORG_TAX_PIN || '',
+  logoPath: process.env.ORG_LOGO_PATH || '',
+  signatoryName: process.env.RECEIPT_SIGNATORY_NAME || '',
+  signatoryTitle: process.env.RECEIPT_SIGNATORY_TITLE || 'Treasurer'
+});
+
+const belowThousandInWords = (number) => {
+  const words = [];
+  if (number >= 100) {
+    words.push(`${ONES[Math.floor(number / 100)]} Hundred`);
+    number %= 100;
+    if (number) words.push('and');
+  }
+  if (number >= 20) {
+    words.push(TENS[Math.floor(number / 10)] + (number % 10 ? `-${ONES[number % 10]}` : ''));
+  } else if (number) {
+    words.push(ONES[number]);
+  }
+  return words.join(' ');
+};
+
+const integerInWords = (number) => {
+  if (number === 0) return 'Zero';
+  const parts = [];
+  for (let scale = 0; number > 0; scale++) {
+    const chunk = number % 1000;
+    if (chunk) parts.unshift(`${belowThousandInWords(chunk)}${SCALES[scale] ? ` ${SCALES[scale]}` : ''}`);
+    number = Math.floor(number / 1000);
+  }
+  return parts.join(' ');
+};
+
+// 1250.5 KES -> "Kenya Shillings One Thousand Two Hundred and Fifty and Fifty Cents Only"
+const amountInWords = (amount, currency = 'KES') => {
+  const [major, minor] = CURRENCY_WORDS[currency] || [currency, 'Cents'];
+  const whole = Math.floor(amount);
+  const fraction = Math.round((amount - whole) * 100);
+
+  let words = `${major} ${integerInWords(whole)}`;
+  if (fraction) words += ` and ${integerInWords(fraction)} ${minor}`;
+  return `${words} Only`;
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+}) : '');
+
+const formatShortDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+}) : '');
+
+// Render a PDF into a Buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const drawHeader = (doc, title, number, date) => {
+  const org = getOrganization();
+
+  const hasLogo = org.logoPath && fs.existsSync(org.logoPath);
+  if (hasLogo) {
+    doc.image(org.logoPath, 50, 45, { width: 60 });
+  }
+  const textX = hasLogo ? 120 : 50;
+
+  doc.fillColor(BRAND_COLOR).fontSize(18).font('Helvetica-Bold').text(org.name, textX, 50);
+  doc.fillColor(MUTED_COLOR).fontSize(9).font('Helvetica');
+  [org.address, [org.phone, org.email].filter(Boolean).join(' | '),
+    org.registrationNumber && `Registration No. ${org.registrationNumber}`,
+    org.taxPin && `PIN ${org.taxPin}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, textX));
+
+  doc.moveDown(2);
+  const top = Math.max(doc.y, 130);
+  doc.moveTo(50, top).lineTo(545, top).strokeColor(BRAND_COLOR).lineWidth(2).stroke();
+
+  doc.fillColor(BRAND_COLOR).fontSize(16).font('Helvetica-Bold').text(title, 50, top + 15);
+  doc.fillColor('black').fontSize(10).font('Helvetica')
+    .text(`No. ${number}`, 350, top + 15, { width: 195, align: 'right' })
+    .text(`Date: ${formatDate(date)}`, 350, top + 30, { width: 195, align: 'right' });
+
+  doc.y = top + 60;
+};
+
+// Label/value rows in two columns
+const drawDetails = (doc, rows) => {
+  rows.filter(([, value]) => value !== undefined && value !== null && value !== '').forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text(label, 50, y, { width: 150 });
+    doc.font('Helvetica').fillColor('black').text(String(value), 200, y, { width: 345 });
+    doc.moveDown(0.4);
+  });
+};
+
+const drawAmountBox = (doc, label, amount, currency) => {
+  doc.moveDown(1);
+  const top = doc.y;
+  doc.rect(50, top, 495, 60).fillAndStroke('#eef3f8', BRAND_COLOR);
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12).text(label, 65, top + 10);
+  doc.fontSize(16).text(formatMoney(amount, currency), 300, top + 8, { width: 230, align: 'right' });
+  doc.fillColor('black').font('Helvetica-Oblique').fontSize(9)
+    .text(amountInWords(amount, currency), 65, top + 38, { width: 465 });
+  doc.y = top + 75;
+};
+
+const drawSignature = (doc) => {
+  const org = getOrganization();
+  doc.moveDown(3);
+  const y = doc.y;
+  doc.moveTo(50, y).lineTo(250, y).strokeColor('black').lineWidth(1).stroke();
+  doc.font('Helvetica').fontSize(10).fillColor('black')
+    .text(org.signatoryName || 'Authorised Signatory', 50, y + 5)
+    .fillColor(MUTED_COLOR)
+    .text(`${org.signatoryTitle}, ${org.name}`, 50);
+};
+
+const drawFooter = (doc, note) => {
+  doc.fontSize(8).fillColor(MUTED_COLOR).font('Helvetica')
+    .text(note, 50, 760, { width: 495, align: 'center' });
+};
+
+// Tax receipt for a completed donation
+const buildDonationReceipt = (donation) => renderPdf((doc) => {
+  drawHeader(doc, 'Donation Receipt', donation.receiptNumber, donation.verificationDate || donation.createdAt);
+
+  drawDetails(doc, [
+    ['Received from', donation.donor.isAnonymous ? 'Anonymous Donor' : `${donation.donor.firstName} ${donation.donor.lastName}`],
+    ['Email', donation.donor.isAnonymous ? null : donation.donor.email],
+    ['Purpose', donation.purpose && donation.purpose.charAt(0).toUpperCase() + donation.purpose.slice(1)],
+    ['Payment method', donation.paymentMethod.replace(/_/g, ' ')],
+    ['Transaction reference', donation.transactionId],
+    ['Date received', formatDate(donation.verificationDate || donation.createdAt)]
+  ]);
+
+  drawAmountBox(doc, 'Amount received', donation.amount, donation.currency);
+
+  if (donation.refundedAmount) {
+    doc.font('Helvetica').fontSize(10).fillColor('#a00000')
+      .text(`${formatMoney(donation.refundedAmount, donation.currency)} of this donation has been refunded.`, 50);
+  }
+
+  doc.fillColor('black').font('Helvetica').fontSize(10).moveDown(1)
+    .text('Thank you for your generous support. No goods or services were provided in exchange for this donation.', 50, doc.y, { width: 495 });
+
+  drawSignature(doc);
+  drawFooter(doc, 'This receipt was generated electronically and is valid without a stamp.');
+});
+
+const membershipRows = (membership, payment, applicantName) => [
+  ['Member', applicantName],
+  ['Membership number', membership.membershipNumber],
+  ['Membership type', membership.membershipType && `${membership.membershipType.charAt(0).toUpperCase() + membership.membershipType.slice(1)} (${membership.fees.selectedPlan})`],
+  ['Period', payment.period?.startDate && `${formatDate(payment.period.startDate)} - ${formatDate(payment.period.endDate)}`],
+  ['Payment reference', payment.paymentId]
+];
+
+// Invoice for a membership payment, whether or not it has been paid yet
+const buildMembershipInvoice = (membership, payment, { number, applicantName }) => renderPdf((doc) => {
+  drawHeader(doc, 'Membership Invoice', number, payment.paymentDate);
+
+  drawDetails(doc, [
+    ...membershipRows(membership, payment, applicantName),
+    ['Status', payment.status === 'completed' ? 'Paid' : 'Awaiting payment']
+  ]);
+
+  drawAmountBox(doc, 'Amount due', payment.amount, 'KES');
+
+  doc.fillColor('black').font('Helvetica').fontSize(10).moveDown(1)
+    .text(`Pay by M-Pesa or bank transfer quoting reference ${payment.paymentId}.`, 50, doc.y, { width: 495 });
+
+  drawFooter(doc, 'This invoice was generated electronically and is valid without a stamp.');
+});
+
+// Receipt for a completed membership payment
+const buildMembershipReceipt = (membership, payment, { number, applicantName }) => renderPdf((doc) => {
+  drawHeader(doc, 'Membership Payment Receipt', number, payment.paymentDate);
+
+  drawDetails(doc, [
+    ...membershipRows(membership, payment, applicantName),
+    ['Payment method', payment.paymentMethod.replace(/_/g, ' ')],
+    ['Transaction code', payment.mpesaDetails?.transactionCode || payment.transactionId]
+  ]);
+
+  drawAmountBox(doc, 'Amount received', payment.amount, 'KES');
+
+  drawSignature(doc);
+  drawFooter(doc, 'This receipt was generated electronically and is valid without a stamp.');
+});
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// Draw a row of table cells; columns are [{ label, width, align }]
+const drawTableRow = (doc, columns, values, { bold = false } = {}) => {
+  const y = doc.y;
+  let x = 50;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(bold ? BRAND_COLOR : 'black');
+  columns.forEach((column, i) => {
+    doc.text(String(values[i] ?? ''), x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+    x += column.width;
+  });
+  doc.y = y + 16;
+};
+
+const STATEMENT_COLUMNS = [
+  { label: 'Date', width: 75 },
+  { label: 'Receipt No.', width: 100 },
+  { label: 'Purpose', width: 85 },
+  { label: 'Amount', width: 80, align: 'right' },
+  { label: 'Refunded', width: 75, align: 'right' },
+  { label: 'Net', width: 80, align: 'right' }
+];
+
+// Annual statement of every completed donation a donor made in a year, with
+// totals per currency and per purpose
+const buildGivingStatement = (statement) => renderPdf((doc) => {
+  drawHeader(doc, `Annual Giving Statement ${statement.year}`, statement.number, statement.generatedAt);
+
+  drawDetails(doc, [
+    ['Donor', statement.donor.name],
+    ['Email', statement.donor.email],
+    ['Phone', statement.donor.phone],
+    ['Period', `1 January ${statement.year} - 31 December ${statement.year}`],
+    ['Number of gifts', statement.donations.length]
+  ]);
+
+  doc.moveDown(1);
+  const tableHeader = () => {
+    drawTableRow(doc, STATEMENT_COLUMNS, STATEMENT_COLUMNS.map(c => c.label), { bold: true });
+    doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).strokeColor(BRAND_COLOR).lineWidth(1).stroke();
+  };
+  tableHeader();
+
+  statement.donations.forEach(donation => {
+    if (doc.y > 730) {
+      doc.addPage();
+      tableHeader();
+    }
+    drawTableRow(doc, STATEMENT_COLUMNS, [
+      formatShortDate(donation.date),
+      donation.receiptNumber,
+      capitalize(donation.purpose),
+      formatMoney(donation.amount, donation.currency),
+      donation.refunded ? formatMoney(donation.refunded, donation.currency) : '',
+      formatMoney(donation.net, donation.currency)
+    ]);
+  });
+
+  if (doc.y > 600) doc.addPage();
+  doc.moveDown(1);
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(12).text('Totals by purpose', 50);
+  doc.moveDown(0.5);
+  statement.totalsByPurpose.forEach(total => {
+    drawDetails(doc, [[`${capitalize(total.purpose)} (${total.gifts})`, formatMoney(total.net, total.currency)]]);
+  });
+
+  statement.totalsByCurrency.forEach(total => {
+    if (doc.y > 680) doc.addPage();
+    drawAmountBox(doc, `Total given in ${total.currency}`, total.net, total.currency);
+  });
+
+  doc.fillColor('black').font('Helvetica').fontSize(10).moveDown(1)
+    .text('Thank you for your generous support throughout the year. No goods or services were provided in exchange for these donations.', 50, doc.y, { width: 495 });
+
+  if (doc.y > 650) doc.addPage();
+  drawSignature(doc);
+  drawFooter(doc, 'This statement was generated electronically and is valid without a stamp. Individual receipts remain available on request.');
+});
+
+// Acknowledgement card telling someone a tribute gift was made. It never shows
+// the amount given.
+const buildTributeCard = ({ tributeType, honoreeName, recipientName, donorName, message, date }) => renderPdf((doc) => {
+  const org = getOrganization();
+
+  doc.rect(40, 40, 515, 762).lineWidth(3).strokeColor(BRAND_COLOR).stroke();
+  doc.rect(50, 50, 495, 742).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14)
+    .text(org.name, 70, 90, { width: 455, align: 'center' });
+
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(12)
+    .text(tributeType === 'memorial' ? 'A gift in loving memory of' : 'A gift in honour of', 70, 220, { width: 455, align: 'center' });
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(26)
+    .text(honoreeName, 70, 250, { width: 455, align: 'center' });
+
+  doc.font('Helvetica').fontSize(12).fillColor('black').moveDown(2);
+  if (recipientName) {
+    doc.text(`Dear ${recipientName},`, 90, doc.y, { width: 415 }).moveDown(0.5);
+  }
+  doc.text(`${donorName} has made a donation to ${org.name} ${tributeType === 'memorial' ? 'in memory of' : 'in honour of'} ${honoreeName}.`, 90, doc.y, { width: 415, align: 'left' });
+
+  if (message) {
+    doc.moveDown(1.5).font('Helvetica-Oblique').fontSize(13).fillColor(BRAND_COLOR)
+      .text(`"${message}"`, 90, doc.y, { width: 415, align: 'center' });
+  }
+
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+    .text(formatDate(date), 70, 700, { width: 455, align: 'center' })
+    .text(org.email, 70, 715, { width: 455, align: 'center' });
+});
+
+module.exports = {
+  getOrganization,
+  buildTributeCard,
+  amountInWords,
+  buildGivingStatement,
+  buildDonationReceipt,
+  buildMembershipInvoice,
+  buildMembershipReceipt
+};
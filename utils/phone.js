@@ -0,0 +1,17 @@
+// Normalise a Kenyan mobile number (07xx, 01xx, +2547xx, 2547xx or 7xx) to the
+// 2547XXXXXXXX form Daraja expects. Returns null when the number is not valid.
+const normalizeKenyanPhone = (phone) => {
+  if (phone === undefined || phone === null) return null;
+
+  const digits = String(phone).replace(/[\s\-()]/g, '').replace(/^\+/, '');
+  const match = digits.match(/^(?:254|0)?([17]\d{8})$/);
+
+  return match ? `254${match[1]}` : null;
+};
+
+const isValidKenyanPhone = (phone) => normalizeKenyanPhone(phone) !== null;
+
+module.exports = {
+  normalizeKenyanPhone,
+  isValidKenyanPhone
+};
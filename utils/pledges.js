@@ -0,0 +1,205 @@
+const Pledge = require('../models/Pledge');
+const { queueEmail } = require('./mailer');
+const { getBaseCurrency, getRate } = require('./exchangeRates');
+
+const REMINDER_INTERVAL_HOURS = parseInt(process.env.PLEDGE_REMINDER_INTERVAL_HOURS) || 12;
+
+const pledgeError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Load a pledge that can still receive payments in the given currency, or throw a 400/404 error
+const findOpenPledge = async (pledgeId, currency) => {
+  const pledge = await Pledge.findById(pledgeId);
+  if (!pledge) throw pledgeError('Pledge not found', 404);
+  if (pledge.status === 'cancelled') throw pledgeError('This pledge has been cancelled');
+  if (pledge.status === 'fulfilled') throw pledgeError('This pledge has already been fulfilled');
+  if (currency && currency !== pledge.currency) {
+    throw pledgeError(`Payments towards this pledge must be in ${pledge.currency}`);
+  }
+  return pledge;
+};
+
+// Count an existing donation towards a pledge
+const linkDonation = async (pledge, donation) => {
+  if (donation.pledge && String(donation.pledge) !== String(pledge._id)) {
+    throw pledgeError('Donation already pays towards another pledge');
+  }
+  if (donation.currency !== pledge.currency) {
+    throw pledgeError(`Payments towards this pledge must be in ${pledge.currency}`);
+  }
+  if (!['pending', 'completed'].includes(donation.paymentStatus)) {
+    throw pledgeError('Only pending or completed donations can be linked to a pledge');
+  }
+
+  donation.pledge = pledge._id;
+  await donation.save();
+  return Pledge.findById(pledge._id);
+};
+
+// Claim an installment's reminder so each one is only sent once
+const claimReminder = async (pledge, installment, field) => {
+  const result = await Pledge.updateOne(
+    { _id: pledge._id, installments: { $elemMatch: { _id: installment._id, [field]: { $exists: false } } } },
+    { $set: { [`installments.$.${field}`]: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Bring pledge statuses up to date and remind donors of installments that are
+// coming due or have been missed
+const sendPledgeReminders = async (now = new Date()) => {
+  const summary = { checked: 0, statusChanges: 0, reminders: 0, overdueNotices: 0, errors: [] };
+
+  const pledges = await Pledge.find({ status: { $in: ['on_track', 'behind'] } });
+  for (const pledge of pledges) {
+    summary.checked += 1;
+
+    // "Behind" depends on today's date, so it is recomputed on every run
+    const previousStatus = pledge.status;
+    pledge.applyPayments(now);
+    if (pledge.isModified()) {
+      await pledge.save();
+      if (pledge.status !== previousStatus) summary.statusChanges += 1;
+    }
+
+    if (!pledge.remindersEnabled) continue;
+
+    for (const installment of pledge.installments) {
+      if (installment.status === 'paid') continue;
+
+      const daysUntilDue = (installment.dueDate - now) / (24 * 60 * 60 * 1000);
+      const overdue = installment.status === 'overdue';
+      const field = overdue ? 'overdueNoticeSentAt' : 'reminderSentAt';
+
+      if (!overdue && (daysUntilDue < 0 || daysUntilDue > pledge.reminderDaysBefore)) continue;
+      if (installment[field]) continue;
+
+      try {
+        if (!(await claimReminder(pledge, installment, field))) continue;
+
+        await queueEmail({
+          to: pledge.donor.email,
+          template: 'pledge_reminder',
+          data: {
+            firstName: pledge.donor.firstName,
+            installmentNumber: installment.number,
+            installmentCount: pledge.installments.length,
+            amountDue: `${pledge.currency} ${round(installment.amount - installment.paidAmount).toLocaleString()}`,
+            dueDate: installment.dueDate,
+            balance: `${pledge.currency} ${pledge.balance.toLocaleString()}`,
+            overdue,
+            pledgeId: pledge._id
+          },
+          related: { pledge: pledge._id, installment: installment._id }
+        });
+        summary[overdue ? 'overdueNotices' : 'reminders'] += 1;
+      } catch (error) {
+        summary.errors.push({ pledge: pledge._id, installment: installment.number, error: error.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+// Outstanding balances of open pledges, per currency and in the base currency
+const getOutstandingReport = async ({ campaign, event } = {}) => {
+  const query = { status: { $in: ['on_track', 'behind'] } };
+  if (campaign) query.campaign = campaign;
+  if (event) query.event = event;
+
+  const pledges = await Pledge.find(query)
+    .populate('campaign', 'title')
+    .populate('event', 'title date');
+
+  const byCurrency = {};
+  const byCampaign = {};
+  const statusCounts = { on_track: 0, behind: 0 };
+
+  for (const pledge of pledges) {
+    statusCounts[pledge.status] += 1;
+
+    const currency = byCurrency[pledge.currency] || (byCurrency[pledge.currency] = {
+      currency: pledge.currency, pledges: 0, pledged: 0, fulfilled: 0, outstanding: 0, overdue: 0
+    });
+    currency.pledges += 1;
+    currency.pledged = round(currency.pledged + pledge.amount);
+    currency.fulfilled = round(currency.fulfilled + pledge.fulfilledAmount);
+    currency.outstanding = round(currency.outstanding + pledge.balance);
+    currency.overdue = round(currency.overdue + pledge.overdueAmount);
+
+    const campaignKey = `${pledge.campaign?._id || 'none'}|${pledge.currency}`;
+    const campaignEntry = byCampaign[campaignKey] || (byCampaign[campaignKey] = {
+      campaign: pledge.campaign ? { _id: pledge.campaign._id, title: pledge.campaign.title } : null,
+      currency: pledge.currency,
+      pledges: 0,
+      outstanding: 0
+    });
+    campaignEntry.pledges += 1;
+    campaignEntry.outstanding = round(campaignEntry.outstanding + pledge.balance);
+  }
+
+  // Current rates are used because the money has not been received yet
+  const baseCurrency = getBaseCurrency();
+  const unconverted = [];
+  let outstandingBase = 0;
+  let overdueBase = 0;
+  for (const entry of Object.values(byCurrency)) {
+    const rate = await getRate(entry.currency);
+    if (rate === null) {
+      unconverted.push(entry.currency);
+      continue;
+    }
+    outstandingBase += entry.outstanding * rate;
+    overdueBase += entry.overdue * rate;
+  }
+
+  return {
+    baseCurrency,
+    outstanding: round(outstandingBase),
+    overdue: round(overdueBase),
+    unconvertedCurrencies: unconverted,
+    statusCounts,
+    byCurrency: Object.values(byCurrency),
+    byCampaign: Object.values(byCampaign).sort((a, b) => b.outstanding - a.outstanding),
+    pledges: pledges
+      .sort((a, b) => b.overdueAmount - a.overdueAmount || b.balance - a.balance)
+      .map(pledge => ({
+        _id: pledge._id,
+        donor: pledge.donor,
+        campaign: pledge.campaign,
+        event: pledge.event,
+        currency: pledge.currency,
+        amount: pledge.amount,
+        fulfilledAmount: pledge.fulfilledAmount,
+        balance: pledge.balance,
+        overdueAmount: pledge.overdueAmount,
+        status: pledge.status,
+        nextInstallment: pledge.nextInstallment
+      }))
+  };
+};
+
+const startPledgeReminders = () => {
+  const run = async () => {
+    try {
+      const summary = await sendPledgeReminders();
+      if (summary.reminders + summary.overdueNotices > 0) {
+        console.log(`📧 Queued ${summary.reminders} pledge reminders and ${summary.overdueNotices} overdue notices`);
+      }
+    } catch (error) {
+      console.error('Pledge reminders run error:', error);
+    }
+  };
+
+  return setInterval(run, REMINDER_INTERVAL_HOURS * 60 * 60 * 1000);
+};
+
+module.exports = {
+  findOpenPledge,
+  linkDonation,
+  sendPledgeReminders,
+  getOutstandingReport,
+  startPledgeReminders
+};
@@ -0,0 +1,124 @@
+const Donation = require('../models/Donation');
+const { initiateStkPush } = require('../mpesa');
+const { recordPayment, settlePayment, toLedgerMethod } = require('./paymentLedger');
+const { getCardProvider, chargeSavedCard } = require('./cardGateway');
+
+const RECURRING_INTERVAL_MINUTES = parseInt(process.env.RECURRING_CHECK_INTERVAL_MINUTES) || 60;
+
+const isCardMethod = (method) => ['credit_card', 'debit_card'].includes(method);
+
+// Create the installment for one due date and ask the payer's provider for the money.
+// The installment settles through the usual M-Pesa callback or card webhook.
+const chargeInstallment = async (parent) => {
+  const installment = new Donation({
+    donor: parent.donor.toObject(),
+    amount: parent.amount,
+    currency: parent.currency,
+    paymentMethod: parent.paymentMethod,
+    paymentStatus: 'pending',
+    donationType: parent.donationType,
+    campaign: parent.campaign,
+    purpose: parent.purpose,
+    donorWall: parent.toObject().donorWall,
+    user: parent.user,
+    parentDonation: parent._id,
+    installmentNumber: await Donation.nextInstallmentNumber(parent)
+  });
+  await installment.save();
+
+  const isCard = isCardMethod(parent.paymentMethod);
+  const payment = await recordPayment({
+    payableType: 'Donation',
+    payable: installment._id,
+    method: toLedgerMethod(parent.paymentMethod),
+    provider: isCard ? getCardProvider().name : 'mpesa',
+    channel: isCard ? 'online' : 'stk_push',
+    amount: installment.amount,
+    currency: installment.currency,
+    payer: {
+      name: installment.donorFullName,
+      email: installment.donor.email,
+      phone: installment.donor.phone
+    },
+    metadata: { recurringDonation: parent._id }
+  });
+  installment.payment = payment._id;
+  await installment.save();
+
+  try {
+    if (isCard) {
+      await chargeSavedCard(payment, parent.savedCard);
+    } else {
+      const mpesaRes = await initiateStkPush({
+        amount: installment.amount,
+        phone: installment.donor.phone,
+        accountReference: 'Donation',
+        transactionDesc: 'Recurring donation'
+      });
+      payment.providerReference = mpesaRes.CheckoutRequestID;
+      payment.merchantRequestId = mpesaRes.MerchantRequestID;
+      await payment.save();
+    }
+
+    installment.transactionId = payment.providerReference;
+    await installment.save();
+  } catch (error) {
+    console.error('Recurring installment charge error:', error.response?.data || error.message);
+    await settlePayment(payment, 'failed', { note: `Installment could not be charged: ${error.message}` });
+  }
+
+  return installment;
+};
+
+// Charge every active recurring donation whose next payment date has passed
+const processDueDonations = async (now = new Date()) => {
+  const due = await Donation.find({
+    isRecurring: true,
+    recurringStatus: 'active',
+    nextPaymentDate: { $lte: now }
+  }).select('+savedCard.token +savedCard.customer');
+
+  const results = [];
+  for (const parent of due) {
+    // Claim this due date first so overlapping runs never charge it twice
+    const dueDate = parent.nextPaymentDate;
+    parent.advanceNextPaymentDate();
+    const claimed = await Donation.updateOne(
+      { _id: parent._id, nextPaymentDate: dueDate, recurringStatus: 'active' },
+      { $set: { nextPaymentDate: parent.nextPaymentDate } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const installment = await chargeInstallment(parent);
+      results.push({ donation: parent._id, installment: installment._id, status: installment.paymentStatus });
+    } catch (error) {
+      console.error(`Recurring donation ${parent._id} error:`, error);
+      results.push({ donation: parent._id, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Periodically charge recurring donations that are due
+const startRecurringDonations = () => {
+  const run = async () => {
+    try {
+      const results = await processDueDonations();
+      if (results.length > 0) {
+        console.log(`🔁 Charged ${results.length} recurring donation installments`);
+      }
+    } catch (error) {
+      console.error('Recurring donations run error:', error);
+    }
+  };
+
+  return setInterval(run, RECURRING_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  chargeInstallment,
+  processDueDonations,
+  startRecurringDonations
+};
@@ -0,0 +1,48 @@
+const axios = require('axios');
+
+const AFRICASTALKING_URLS = {
+  sandbox: 'https://api.sandbox.africastalking.com/version1/messaging',
+  production: 'https://api.africastalking.com/version1/messaging'
+};
+
+// africastalking in production, console elsewhere unless SMS_TRANSPORT says otherwise
+const getSmsTransportName = () => process.env.SMS_TRANSPORT
+  || (process.env.NODE_ENV === 'production' ? 'africastalking' : 'console');
+
+// Send a text message to a phone number in 2547XXXXXXXX form
+const sendSms = async (phone, message) => {
+  const name = getSmsTransportName();
+
+  if (name === 'console') {
+    console.log(`📱 SMS to ${phone}: ${message}`);
+    return;
+  }
+
+  if (name === 'africastalking') {
+    const username = process.env.AFRICASTALKING_USERNAME || 'sandbox';
+    const url = AFRICASTALKING_URLS[username === 'sandbox' ? 'sandbox' : 'production'];
+    const params = new URLSearchParams({ username, to: `+${phone}`, message });
+    if (process.env.AFRICASTALKING_SENDER_ID) params.append('from', process.env.AFRICASTALKING_SENDER_ID);
+
+    const { data } = await axios.post(url, params, {
+      headers: {
+        apiKey: process.env.AFRICASTALKING_API_KEY,
+        Accept: 'application/json'
+      },
+      timeout: 10000
+    });
+
+    const recipient = data?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || recipient.statusCode >= 400) {
+      throw new Error(`SMS to ${phone} failed: ${recipient?.status || data?.SMSMessageData?.Message || 'no recipient'}`);
+    }
+    return;
+  }
+
+  throw new Error(`Unknown SMS_TRANSPORT: ${name}`);
+};
+
+module.exports = {
+  getSmsTransportName,
+  sendSms
+};
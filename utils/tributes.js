@@ -0,0 +1,131 @@
+const { buildTributeCard } = require('./pdfDocuments');
+const { getOrIssueDocument } = require('./issuedDocuments');
+const { queueEmail } = require('./mailer');
+
+const tributeError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// "Mary Wanjiku Kamau" -> "mary-wanjiku-kamau"
+const tributeSlug = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Name shown to the honoree's family; anonymous donors stay anonymous
+const tributeDonorName = (donation) => (donation.donor.isAnonymous
+  ? 'A donor who wishes to remain anonymous'
+  : `${donation.donor.firstName} ${donation.donor.lastName}`);
+
+// Acknowledgement card PDF for a tribute gift
+const getTributeCard = (donation, { regenerate = false, generatedBy, reason } = {}) => {
+  const number = `TRB-${donation.receiptNumber || String(donation._id).slice(-8).toUpperCase()}`;
+
+  return getOrIssueDocument({ type: 'tribute_card', donation: donation._id }, {
+    regenerate,
+    generatedBy,
+    reason,
+    number,
+    fileName: `tribute-card-${number}.pdf`,
+    build: () => buildTributeCard({
+      tributeType: donation.tribute.type,
+      honoreeName: donation.tribute.honoreeName,
+      recipientName: donation.tribute.notify?.name,
+      donorName: tributeDonorName(donation),
+      message: donation.tribute.message,
+      date: donation.verificationDate || donation.createdAt
+    })
+  });
+};
+
+// How the acknowledgement can actually be delivered with the details we have
+const deliveryMethod = (notify = {}) => {
+  const hasAddress = Boolean(notify.address?.street && notify.address?.city);
+  if (notify.method === 'email' && notify.email) return 'email';
+  if (notify.method === 'post' && hasAddress) return 'post';
+  // Fall back to whichever contact detail was given
+  if (notify.method === 'email' && hasAddress) return 'post';
+  if (notify.method === 'post' && notify.email) return 'email';
+  return 'none';
+};
+
+// Email the acknowledgement card or put it in the print queue. The tribute is
+// claimed first so a completed donation saved twice is only acknowledged once.
+const acknowledgeTribute = async (donation, { fromStatuses = ['pending'], generatedBy } = {}) => {
+  if (!donation.tribute) {
+    throw tributeError('Donation is not a tribute gift');
+  }
+  if (donation.paymentStatus !== 'completed') {
+    throw tributeError('Tribute acknowledgements are sent once the donation is completed');
+  }
+
+  const Donation = donation.constructor;
+  const claimed = await Donation.findOneAndUpdate(
+    { _id: donation._id, 'tribute.acknowledgement.status': { $in: fromStatuses } },
+    { $set: { 'tribute.acknowledgement.status': 'processing' } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const acknowledgement = { processedAt: new Date() };
+  const method = deliveryMethod(claimed.tribute.notify);
+
+  try {
+    if (method === 'email') {
+      const card = await getTributeCard(claimed, { generatedBy });
+      const message = await queueEmail({
+        to: claimed.tribute.notify.email,
+        template: 'tribute_acknowledgement',
+        data: {
+          recipientName: claimed.tribute.notify.name,
+          donorName: tributeDonorName(claimed),
+          honoreeName: claimed.tribute.honoreeName,
+          tributeType: claimed.tribute.type,
+          message: claimed.tribute.message,
+          tributeSlug: claimed.tribute.isPublic ? claimed.tribute.slug : undefined
+        },
+        attachments: [card],
+        related: { donation: claimed._id }
+      });
+      acknowledgement.status = 'emailed';
+      acknowledgement.emailMessage = message._id;
+    } else if (method === 'post') {
+      await getTributeCard(claimed, { generatedBy });
+      acknowledgement.status = 'print_queued';
+    } else {
+      acknowledgement.status = 'not_required';
+    }
+  } catch (error) {
+    acknowledgement.status = 'failed';
+    acknowledgement.error = error.message;
+  }
+
+  const update = Object.fromEntries(
+    Object.entries(acknowledgement).map(([key, value]) => [`tribute.acknowledgement.${key}`, value])
+  );
+  return Donation.findByIdAndUpdate(claimed._id, {
+    $set: update,
+    ...(acknowledgement.error ? {} : { $unset: { 'tribute.acknowledgement.error': '' } })
+  }, { new: true });
+};
+
+// Record that a queued card has been printed and posted
+const markCardPrinted = async (donation, userId) => {
+  if (donation.tribute?.acknowledgement?.status !== 'print_queued') {
+    throw tributeError('This card is not waiting to be printed');
+  }
+
+  donation.tribute.acknowledgement.status = 'printed';
+  donation.tribute.acknowledgement.printedAt = new Date();
+  donation.tribute.acknowledgement.printedBy = userId;
+  await donation.save();
+  return donation;
+};
+
+module.exports = {
+  tributeSlug,
+  tributeDonorName,
+  getTributeCard,
+  acknowledgeTribute,
+  markCardPrinted
+};